@@ -2,115 +2,245 @@ import 'dotenv/config';
 import axios from 'axios';
 import { Telegraf } from 'telegraf';
 import { ethers } from 'ethers';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createJsonStore, writeJsonFile } from './lib/store.mjs';
+import { createWsSupervisor, withTimeout, redactUrl } from './lib/wsSupervisor.mjs';
+import { backfillLogs, byLogOrder } from './lib/backfill.mjs';
+import { createAbiRegistry, checkEventNames } from './lib/abiRegistry.mjs';
+import { readLaunchpadToken, readLockTimeLeft } from './lib/launchpadReads.mjs';
+import { createCallBatcher } from './lib/multicall.mjs';
+import { createLiveCards } from './lib/liveCards.mjs';
+import { createTxScanner } from './lib/txScanner.mjs';
+import { createRiskWatch } from './lib/riskWatch.mjs';
+import { createGovernanceWatch } from './lib/governance.mjs';
+import { createDeployerProfiles } from './lib/deployerProfile.mjs';
+import { findCreationTx, createTickerIndex } from './lib/tokenLookup.mjs';
+import { createSubscriptions, parseFilterArgs, EVENT_TYPES, DEFAULT_FILTERS } from './lib/subscriptions.mjs';
+import {
+  createNotifier, createTelegramSink, createDiscordSink, createWebhookSink, createJsonlSink
+} from './lib/notifier.mjs';
+import { createOutbox } from './lib/outbox.mjs';
+import { loadTargets, CHAINS } from './lib/targets.mjs';
+import { createMetrics } from './lib/metrics.mjs';
+import { createHealthServer } from './lib/health.mjs';
+import { escapeHtml, fmtETH, fmtEthShort, fmtCompact, fmtUSD, fmtPrice, fmtDuration } from './lib/format.mjs';
+import { TOKEN_CREATED_TOPIC, topicToAddress, decodeLaunchLogs } from './lib/receiptDecode.mjs';
+import { specValues, mechFromSettings, reflectPctOf } from './lib/specs.mjs';
+import { createTemplates, DEFAULT_SET } from './lib/templates.mjs';
+import { createPriceService, tokenPriceFromReserves, PRICE_SOURCES } from './lib/prices.mjs';
+import {
+  normalizeUrl, classifyUrl, parseDataUrlToJson, parseMaybeJsonString, pickSocialsFromJson,
+  extractAsciiStringsFromHex, socialsFromStrings, resolveWebsiteAndX
+} from './lib/socials.mjs';
+import { checkLink, checkSocials } from './lib/linkSafety.mjs';
+import { loadFixture, createFixtureSource, createRecorder } from './lib/replay.mjs';
+import { createArchive, toCsv } from './lib/archive.mjs';
+import { markSeen, markFailed, advanceCheckpoint, saveCheckpoint, saveCheckpointLater, handleLogs } from './lib/checkpoint.mjs';
+import { createDigestScheduler, parseSchedule, checkTimeZone, summarize, fmtZoned, slotBefore, DIGEST_PERIODS } from './lib/digest.mjs';
+
+/* ===================== CLI ===================== */
+// node index.mjs --replay <txhash | fixture.json>… [--record <dir>] [--locale <code>] [--template <set>]: dry run, see runReplay().
+const REPLAY_ARGS = process.argv[2] === '--replay' ? process.argv.slice(3) : null;
+// Its checkpoint / outbox / subscriptions are throwaway (runReplay removes the dir).
+if (REPLAY_ARGS) process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ethos-replay-'));
+// Progress lines reachable from a replay; stderr there, since stdout carries only the rendered posts (printPost).
+const info = REPLAY_ARGS ? console.error : console.log;
 
 /* ===================== ENV ===================== */
+const BUNDLED_TEMPLATES = fileURLToPath(new URL('./templates', import.meta.url));
 const {
   BOT_TOKEN,
   TARGET_CHAT_ID,
-  RPC_WSS,
-  CHAIN_ID = '1',                        // <-- default MAINNET (1). Use '11155111' for Sepolia.
-  LAUNCHPAD_ADDRESS,
+  ADMIN_CHAT_ID,                          // optional; governance changes go here (TARGET_CHAT_ID otherwise)
+  ADMIN_USER_IDS = '',                    // comma list of Telegram user ids allowed to run /status, /pause, /backfill…
+  // One launchpad: LAUNCHPAD_ADDRESS, CHAIN_ID, RPC_WSS, RPC_WSS_FALLBACK, RPC_HTTP, WETH_ADDRESS,
+  // EXPLORER_URL, FROM_BLOCK, LAUNCHPAD_ABI, TARGET_LABEL, ETH_USD_FEED, ETH_USD_PAIR; more via TARGETS_FILE (see lib/targets.mjs).
+  TARGETS_FILE,
+  WS_HEARTBEAT_MS = '15000',              // eth_blockNumber heartbeat interval
+  WS_STALL_MS = '120000',                 // reconnect if the head has not moved for this long
   ETHERSCAN_API_KEY,
-  ETHOS_URL_TEMPLATE = 'https://ethos.vision/?t={CA}',
   CREATE_EVENT_NAMES = 'TokenCreated,Created,Launched,TokenLaunched',
   LOCK_EVENT_NAMES   = 'SettingsLocked,LiquidityLocked,MechanismLocked',
-  FROM_BLOCK,                             // e.g. latest-50
-  WETH_ADDRESS,                           // optional; falls back to canonical WETH on mainnet
-  LAUNCHPAD_ABI                           // optional JSON string to override Etherscan ABI fetch
+  DATA_DIR = './data',                    // checkpoint + dedup state lives here
+  BACKFILL_CHUNK = '2000',                // initial getLogs span; shrinks on provider range errors
+  BACKFILL_MAX_CHUNK = '10000',
+  CHECKPOINT_DEPTH = '5',                 // quiet blocks move the checkpoint only this far behind head
+  CHECKPOINT_SAVE_SECONDS = '30',         // min seconds between checkpoint saves on quiet blocks
+  LIVE_CARD_MINUTES = '30',               // keep editing launch cards with live LP/FDV this long (0 = off)
+  LIVE_CARD_EDIT_SECONDS = '20',          // min seconds between edits of one card
+  RISK_WATCH_DAYS = '7',                  // watch launched tokens for LP pulls / dev dumps this long
+  RUG_LP_BURN_PCT = '25',                 // alert when one pair Burn removes at least this % of the ETH side
+  RUG_DEV_TRANSFER_PCT = '1',             // alert when the dev wallet sends at least this % of supply into the pair
+  TX_SCAN_MAX_CATCHUP = '300',            // blocks of launchpad txs rescanned after downtime
+  GOVERNANCE_POLL_BLOCKS = '300',         // re-read launchpad parameters this often (0 = only on launchpad txs/events)
+  DEPLOYER_HISTORY_MAX = '10',            // previous launches listed in the deployer section
+  DEPLOYER_CACHE_MINUTES = '30',          // re-read a previous launch's outcome after this long
+  PRICE_CACHE_SECONDS = '60',             // reuse the ETH/USD quote this long
+  PRICE_STALE_MINUTES = '60',             // cards flag an ETH/USD quote older than this as stale
+  DIGEST_DAILY_AT = '',                   // daily digest post time, e.g. 09:00 (empty = none)
+  DIGEST_WEEKLY_AT = '',                  // weekly digest day and time, e.g. mon 09:00 (empty = none)
+  DIGEST_TIMEZONE = 'UTC',                // IANA time zone of the digest times, e.g. Asia/Jakarta
+  DIGEST_TOP = '3',                       // entries per top list in a digest
+  NOTIFY_TELEGRAM = 'true',               // 'false' = post nowhere in Telegram (commands still work)
+  DISCORD_WEBHOOK_URL,                    // optional Discord webhook (embeds)
+  DISCORD_EVENTS,                         // optional comma list of launch,lock,risk,governance (default all)
+  WEBHOOK_URL,                            // optional endpoint receiving every event as signed JSON
+  WEBHOOK_SECRET,                         // HMAC-SHA256 key for the X-Signature header
+  WEBHOOK_EVENTS,
+  JSONL_PATH,                             // optional append-only event log ('-' = stdout)
+  JSONL_EVENTS,
+  NOTIFY_RETRIES = '3',                   // retries per request in the Discord / webhook / JSONL sinks
+  OUTBOX_MAX_ATTEMPTS = '20',             // tries per Telegram message before it goes to the dead-letter list
+  TEMPLATES_DIR = BUNDLED_TEMPLATES,     // <set>/<type>.<locale>.html message templates (see lib/templates.mjs)
+  DEFAULT_TEMPLATE = DEFAULT_SET,         // template set for chats that did not pick one (/template)
+  DEFAULT_LOCALE = 'en',                  // locale for chats that did not pick one (/language)
+  HTTP_PORT,                              // optional; serves /healthz, /readyz and /metrics
+  HTTP_HOST = '127.0.0.1'                 // use 0.0.0.0 in containers
 } = process.env;
 
-if (!BOT_TOKEN || !TARGET_CHAT_ID || !RPC_WSS || !LAUNCHPAD_ADDRESS) {
-  console.error('Missing required .env: BOT_TOKEN, TARGET_CHAT_ID, RPC_WSS, LAUNCHPAD_ADDRESS');
+let TARGETS = [];
+try { TARGETS = loadTargets(process.env); }
+catch (e) { console.error('Invalid watch targets:', e.message); process.exit(1); }
+
+let DIGEST_SCHEDULES = [];
+try {
+  checkTimeZone(DIGEST_TIMEZONE);
+  DIGEST_SCHEDULES = [parseSchedule(DIGEST_DAILY_AT, 'daily'), parseSchedule(DIGEST_WEEKLY_AT, 'weekly')].filter(Boolean);
+} catch (e) { console.error('Invalid digest settings:', e.message); process.exit(1); }
+
+if (!REPLAY_ARGS && (!BOT_TOKEN || !TARGET_CHAT_ID || !TARGETS.length)) {
+  console.error('Missing required .env: BOT_TOKEN, TARGET_CHAT_ID, and RPC_WSS + LAUNCHPAD_ADDRESS (or TARGETS_FILE)');
   process.exit(1);
 }
 
+/* =================== Metrics =================== */
+// Exposed on /metrics (see init()); per-target gauges are read at scrape time.
+const metrics = createMetrics();
+const launchesTotal = metrics.counter('ethos_launches_total', 'Launches detected');
+const locksTotal    = metrics.counter('ethos_locks_total', 'Lock events detected');
+const riskTotal     = metrics.counter('ethos_risk_alerts_total', 'Risk alerts raised');
+const telegramTotal = metrics.counter('ethos_telegram_messages_total', 'Telegram feed sends: sent, failed (attempt, will retry) or dead (given up)');
+const sinkTotal     = metrics.counter('ethos_sink_events_total', 'Events handed to each notification sink, by result');
+const rpcCalls      = metrics.histogram('ethos_rpc_call_duration_seconds', 'eth_call latency through the batched caller (reverted probes count as errors)');
+const perTarget = (fn) => () => targets.map(t => [{ target: t.name }, fn(t)]);
+metrics.gauge('ethos_last_block', 'Last block whose launchpad logs are all handled', perTarget(t => t.state.data.lastBlock));
+metrics.gauge('ethos_head_block', 'Chain head seen by the connection heartbeat', perTarget(t => t.supervisor?.head || null));
+metrics.gauge('ethos_head_lag_blocks', 'Head minus last handled block', perTarget(t =>
+  t.supervisor?.head && t.state.data.lastBlock != null ? Math.max(0, t.supervisor.head - t.state.data.lastBlock) : null));
+metrics.gauge('ethos_ws_connected', '1 while the WebSocket RPC is connected', perTarget(t => t.supervisor?.connected ? 1 : 0));
+metrics.gauge('ethos_live_cards', 'Launch cards still being edited live', perTarget(t => t.liveCards.size));
+metrics.gauge('ethos_outbox_pending', 'Telegram messages waiting in the outbox', () => [[{}, outbox.pending]]);
+metrics.gauge('ethos_outbox_dead', 'Telegram messages in the dead-letter list', () => [[{}, outbox.dead.length]]);
+metrics.gauge('ethos_posting_paused', '1 while posting is paused with /pause', () => [[{}, control.data.paused ? 1 : 0]]);
+metrics.gauge('ethos_start_time_seconds', 'Process start time (unix seconds)', () => [[{}, Math.floor(Date.now() / 1000 - process.uptime())]]);
+
 /* =================== Telegram =================== */
 const bot = new Telegraf(BOT_TOKEN);
-const send = async (html, rows = null) => {
+const send = async (html, rows = null, opts = {}) => {
   const extra = { parse_mode: 'HTML', disable_web_page_preview: true };
   if (rows && Array.isArray(rows)) extra.reply_markup = { inline_keyboard: rows };
-  return bot.telegram.sendMessage(TARGET_CHAT_ID, html, extra);
+  if (opts.replyTo) extra.reply_parameters = { message_id: opts.replyTo, allow_sending_without_reply: true };
+  return bot.telegram.sendMessage(opts.chatId ?? TARGET_CHAT_ID, html, extra);
 };
 
-/* =================== Provider =================== */
-const chainIdNum = Number(CHAIN_ID);
-const provider = new ethers.WebSocketProvider(RPC_WSS, chainIdNum);
-
-/* ============== Etherscan ABI (optional) ============== */
-const chainToApiBase = id =>
-  String(id) === '1' ? 'https://api.etherscan.io/api'
-  : String(id) === '11155111' ? 'https://api-sepolia.etherscan.io/api'
-  : 'https://api.etherscan.io/api';
-
-async function fetchAbi(address) {
-  // Prefer inline env ABI if provided
-  if (LAUNCHPAD_ABI) {
-    try { return JSON.parse(LAUNCHPAD_ABI); } catch (e) { console.warn('Failed to parse LAUNCHPAD_ABI env:', e.message); }
-  }
-  if (!ETHERSCAN_API_KEY) return null;
-  try {
-    const url = `${chainToApiBase(CHAIN_ID)}?module=contract&action=getabi&address=${address}&apikey=${ETHERSCAN_API_KEY}`;
-    const { data } = await axios.get(url, { timeout: 15000 });
-    if (data.status === '1') return JSON.parse(data.result);
-    console.warn('Etherscan ABI fetch status!=1:', data?.message || data);
-  } catch (err) {
-    console.warn('Failed to fetch ABI:', err.message);
-  }
-  return null;
-}
-
-/* =================== Helpers ==================== */
-function escapeHtml(s) {
-  return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
-}
-function topicToAddress(topic) { return ethers.getAddress('0x' + topic.slice(26)); }
-function ethosUrlFor(token) { return ETHOS_URL_TEMPLATE.replace('{CA}', token); }
-
-const ZERO32 = '0x' + '00'.repeat(32);
-const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+// Subscribed chats and their filters (see /subscribe, /filters); TARGET_CHAT_ID is the first subscriber.
+const subscriptions = createSubscriptions({ file: path.join(DATA_DIR, 'subscriptions.json'), defaultChatId: TARGET_CHAT_ID });
 
-const fmtETH = (wei) => ethers.formatEther(wei);
-const fmtEthShort = (n) => {
-  const v = Number(n);
-  if (!Number.isFinite(v)) return String(n);
-  if (v >= 1) return v.toFixed(2);
-  return v.toFixed(4);
-};
-const fmtUSD = (n) => {
-  const v = Number(n);
-  if (!Number.isFinite(v)) return String(n);
-  return v < 1000 ? v.toFixed(2)
-       : v < 1_000_000 ? v.toLocaleString(undefined, { maximumFractionDigits: 0 })
-       : (v/1e6).toFixed(2) + 'M';
+// Posts are rendered per chat from TEMPLATES_DIR in the set / locale it picked (/template, /language);
+// anything missing or broken falls back to the bundled templates/default (lib/templates.mjs).
+const templates = createTemplates({ dir: path.resolve(TEMPLATES_DIR || BUNDLED_TEMPLATES), fallbackDir: BUNDLED_TEMPLATES, fallbackLocale: 'en' });
+const defaultLook = { template: DEFAULT_TEMPLATE, locale: DEFAULT_LOCALE };
+const lookOf = (chatId) => {
+  const sub = chatId != null ? subscriptions.get(String(chatId)) : null;
+  return { template: sub?.template || defaultLook.template, locale: sub?.locale || defaultLook.locale };
 };
 
-async function fetchEthUsd() {
-  try {
-    const { data } = await axios.get(
-      'https://api.coingecko.com/api/v3/simple/price?ids=ethereum&vs_currencies=usd',
-      { timeout: 8000 }
-    );
-    return Number(data?.ethereum?.usd || 0);
-  } catch {
+/**
+ * Feed posts go through the outbox (per-chat order, 429 / backoff retries, kept
+ * across restarts); command replies and live card edits are sent directly.
+ * Job fields besides the message: `thread` = token whose card the post replies to
+ * (looked up when it is actually sent, so it works while the card is still queued),
+ * `card` = token whose launch card this is (its message id is recorded once sent).
+ */
+const messageIn = (t, tokenCA, chatId) => launchFor(t, tokenCA)?.messages?.find(m => String(m.chatId) === String(chatId))?.messageId;
+
+const outbox = createOutbox({
+  file: path.join(DATA_DIR, 'outbox.json'),
+  maxAttempts: Number(OUTBOX_MAX_ATTEMPTS),
+  async deliver(job) {
+    const t = targetsById.get(job.target);
     try {
-      const { data } = await axios.get('https://api.coinbase.com/v2/prices/ETH-USD/spot', { timeout: 8000 });
-      return Number(data?.data?.amount || 0);
-    } catch { return 0; }
+      const message = await send(job.html, job.rows, { chatId: job.chatId, replyTo: t && job.thread ? messageIn(t, job.thread, job.chatId) : undefined });
+      telegramTotal.inc({ result: 'sent' });
+      return message;
+    } catch (e) {
+      telegramTotal.inc({ result: 'failed' });
+      throw e;
+    }
+  },
+  onSent(job, message) {
+    const t = targetsById.get(job.target);
+    const launch = t && job.card && launchFor(t, job.card);
+    if (!launch) return;
+    const copy = { chatId: job.chatId, messageId: message.message_id };
+    (launch.messages ||= []).push(copy);
+    t.state.save();
+    t.liveCards.addMessage(job.card, copy);
+  },
+  onDead(job, e) {
+    telegramTotal.inc({ result: 'dead' });
+    if (e?.response?.error_code === 403 && subscriptions.unsubscribe(job.chatId)) console.warn(`unsubscribed ${job.chatId}: bot was removed`);
   }
+});
+
+/**
+ * Queue an event for every subscribed chat whose filters accept it, rendered with
+ * `renderFor(chatId)` → { html, rows } and threaded under `tokenCA`'s launch card on
+ * target `t` (or recorded as that card when `kind` is 'launch'). → [{ chatId, jobId }]
+ */
+function fanOut(kind, facts, renderFor, t, tokenCA = null) {
+  const card = kind === 'launch' ? tokenCA : null;
+  return subscriptions.targets(kind, facts).map(chatId => ({
+    chatId,
+    jobId: outbox.enqueue({ chatId, ...renderFor(chatId), target: t?.id ?? null, card, thread: card ? null : tokenCA })
+  }));
 }
 
+/* =================== Helpers ==================== */
+// Common fields of every notifier event (see lib/notifier.mjs); `target` / `label` name the watch target.
+const eventBase = (t, type, txHash = null, block = null, timestamp = Math.floor(Date.now() / 1000)) =>
+  ({ type, target: t.id, label: t.label || null, chainId: t.chainId, launchpad: t.launchpad, txHash, block, timestamp });
+// Links on the target's own chain explorer / EthOS template.
+const linksFor = (t, token, txHash) => ({
+  ethos: token ? t.ethosUrlTemplate.replace('{CA}', token) : null,
+  tx: txHash && t.explorer ? `${t.explorer}/tx/${txHash}` : null
+});
+// " · <label>" after a message title, when the target has a label.
+const labelTag = (label) => label ? ` · <i>${escapeHtml(label)}</i>` : '';
+
+// Outbound HTTP reads (ETH price, token metadata); replays swap in a recorder / fixture.
+const http = { get: (url, opts) => axios.get(url, opts) };
+
+// ETH/USD from CoinGecko / Coinbase, then the target's Chainlink feed / Uniswap V2 pair (lib/prices.mjs).
+// Replays fetch it per tx and never fall back to an earlier tx's quote, so every recording holds the price it was rendered with.
+const prices = createPriceService({
+  httpGet: (url, opts) => http.get(url, opts),
+  ttlMs: REPLAY_ARGS ? 0 : Number(PRICE_CACHE_SECONDS) * 1000,
+  keepLast: !REPLAY_ARGS,
+  staleMs: Number(PRICE_STALE_MINUTES) * 60_000
+});
+const priceChain = (t) => ({ caller: t.caller, feed: t.ethUsdFeed, pair: t.ethUsdPair, weth: t.weth });
+// What templates see of a quote: { usd, source (display name), stale, age (seconds) }.
+const ethUsdView = (q) => q ? { usd: q.usd, source: PRICE_SOURCES[q.source] || q.source, stale: q.stale, age: Math.max(0, Math.round((Date.now() - q.at) / 1000)) } : null;
+
 /* =============== Topics / Signatures =============== */
-const TRANSFER_TOPIC      = ethers.id('Transfer(address,address,uint256)');
-const PAIR_CREATED_TOPIC  = ethers.id('PairCreated(address,address,address,uint256)');
-const SYNC_TOPIC          = ethers.id('Sync(uint112,uint112)');
-const MINT_TOPIC          = ethers.id('Mint(address,uint256,uint256)');
-const DEPOSIT_TOPIC       = ethers.id('Deposit(address,uint256)');
-const TOKEN_CREATED_TOPIC = '0xffc04f682c7b287e4b552dacd4b833d7c33dc0549cd6da84388408e4830c0562';
-const SETTINGS_LOCKED_TOPICS = [
-  ethers.id('SettingsLocked(address)'),
-  ethers.id('LiquidityLocked(address)'),
-  ethers.id('MechanismLocked(address)')
-];
+// topic0 → lock event name
+const LOCK_EVENT_TOPICS = Object.fromEntries(
+  ['SettingsLocked', 'LiquidityLocked', 'MechanismLocked'].map(n => [ethers.id(`${n}(address)`), n])
+);
 
 /* ========== ENV-driven lists (mapping/keys) ========== */
 function envList(name, fallbackArr) {
@@ -165,74 +295,71 @@ const MECH_MAPPING_BOOL_FUNCS = envMapFuncs('MECH_MAPPING_BOOL_FUNCS', [
 ]);
 
 /* ============== Generic contract calls ============== */
-async function tryCallString(token, sig) {
+// Every probe goes through a target's `caller`: calls issued in the same tick are
+// coalesced into Multicall3 tryAggregate batches (see lib/multicall.mjs), so the
+// read* functions below fire all their candidates up front and pick results after.
+// `blockTag` pins a whole enrichment to one block.
+const sigIfaces = new Map();
+function sigIface(sig) {
+  let fi = sigIfaces.get(sig);
+  if (!fi) { fi = new ethers.Interface([`function ${sig}`]); sigIfaces.set(sig, fi); }
+  return fi;
+}
+async function callSig(caller, target, sig, args = [], blockTag = 'latest') {
+  const fi = sigIface(sig);
+  const fn = fi.fragments[0];
+  const raw = await caller.call({ to: target, data: fi.encodeFunctionData(fn, args), blockTag });
+  return fi.decodeFunctionResult(fn, raw);
+}
+const mappingArg = (key, keyType) => keyType==='bytes32' ? ethers.id(key) : key;
+const firstHit = async (promises) => (await Promise.all(promises)).find(v => v != null) ?? null;
+
+async function tryCallString(caller, token, sig, blockTag) {
   try {
-    const iface = new ethers.Interface([`function ${sig}`]);
-    const c = new ethers.Contract(token, iface, provider);
-    const fn = sig.split('(')[0];
-    const out = await c[fn]();
+    const [out] = await callSig(caller, token, sig, [], blockTag);
     if (typeof out === 'string' && out.trim()) return out.trim();
   } catch {}
   return null;
 }
-async function tryCallUint(token, sig) {
+async function tryCallUint(caller, token, sig, blockTag) {
   try {
-    const iface = new ethers.Interface([`function ${sig}`]);
-    const c = new ethers.Contract(token, iface, provider);
-    const fn = sig.split('(')[0];
-    const out = await c[fn]();
+    const [out] = await callSig(caller, token, sig, [], blockTag);
     if (typeof out === 'bigint') return out;
     if (out != null) return BigInt(out.toString());
   } catch {}
   return null;
 }
-async function tryCallBool(token, sig) {
+async function tryCallBool(caller, token, sig, blockTag) {
   try {
-    const iface = new ethers.Interface([`function ${sig}`]);
-    const c = new ethers.Contract(token, iface, provider);
-    const fn = sig.split('(')[0];
-    const out = await c[fn]();
+    const [out] = await callSig(caller, token, sig, [], blockTag);
     if (typeof out === 'boolean') return out;
   } catch {}
   return null;
 }
-async function tryCallMappingString(token, fnName, key, keyType='string') {
+async function tryCallMappingString(caller, token, fnName, key, keyType='string', blockTag) {
   try {
-    const iface = new ethers.Interface([`function ${fnName}(${keyType}) view returns (string)`]);
-    const c = new ethers.Contract(token, iface, provider);
-    const arg = keyType==='bytes32' ? ethers.id(key) : key;
-    const out = await c[fnName](arg);
+    const [out] = await callSig(caller, token, `${fnName}(${keyType}) view returns (string)`, [mappingArg(key, keyType)], blockTag);
     if (typeof out === 'string' && out.trim()) return out.trim();
   } catch {}
   return null;
 }
-async function tryCallMappingUint(token, fnName, key, keyType='string') {
+async function tryCallMappingUint(caller, token, fnName, key, keyType='string', blockTag) {
   try {
-    const iface = new ethers.Interface([`function ${fnName}(${keyType}) view returns (uint256)`]);
-    const c = new ethers.Contract(token, iface, provider);
-    const arg = keyType==='bytes32' ? ethers.id(key) : key;
-    const out = await c[fnName](arg);
+    const [out] = await callSig(caller, token, `${fnName}(${keyType}) view returns (uint256)`, [mappingArg(key, keyType)], blockTag);
     if (out != null) return BigInt(out.toString());
   } catch {}
   return null;
 }
-async function tryCallMappingBool(token, fnName, key, keyType='string') {
+async function tryCallMappingBool(caller, token, fnName, key, keyType='string', blockTag) {
   try {
-    const iface = new ethers.Interface([`function ${fnName}(${keyType}) view returns (bool)`]);
-    const c = new ethers.Contract(token, iface, provider);
-    const arg = keyType==='bytes32' ? ethers.id(key) : key;
-    const out = await c[fnName](arg);
+    const [out] = await callSig(caller, token, `${fnName}(${keyType}) view returns (bool)`, [mappingArg(key, keyType)], blockTag);
     if (typeof out === 'boolean') return out;
   } catch {}
   return null;
 }
-async function tryCallTuple(token, sig, keys) {
+async function tryCallTuple(caller, token, sig, keys, blockTag) {
   try {
-    const iface = new ethers.Interface([`function ${sig}`]);
-    const c = new ethers.Contract(token, iface, provider);
-    const fn = sig.split('(')[0];
-    const out = await c[fn]();
-    const arr = Array.isArray(out) ? out : [out];
+    const arr = [...await callSig(caller, token, sig, [], blockTag)];
     const res = {};
     for (let i=0;i<Math.min(arr.length, keys.length);i++) {
       const v = arr[i];
@@ -247,169 +374,49 @@ async function tryCallTuple(token, sig, keys) {
 }
 
 /* ================= Token basics ================= */
-async function readTokenBasics(token) {
-  const iface = new ethers.Interface([
-    'function name() view returns (string)',
-    'function symbol() view returns (string)',
-    'function decimals() view returns (uint8)',
-    'function totalSupply() view returns (uint256)'
+async function readTokenBasics(caller, token, blockTag) {
+  const [name, symbol, decimals, totalSupply] = await Promise.all([
+    tryCallString(caller, token, 'name() view returns (string)', blockTag),
+    tryCallString(caller, token, 'symbol() view returns (string)', blockTag),
+    tryCallUint(caller, token, 'decimals() view returns (uint8)', blockTag),
+    tryCallUint(caller, token, 'totalSupply() view returns (uint256)', blockTag)
   ]);
-  const c = new ethers.Contract(token, iface, provider);
-  let name = '', symbol = '', decimals = 18, totalSupply = 0n;
-  try { name = await c.name(); } catch {}
-  try { symbol = await c.symbol(); } catch {}
-  try { decimals = Number(await c.decimals()); } catch {}
-  try { totalSupply = await c.totalSupply(); } catch {}
-  return { name, symbol, decimals, totalSupply };
+  return { name: name || '', symbol: symbol || '', decimals: decimals != null ? Number(decimals) : 18, totalSupply: totalSupply ?? 0n };
 }
 
 /* ================= Socials ================= */
-function normalizeUrl(v, base) {
-  if (!v) return null;
-  if (/^https?:\/\//i.test(v)) return v;
-  if (base) return `${base}${v.replace(/^@/,'')}`;
-  return v;
-}
-const isXUrl = u => /https?:\/\/(www\.)?(twitter\.com|x\.com)\//i.test(String(u||'')); // X/Twitter
-const isTgUrl = u => /https?:\/\/(t\.me|telegram(\.me|\.org))\//i.test(String(u||'')); // Telegram
-const isDcUrl = u => /https?:\/\/(discord\.gg|discord(app)?\.com)\//i.test(String(u||'')); // Discord
-
-function classifyUrl(u) {
-  const s = String(u || '').trim().toLowerCase();
-  if (isXUrl(s)) return 'twitter';
-  if (isTgUrl(s)) return 'telegram';
-  if (isDcUrl(s)) return 'discord';
-  if (/^https?:\/\//.test(s)) return 'website';
-  return 'unknown';
-}
-
-function parseDataUrlToJson(s) {
-  if (!/^data:application\/json/i.test(s)) return null;
-  const base64 = s.split(',')[1];
-  if (!base64) return null;
-  try {
-    const jsonStr = Buffer.from(base64, 'base64').toString('utf8');
-    return JSON.parse(jsonStr);
-  } catch { return null; }
-}
-function parseMaybeJsonString(s) { try { return JSON.parse(s); } catch { return null; } }
+// Link parsing / classification lives in lib/socials.mjs; this part reads the token.
+// What it finds is deployer input: buildLaunchEvent() runs it through lib/linkSafety.mjs.
 async function fetchJsonMaybe(url) {
-  if (!/^https?:\/\//i.test(url)) return null;
-  try { const { data } = await axios.get(url, { timeout: 12000 }); return data; } catch { return null; }
-}
-
-function pickSocialsFromJson(obj) {
-  if (!obj || typeof obj !== 'object') return {};
-  const bag = {};
-  const buckets = [
-    obj, obj.links, obj.socials, obj.properties?.links, obj.properties?.socials,
-    obj.attributes, obj.extensions, obj.metadata, obj.data
-  ].filter(Boolean);
-  for (const j of buckets) {
-    for (const [k,v] of Object.entries(j)) {
-      const kk = k.toLowerCase();
-      const url = String(v || '');
-      const t = classifyUrl(url);
-      if (t === 'twitter' && !bag.twitter) bag.twitter = normalizeUrl(url);
-      if (t === 'telegram' && !bag.telegram) bag.telegram = normalizeUrl(url);
-      if (t === 'discord' && !bag.discord) bag.discord = normalizeUrl(url);
-      if (t === 'website' && !bag.website) bag.website = normalizeUrl(url);
-      if (!/^https?:\/\//i.test(url)) {
-        if (['twitter','x'].includes(kk) && !bag.twitter) bag.twitter = normalizeUrl(url,'https://twitter.com/');
-        if (['telegram','tg'].includes(kk) && !bag.telegram) bag.telegram = normalizeUrl(url,'https://t.me/');
-        if (['website','site','homepage'].includes(kk) && !bag.website) bag.website = normalizeUrl(url);
-      }
-    }
-  }
-  return bag;
-}
-
-function extractAsciiStringsFromHex(hex) {
-  if (!hex || hex.length < 10 || !hex.startsWith('0x')) return [];
-  const buf = Buffer.from(hex.slice(2), 'hex');
-  const out = [];
-  let cur = [];
-  for (const b of buf) {
-    const ok = b >= 0x20 && b <= 0x7e;
-    if (ok) cur.push(b);
-    else { if (cur.length >= 4) out.push(Buffer.from(cur).toString('utf8')); cur = []; }
-  }
-  if (cur.length >= 4) out.push(Buffer.from(cur).toString('utf8'));
-  return [...new Set(out.map(s => s.trim()))];
-}
-function socialsFromStrings(strs) {
-  const s = {};
-  for (const raw of strs) {
-    const t = raw.trim();
-    const typ = classifyUrl(t);
-    if (typ === 'twitter' && !s.twitter) { s.twitter = normalizeUrl(t); continue; }
-    if (typ === 'telegram' && !s.telegram) { s.telegram = normalizeUrl(t); continue; }
-    if (typ === 'discord' && !s.discord) { s.discord = normalizeUrl(t); continue; }
-    if (typ === 'website' && !s.website) { s.website = normalizeUrl(t); continue; }
-  }
-  return s;
-}
-
-/* Anchor style: website · X (Twitter) · telegram */
-function socialsLine(s) {
-  const parts = [];
-  if (s.website)  parts.push(`<a href="${s.website}">website</a>`);
-  if (s.twitter)  parts.push(`<a href="${s.twitter}">X (Twitter)</a>`);
-  if (s.telegram) parts.push(`<a href="${s.telegram}">telegram</a>`);
-  if (s.discord)  parts.push(`<a href="${s.discord}">discord</a>`);
-  return parts.join(' · ');
-}
-
-function resolveWebsiteAndX(inObj) {
-  const vals = Object.values(inObj).filter(Boolean).map(String);
-  const candidates = { twitter: [], website: [], telegram: [], discord: [] };
-  for (const v of vals) {
-    const t = classifyUrl(v);
-    if (t && candidates[t]) candidates[t].push(normalizeUrl(v));
-  }
-  const out = { ...inObj };
-  const pickedTwitter = candidates.twitter.find(u => isXUrl(u)) || (out.website && isXUrl(out.website) ? out.website : null);
-  const pickedWebsite = candidates.website.find(u => !isXUrl(u)) || (out.website && !isXUrl(out.website) ? out.website : null);
-  if (pickedTwitter) out.twitter = pickedTwitter; else delete out.twitter;
-  if (pickedWebsite) out.website = pickedWebsite; else delete out.website;
-  if (out.website && isXUrl(out.website)) delete out.website;
-  return out;
+  if (!checkLink(url).ok) return null; // no IP literals, shorteners or lookalikes fetched on a deployer's say-so
+  try { const { data } = await http.get(url, { timeout: 12000 }); return data; } catch { return null; }
 }
 
-async function readSocials(token, txHexInput) {
+async function readSocials(caller, token, txHexInput, blockTag) {
   const out = {};
 
+  // Fire every candidate up front (one batch), then apply them in priority order.
+  const getter = (sigs) => firstHit(sigs.map(sig => tryCallString(caller, token, sig, blockTag)));
+  const directP = Promise.all([
+    getter(['website() view returns (string)','web() view returns (string)','site() view returns (string)','url() view returns (string)','homepage() view returns (string)']),
+    getter(['twitter() view returns (string)','x() view returns (string)','twitterUrl() view returns (string)']),
+    getter(['telegram() view returns (string)','tg() view returns (string)','telegramUrl() view returns (string)']),
+    getter(['discord() view returns (string)','discordUrl() view returns (string)'])
+  ]);
+  const contractUriP = tryCallString(caller, token, 'contractURI() view returns (string)', blockTag);
+  const mappingsP = Promise.all(SOCIALS_MAPPING_FUNCS.map(({ fn, type }) =>
+    Promise.all(SOCIAL_KEYS.map(key => tryCallMappingString(caller, token, fn, key, type, blockTag)))));
+  const tupleP = tryCallTuple(caller, token, 'getSocials() view returns (string,string,string,string)', SOCIAL_KEYS, blockTag);
+
   // Direct getters
-  const website = await (async () => {
-    for (const sig of ['website() view returns (string)','web() view returns (string)','site() view returns (string)','url() view returns (string)','homepage() view returns (string)']) {
-      const v = await tryCallString(token, sig); if (v) return normalizeUrl(v);
-    } return null;
-  })();
-  if (website) out.website = website;
-
-  const twitter = await (async () => {
-    for (const sig of ['twitter() view returns (string)','x() view returns (string)','twitterUrl() view returns (string)']) {
-      const v = await tryCallString(token, sig); if (v) return normalizeUrl(v,'https://twitter.com/');
-    } return null;
-  })();
-  if (twitter) out.twitter = twitter;
-
-  const telegram = await (async () => {
-    for (const sig of ['telegram() view returns (string)','tg() view returns (string)','telegramUrl() view returns (string)']) {
-      const v = await tryCallString(token, sig); if (v) return normalizeUrl(v,'https://t.me/');
-    } return null;
-  })();
-  if (telegram) out.telegram = telegram;
-
-  const discord = await (async () => {
-    for (const sig of ['discord() view returns (string)','discordUrl() view returns (string)']) {
-      const v = await tryCallString(token, sig); if (v) return normalizeUrl(v);
-    } return null;
-  })();
-  if (discord) out.discord = discord;
+  const [website, twitter, telegram, discord] = await directP;
+  if (website) out.website = normalizeUrl(website);
+  if (twitter) out.twitter = normalizeUrl(twitter,'https://twitter.com/');
+  if (telegram) out.telegram = normalizeUrl(telegram,'https://t.me/');
+  if (discord) out.discord = normalizeUrl(discord);
 
   // contractURI()
-  const contractUri = await tryCallString(token, 'contractURI() view returns (string)');
+  const contractUri = await contractUriP;
   if (contractUri) {
     const jsonA = parseDataUrlToJson(contractUri);
     const jsonB = jsonA || await fetchJsonMaybe(contractUri);
@@ -418,10 +425,11 @@ async function readSocials(token, txHexInput) {
   }
 
   // Public mappings
-  for (const { fn, type } of SOCIALS_MAPPING_FUNCS) {
-    for (const key of SOCIAL_KEYS) {
-      if (out[key]) continue;
-      const v = await tryCallMappingString(token, fn, key, type);
+  const mappings = await mappingsP;
+  SOCIALS_MAPPING_FUNCS.forEach((_, fi) => {
+    SOCIAL_KEYS.forEach((key, ki) => {
+      if (out[key]) return;
+      const v = mappings[fi][ki];
       if (v) {
         const classified = classifyUrl(v);
         if (classified === 'twitter') out.twitter = normalizeUrl(v);
@@ -429,11 +437,11 @@ async function readSocials(token, txHexInput) {
         else if (classified === 'discord') out.discord = normalizeUrl(v);
         else out[key] = normalizeUrl(v);
       }
-    }
-  }
+    });
+  });
 
   // Tuple opsional
-  Object.assign(out, await tryCallTuple(token, 'getSocials() view returns (string,string,string,string)', SOCIAL_KEYS));
+  Object.assign(out, await tupleP);
 
   // Fallback dari calldata ASCII
   if (txHexInput) {
@@ -445,62 +453,17 @@ async function readSocials(token, txHexInput) {
 }
 
 /* ================= Mechanisms ================= */
-/** Per-key denominators; reflect+slices = % (100), APY = bps (10000). */
-const KEY_DENOM = {
-  reflect: 100, reflections_percent: 100, reflection_percent: 100, reflection: 100,
-  dev_fee: 100, dev_share: 100, developer_fee: 100,
-  liquidity_fee: 100, auto_lp: 100, auto_lp_share: 100, lp_share: 100, liquidity_share: 100,
-  gamble: 100, gamble_fee: 100, gamble_share: 100, gamble_percent: 100,
-  burn_buy: 100, burn_sell: 100,
-  max_daily_pump: 100,
-  apy: 10000, apy_per_epoch: 10000,
-};
-
-async function readFeeDenominator(token) {
-  for (const sig of [
+// Getter probing; lib/specs.mjs turns the result into the card's "Specs Mechanisms".
+async function readFeeDenominator(caller, token, blockTag) {
+  const vals = await Promise.all([
     'feeDenominator() view returns (uint256)',
     'FEE_DENOMINATOR() view returns (uint256)',
     'denominator() view returns (uint256)'
-  ]) {
-    const v = await tryCallUint(token, sig);
-    if (v) return Number(v);
-  }
-  return null;
-}
-function guessDenominator(m) {
-  const nums = Object.entries(m)
-    .filter(([,v]) => typeof v === 'string' && /^\d+$/.test(v))
-    .map(([,v]) => BigInt(v));
-  if (nums.some(v => v >= 1000n && v <= 20000n)) return 10000;
-  if (nums.some(v => v >= 100n && v <= 1000n))   return 1000;
-  return 100;
-}
-function bestPctFromRaw(raw, expectedMax = 25) {
-  const v = Number(raw);
-  if (!Number.isFinite(v)) return null;
-  const cands = [
-    { d: 10000, p: (v * 100) / 10000 },
-    { d: 1000,  p: (v * 100) / 1000  },
-    { d: 100,   p: (v * 100) / 100   },
-  ];
-  const within = cands.filter(c => c.p > 0 && c.p <= expectedMax + 1e-9);
-  const chosen = (within.length ? within : cands).reduce((mx, c) => (c.p > mx.p ? c : mx));
-  return Number(chosen.p.toFixed(2));
+  ].map(sig => tryCallUint(caller, token, sig, blockTag)));
+  const v = vals.find(Boolean);
+  return v ? Number(v) : null;
 }
-function getPctSmart(mech, key, expectedMax, defaultDenom = 100) {
-  if (mech[key] == null) return null;
-  const raw = Number(mech[key]);
-  if (!Number.isFinite(raw)) return null;
-  const preferred = KEY_DENOM[key] || defaultDenom || 100;
-  let pct = (raw * 100) / preferred;
-  if (pct > expectedMax || pct < 0.01) {
-    const alt = bestPctFromRaw(raw, expectedMax);
-    if (alt != null) pct = alt;
-  }
-  return Number(pct.toFixed(2));
-}
-
-async function readMechanisms(token) {
+async function readMechanisms(caller, token, blockTag) {
   const mech = {};
 
   // Flags / toggles
@@ -511,9 +474,6 @@ async function readMechanisms(token) {
     ['eth_reflect',      ['ethReflectionEnabled() view returns (bool)','ethReflectEnabled() view returns (bool)']],
     ['gamble_enabled',   ['gambleEnabled() view returns (bool)','gamble() view returns (bool)']],
   ];
-  for (const [key, sigs] of boolProbes) {
-    for (const sig of sigs) { const v = await tryCallBool(token, sig); if (v !== null) { mech[key] = v; break; } }
-  }
 
   // Values (typical EthOS getters + variants)
   const uintProbes = [
@@ -529,408 +489,1457 @@ async function readMechanisms(token) {
     ['apy',             ['apy() view returns (uint256)']],
     ['apy_per_epoch',   ['apyPerEpoch() view returns (uint256)']]
   ];
-  for (const [key, sigs] of uintProbes) {
-    for (const sig of sigs) { const v = await tryCallUint(token, sig); if (v !== null) { mech[key] = v.toString(); break; } }
-  }
 
   // Common tuples (various codebases)
-  Object.assign(mech, await tryCallTuple(token, 'getReflectSplits() view returns (uint256,uint256,uint256)', ['auto_lp_share','gamble','dev_fee']));
-  Object.assign(mech, await tryCallTuple(token, 'reflectSplits() view returns (uint256,uint256,uint256)', ['auto_lp_share','gamble','dev_fee']));
-  Object.assign(mech, await tryCallTuple(token, 'reflectShares() view returns (uint256,uint256,uint256)', ['auto_lp_share','gamble','dev_fee']));
+  const tupleSigs = [
+    'getReflectSplits() view returns (uint256,uint256,uint256)',
+    'reflectSplits() view returns (uint256,uint256,uint256)',
+    'reflectShares() view returns (uint256,uint256,uint256)'
+  ];
 
-  // Fallback via mapping
-  for (const { fn, type } of MECH_MAPPING_UINT_FUNCS) {
-    for (const k of MECH_UINT_KEYS) {
-      if (mech[k] != null) continue;
-      const v = await tryCallMappingUint(token, fn, k, type);
-      if (v !== null) mech[k] = v.toString();
-    }
-  }
-  for (const { fn, type } of MECH_MAPPING_BOOL_FUNCS) {
-    for (const k of MECH_BOOL_KEYS) {
-      if (mech[k] != null) continue;
-      const v = await tryCallMappingBool(token, fn, k, type);
-      if (v !== null) mech[k] = v;
-    }
-  }
+  // Fire every candidate up front so they share one batch; apply in priority order below.
+  const boolsP   = Promise.all(boolProbes.map(([, sigs]) => firstHit(sigs.map(sig => tryCallBool(caller, token, sig, blockTag)))));
+  const uintsP   = Promise.all(uintProbes.map(([, sigs]) => firstHit(sigs.map(sig => tryCallUint(caller, token, sig, blockTag)))));
+  const tuplesP  = Promise.all(tupleSigs.map(sig => tryCallTuple(caller, token, sig, ['auto_lp_share','gamble','dev_fee'], blockTag)));
+  const mapUintP = Promise.all(MECH_MAPPING_UINT_FUNCS.map(({ fn, type }) =>
+    Promise.all(MECH_UINT_KEYS.map(k => tryCallMappingUint(caller, token, fn, k, type, blockTag)))));
+  const mapBoolP = Promise.all(MECH_MAPPING_BOOL_FUNCS.map(({ fn, type }) =>
+    Promise.all(MECH_BOOL_KEYS.map(k => tryCallMappingBool(caller, token, fn, k, type, blockTag)))));
+  const denomP   = readFeeDenominator(caller, token, blockTag);
+
+  (await boolsP).forEach((v, i) => { if (v !== null) mech[boolProbes[i][0]] = v; });
+  (await uintsP).forEach((v, i) => { if (v !== null) mech[uintProbes[i][0]] = v.toString(); });
+  for (const t of await tuplesP) Object.assign(mech, t);
 
-  const denom = await readFeeDenominator(token);
+  // Fallback via mapping
+  const mapUints = await mapUintP;
+  MECH_MAPPING_UINT_FUNCS.forEach((_, fi) => MECH_UINT_KEYS.forEach((k, ki) => {
+    if (mech[k] == null && mapUints[fi][ki] !== null) mech[k] = mapUints[fi][ki].toString();
+  }));
+  const mapBools = await mapBoolP;
+  MECH_MAPPING_BOOL_FUNCS.forEach((_, fi) => MECH_BOOL_KEYS.forEach((k, ki) => {
+    if (mech[k] == null && mapBools[fi][ki] !== null) mech[k] = mapBools[fi][ki];
+  }));
+
+  const denom = await denomP;
   if (denom) mech._denominator = String(denom);
 
   return mech;
 }
 
-/** Build “Specs Mechanisms” with Auto LP / ETH Reward / Gamble / Dev Fee breakdown. */
-function buildSpecs(mech) {
-  if (!mech || !Object.keys(mech).length) return '';
-
-  const defaultDenom = mech._denominator ? Number(mech._denominator) : guessDenominator(mech);
-
-  const reflectPct =
-    getPctSmart(mech, 'reflect', 25, defaultDenom) ??
-    getPctSmart(mech, 'reflections_percent', 25, defaultDenom) ??
-    getPctSmart(mech, 'reflection_percent', 25, defaultDenom) ??
-    getPctSmart(mech, 'reflection', 25, defaultDenom);
-
-  const autoLPslice = getPctSmart(mech, 'auto_lp_share', 100, defaultDenom) ??
-                      getPctSmart(mech, 'liquidity_fee', 100, defaultDenom) ??
-                      getPctSmart(mech, 'lp_share', 100, defaultDenom) ??
-                      getPctSmart(mech, 'liquidity_share', 100, defaultDenom);
-
-  const gambleSlice = getPctSmart(mech, 'gamble', 100, defaultDenom) ??
-                      getPctSmart(mech, 'gamble_fee', 100, defaultDenom) ??
-                      getPctSmart(mech, 'gamble_share', 100, defaultDenom) ??
-                      getPctSmart(mech, 'gamble_percent', 100, defaultDenom);
-
-  const devSlice    = getPctSmart(mech, 'dev_fee', 100, defaultDenom) ??
-                      getPctSmart(mech, 'dev_share', 100, defaultDenom) ??
-                      getPctSmart(mech, 'developer_fee', 100, defaultDenom);
-
-  // ETH Reward = remainder of reflect after AutoLP + Gamble + Dev
-  let ethRewardSlice = null;
-  if (reflectPct != null) {
-    const used = (autoLPslice || 0) + (gambleSlice || 0) + (devSlice || 0);
-    ethRewardSlice = Math.max(0, Number((100 - used).toFixed(2)));
-  }
-
-  const antiBot   = mech.antibot === true ? 'ON' : (mech.antibot === false ? 'OFF' : null);
-  const burnBuy   = getPctSmart(mech, 'burn_buy', 25, defaultDenom);
-  const burnSell  = getPctSmart(mech, 'burn_sell', 25, defaultDenom);
-  const pump      = getPctSmart(mech, 'max_daily_pump', 300, defaultDenom);
-  const reaperSec = mech.death_time ? Number(mech.death_time)
-                    : (mech.reaper_period ? Number(mech.reaper_period) : null);
-  const apyDay    = getPctSmart(mech, 'apy', 100, defaultDenom);
-  const gambleHrs = mech.gamble_period ? Number(mech.gamble_period) : null;
-
-  const lines = [];
-  if (antiBot) lines.push(`Anti-bot: ${antiBot}`);
-  if (reflectPct != null) {
-    lines.push(`Reflect: ${reflectPct.toFixed(2)}%`);
-    if (autoLPslice != null)    lines.push(`• Auto LP: ${autoLPslice.toFixed(2)}% of reflect`);
-    if (ethRewardSlice != null) lines.push(`• ETH Reward: ${ethRewardSlice.toFixed(2)}% of reflect`);
-    if (gambleSlice != null)    lines.push(`• Gamble: ${gambleSlice.toFixed(2)}% of reflect${gambleHrs ? ` (period: ${gambleHrs} h)` : ''}`);
-    if (devSlice != null)       lines.push(`• Dev Fee: ${devSlice.toFixed(2)}% of reflect`);
-  }
-  if (burnBuy != null)   lines.push(`Burn (Buy): ${burnBuy.toFixed(2)}%`);
-  if (burnSell != null)  lines.push(`Burn (Sell): ${burnSell.toFixed(2)}%`);
-  if (pump != null)      lines.push(`Max Daily Pump: ${pump.toFixed(2)}%`);
-  if (reaperSec != null) lines.push(`Reaper period: ${(reaperSec/3600).toFixed(1)} h`);
-  if (apyDay != null)    lines.push(`APY / day: ${apyDay.toFixed(2)}%`);
-
-  return lines.join('\n');
-}
-
-/* ================= Decoders (no ABI) ================= */
-function decodeTokenCreatedLog(log) {
-  try {
-    if (!log.topics?.length) return null;
-    if (log.topics[0].toLowerCase() !== TOKEN_CREATED_TOPIC) return null;
-    const tokenAddress = topicToAddress(log.topics[1]);
-    const [name, symbol] = abiCoder.decode(['string','string'], log.data);
-    return { tokenAddress, name, symbol };
-  } catch { return null; }
-}
-function decodePairCreatedLog(log) {
-  try {
-    if (!log.topics?.length || log.topics[0] !== PAIR_CREATED_TOPIC) return null;
-    const token0 = topicToAddress(log.topics[1]);
-    const token1 = topicToAddress(log.topics[2]);
-    const [pair/*, allPairs*/] = abiCoder.decode(['address','uint256'], log.data);
-    return { token0, token1, pair: ethers.getAddress(pair) };
-  } catch { return null; }
-}
-function decodeMintLog(log) {
-  try {
-    if (!log.topics?.length || log.topics[0] !== MINT_TOPIC) return null;
-    const [amount0, amount1] = abiCoder.decode(['uint256','uint256'], log.data);
-    return { amount0, amount1 };
-  } catch { return null; }
-}
-function decodeSyncLog(log) {
-  try {
-    if (!log.topics?.length || log.topics[0] !== SYNC_TOPIC) return null;
-    const [reserve0, reserve1] = abiCoder.decode(['uint112','uint112'], log.data);
-    return { reserve0: BigInt(reserve0), reserve1: BigInt(reserve1) };
-  } catch { return null; }
-}
-
-/* =============== Token detection (receipt) =============== */
-async function detectNewTokenFromReceipt(receipt) {
-  if (!receipt.to || receipt.to.toLowerCase() !== LAUNCHPAD_ADDRESS.toLowerCase()) return null;
-
-  // 1) TokenCreated
-  let tokenCA=null, tokenName='', tokenSymbol='';
-  for (const lg of receipt.logs) {
-    const dec = decodeTokenCreatedLog(lg);
-    if (dec) { tokenCA=dec.tokenAddress; tokenName=dec.name; tokenSymbol=dec.symbol; break; }
-  }
-  // Fallback: first mint Transfer from 0x0 by token itself
-  if (!tokenCA) {
-    for (const lg of receipt.logs) {
-      if (lg.topics?.[0] === TRANSFER_TOPIC && lg.topics[1] === ZERO32) {
-        tokenCA = ethers.getAddress(lg.address); break;
-      }
-    }
-  }
-  if (!tokenCA) return null;
-
-  // 2) PairCreated → pair & orientation
-  let pairAddr=null, token0=null, token1=null;
-  for (const lg of receipt.logs) {
-    const p = decodePairCreatedLog(lg);
-    if (p && (p.token0.toLowerCase()===tokenCA.toLowerCase() || p.token1.toLowerCase()===tokenCA.toLowerCase())) {
-      pairAddr=p.pair; token0=p.token0; token1=p.token1; break;
-    }
+/* ============ Creation settings (calldata) ============ */
+// createNewToken/createOrigin carry the deployer's settings tuple verbatim, so
+// decoding the creation tx gives exact values; readMechanisms() is the fallback.
+// The bundled mainnet ABI covers deployments whose resolved ABI lacks the function.
+const BUNDLED_LAUNCHPAD_ABI = JSON.parse(fs.readFileSync(new URL('./abi/Launchpad.mainnet.json', import.meta.url), 'utf8'));
+const bundledLaunchpadIface = new ethers.Interface(BUNDLED_LAUNCHPAD_ABI);
+const CREATE_FUNCS = ['createNewToken', 'createOrigin'];
+
+/** Decode a tx sent to `t`'s launchpad: resolved ABI first, bundled ABI for what it lacks. */
+function parseLaunchpadTx(t, { data, value }) {
+  if (!data || data.length < 10) return null;
+  for (const fi of [t.iface, bundledLaunchpadIface]) {
+    if (!fi) continue;
+    try { const parsed = fi.parseTransaction({ data, value }); if (parsed) return parsed; } catch {}
   }
+  return null;
+}
 
-  // 3) Dev & LP token amounts (transfer from factory)
-  let devAmount=0n, lpTokenAmount=0n;
-  for (const lg of receipt.logs) {
-    if (lg.address.toLowerCase() !== tokenCA.toLowerCase()) continue;
-    if (lg.topics?.[0] !== TRANSFER_TOPIC) continue;
-    const from = topicToAddress(lg.topics[1]);
-    const to   = topicToAddress(lg.topics[2]);
-    const amt  = ethers.toBigInt(lg.data);
-    if (from.toLowerCase() === LAUNCHPAD_ADDRESS.toLowerCase()) {
-      if (pairAddr && to.toLowerCase() === pairAddr.toLowerCase()) lpTokenAmount += amt;
-      else devAmount += amt;
-    }
-  }
+function decodeCreateSettings(t, txData) {
+  const parsed = parseLaunchpadTx(t, { data: txData });
+  if (!parsed || !CREATE_FUNCS.includes(parsed.name)) return null;
+  try { return parsed.args.settings.toObject(); } catch { return null; }
+}
 
-  // 4) LP ETH (Mint/Sync or WETH Deposit→Transfer to pair)
-  let lpEthWei = 0n;
-  let wethAddr = (WETH_ADDRESS && WETH_ADDRESS.length===42) ? ethers.getAddress(WETH_ADDRESS)
-                : (chainIdNum === 1 ? ethers.getAddress('0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2') : null); // canonical mainnet WETH
+/* ============ Launchpad limits / status ============ */
+/** Card section from readLaunchpadToken(): limits as { amount (tokens), pct (of supply) }, then status flags; null when empty. */
+function launchpadView(lp, { tokenDecimals, totalSupply }) {
+  if (!lp) return null;
+  const tokens = (v) => v ? {
+    amount: Number(ethers.formatUnits(v, tokenDecimals || 18)),
+    pct: totalSupply > 0n ? Number((v * 10000n) / totalSupply) / 100 : null
+  } : null;
+  const view = {
+    maxWallet: tokens(lp.maxWallet),
+    minBuy: lp.minBuy || null,
+    maxSell: tokens(lp.maxSell),
+    pumpAllowance: tokens(lp.pump?.burnAmount),
+    lockTimeLeft: lp.timeLeft ? Number(lp.timeLeft) : null,
+    badges: [
+      lp.ecoFriendly && 'eco',
+      lp.isBooster && 'booster',
+      lp.isFunded && 'funded',
+      lp.hasWithdrawLiquidity && 'withdrawn'
+    ].filter(Boolean)
+  };
+  return Object.values(view).some(v => Array.isArray(v) ? v.length : v != null) ? view : null;
+}
 
-  if (pairAddr) {
-    for (const lg of receipt.logs) {
-      if (lg.address.toLowerCase() !== pairAddr.toLowerCase()) continue;
-      const m = decodeMintLog(lg);
-      if (m && token0 && token1) {
-        if (token0.toLowerCase()===tokenCA.toLowerCase()) lpEthWei = BigInt(m.amount1);
-        else lpEthWei = BigInt(m.amount0);
-      }
-      const s = decodeSyncLog(lg);
-      if (s && token0 && token1) {
-        if (token0.toLowerCase()===tokenCA.toLowerCase()) lpEthWei = BigInt(s.reserve1);
-        else lpEthWei = BigInt(s.reserve0);
-      }
-    }
-  }
-  if (lpEthWei === 0n) {
-    let inferWeth=null, inferAmount=0n;
-    for (const lg of receipt.logs) if (lg.topics?.[0] === DEPOSIT_TOPIC) inferWeth = ethers.getAddress(lg.address);
-    if (inferWeth && pairAddr) {
-      for (const lg of receipt.logs) {
-        if (lg.address.toLowerCase() !== inferWeth.toLowerCase()) continue;
-        if (lg.topics?.[0] !== TRANSFER_TOPIC) continue;
-        const to = topicToAddress(lg.topics[2]);
-        if (to.toLowerCase() === pairAddr.toLowerCase()) inferAmount += ethers.toBigInt(lg.data);
-      }
-    }
-    if (inferAmount > 0n) { lpEthWei = inferAmount; wethAddr = inferWeth || wethAddr; }
-  }
+/** Deployer section: previous launches from the same address and how they ended (withdrawn / dead / alive). */
+function deployerView(profile) {
+  if (!profile) return null;
+  return {
+    address: profile.deployer,
+    count: profile.count,
+    more: profile.more || 0,
+    recent: profile.tokens.length,
+    tally: ['withdrawn', 'dead', 'alive']
+      .map(outcome => ({ outcome, n: profile.tokens.filter(t => t.outcome === outcome).length }))
+      .filter(({ n }) => n),
+    tokens: profile.tokens.map(t => ({
+      symbol: t.symbol || null, outcome: t.outcome, locked: Boolean(t.locked),
+      lpEth: t.outcome === 'alive' && t.ethWei != null ? Number(fmtETH(t.ethWei)) : null
+    }))
+  };
+}
 
-  const basics = await readTokenBasics(tokenCA);
+/* =============== Token detection (receipt) =============== */
+async function detectNewTokenFromReceipt(t, receipt, hint = null, blockTag = 'latest') {
+  if (!receipt.to || receipt.to.toLowerCase() !== t.launchpad.toLowerCase()) return null;
+  const launch = decodeLaunchLogs(receipt.logs, { launchpad: t.launchpad, weth: t.weth, hint });
+  if (!launch) return null;
 
+  const basics = await readTokenBasics(t.caller, launch.tokenCA, blockTag);
   return {
-    tokenCA, tokenName: tokenName || basics.name, tokenSymbol: tokenSymbol || basics.symbol,
-    pairAddr, token0, token1,
-    devAmount, lpTokenAmount, lpEthWei,
+    ...launch,
+    tokenName: launch.tokenName || basics.name, tokenSymbol: launch.tokenSymbol || basics.symbol,
+    deployer: receipt.from ? ethers.getAddress(receipt.from) : null,
     tokenDecimals: basics.decimals, totalSupply: basics.totalSupply
   };
 }
 
-/* ================= Lock (1-liner) ================= */
+/* ================= Lock events ================= */
 function detectSettingsLockedFromReceipt(receipt) {
   for (const lg of receipt.logs) {
     if (!lg.topics?.length) continue;
-    if (SETTINGS_LOCKED_TOPICS.includes(lg.topics[0])) {
+    const event = LOCK_EVENT_TOPICS[lg.topics[0]];
+    if (event) {
       let ca = null;
       if (lg.topics[1]) ca = topicToAddress(lg.topics[1]);
       else if (lg.data && lg.data.length>=66) ca = ethers.getAddress('0x' + lg.data.slice(26,66));
-      return { ca };
+      return { ca, event };
     }
   }
   return null;
 }
 
-/* ============== (Optional) via ABI ============== */
-let iface = null;
-const createNames = CREATE_EVENT_NAMES.split(',').map(s=>s.trim()).filter(Boolean);
-const lockNames   = LOCK_EVENT_NAMES.split(',').map(s=>s.trim()).filter(Boolean);
+/* ================= Launchpad ABI ================= */
+// Resolved per target at startup through the registry (abi/ files → inline ABI → Etherscan + cache).
+const abiRegistry = createAbiRegistry({
+  abiDir: fileURLToPath(new URL('./abi', import.meta.url)),
+  cacheDir: path.join(DATA_DIR, 'abi-cache'),
+  etherscanApiKey: ETHERSCAN_API_KEY
+});
+const CREATE_NAMES = CREATE_EVENT_NAMES.split(',').map(s=>s.trim()).filter(Boolean);
+const LOCK_NAMES   = LOCK_EVENT_NAMES.split(',').map(s=>s.trim()).filter(Boolean);
+
+async function loadLaunchpadAbi(t) {
+  const entry = await abiRegistry.resolve(t.chainId, t.launchpad, t.abi);
+  if (!entry) { console.warn(`[${t.name}] Launchpad ABI not found. Falling back to log-based detection.`); return; }
+  if (!entry.iface.hasEvent('TokenCreated')) {
+    console.error(`[${t.name}] ABI from ${entry.source} does not define TokenCreated; ignoring it and falling back to log-based detection.`);
+    return;
+  }
+  t.iface = entry.iface;
+  t.abiSource = entry.source;
+  info(`[${t.name}] Launchpad ABI loaded from ${entry.source}`);
+
+  const c = checkEventNames(t.iface, CREATE_NAMES), l = checkEventNames(t.iface, LOCK_NAMES);
+  if (c.missing.length) console.warn(`[${t.name}] CREATE_EVENT_NAMES not defined by the ABI (ignored): ${c.missing.join(', ')}`);
+  if (l.missing.length) console.warn(`[${t.name}] LOCK_EVENT_NAMES not defined by the ABI (topic matching still applies): ${l.missing.join(', ')}`);
+  t.createNames = c.defined;
+  t.lockNames = l.defined;
+}
 
-async function handleReceiptWithAbi(receipt) {
+/** Launchpad events decoded with `t`'s ABI → hints for the launch card / lock notification. */
+function decodeReceiptWithAbi(t, receipt) {
+  const out = { created: null, locked: null };
   for (const lg of receipt.logs) {
-    if (String(lg.address).toLowerCase() !== String(LAUNCHPAD_ADDRESS).toLowerCase()) continue;
-    let parsed=null; try { parsed = iface.parseLog({ topics: lg.topics, data: lg.data }); } catch { continue; }
+    if (String(lg.address).toLowerCase() !== t.launchpad.toLowerCase()) continue;
+    let parsed=null; try { parsed = t.iface.parseLog({ topics: lg.topics, data: lg.data }); } catch { continue; }
     const evName = parsed?.name || '';
     const argsArr = parsed?.args ?? [];
     const namedArgs = {};
-    if (parsed?.fragment?.inputs) parsed.fragment.inputs.forEach((inp,idx)=>{ namedArgs[inp.name||`arg${idx}`]=argsArr[idx]; });
+    // Topic matches but the layout does not (e.g. an indexed arg the ABI lists as data): ethers only throws on access.
+    try { parsed?.fragment?.inputs?.forEach((inp,idx)=>{ namedArgs[inp.name||`arg${idx}`]=argsArr[idx]; }); } catch { continue; }
 
-    if (createNames.some(n=>n.toLowerCase()===evName.toLowerCase())) {
+    if (!out.created && t.createNames.some(n=>n.toLowerCase()===evName.toLowerCase())) {
       const token = namedArgs.tokenAddress || namedArgs.token ||
         Object.values(namedArgs).find(v=>typeof v==='string'&&v.startsWith('0x')&&v.length===42);
-      const name = namedArgs.name || ''; const symbol = namedArgs.symbol || '';
-      const ethos = token ? ethosUrlFor(token) : ethosUrlFor('');
-      const lines = [
-        `<b>🚀 New EOS20 Token Created</b>`,
-        token ? `CA: <code>${token}</code>` : '',
-        (name||symbol) ? `Name: <b>${escapeHtml(name)}</b>` : '',
-        `Ticker: ${symbol ? `<b>${escapeHtml(symbol)}</b>` : ''}`
-      ].filter(Boolean);
-      await send(lines.join('\n') + `\n\n`, [
-        [{ text:'Open in EthOS', url: ethos }]
-      ]);
-      return true;
+      if (token) out.created = { tokenCA: ethers.getAddress(token), name: namedArgs.name || '', symbol: namedArgs.symbol || '' };
     }
 
-    if (lockNames.some(n=>n.toLowerCase()===evName.toLowerCase())) {
+    if (!out.locked && t.lockNames.some(n=>n.toLowerCase()===evName.toLowerCase())) {
       const token = namedArgs.tokenAddress || namedArgs.token || null;
-      const ethos = token ? ethosUrlFor(token) : ethosUrlFor('');
-      const line = token
-        ? `🔒 <code>${token}</code>\n<b>Settings locked forever</b>`
-        : `🔒 <b>Settings locked forever</b>`;
-      await send(line, [[{ text:'Open in EthOS', url: ethos }]]);
-      return true;
+      out.locked = { ca: token ? ethers.getAddress(token) : null, event: evName };
     }
   }
-  return false;
+  return out;
+}
+
+/* ================= Launch registry ================= */
+// Posted launches per target (card message ids, pair, dev wallet) so follow-ups
+// can reply to the original card. Entries older than RISK_WATCH_DAYS are dropped.
+function rememberLaunch(t, launch) {
+  const { launches } = t.state.data;
+  const cutoff = Date.now() - Number(RISK_WATCH_DAYS) * 86_400_000;
+  for (const [k, l] of Object.entries(launches)) if (l.at < cutoff) delete launches[k];
+  launches[launch.tokenCA.toLowerCase()] = launch;
+  t.state.save();
+}
+const watchedLaunches = (t) => Object.values(t.state.data.launches);
+/** Resubscribe the risk watch when a backfill remembered launches it is not subscribed to yet. */
+async function refreshRiskWatch(t) {
+  if (!t.riskStale) return;
+  t.riskStale = false;
+  await t.riskWatch.refresh();
+}
+const launchFor = (t, ca) => (ca && t.state.data.launches[ca.toLowerCase()]) || null;
+
+/* ================= Archive ================= */
+// Every launch and lock ever detected, for /recent, /search and /export (kept while paused too).
+const archive = createArchive({ file: path.join(DATA_DIR, 'archive.jsonl') });
+
+/** Launch event → archive record; `fill` = read back by /archive, whose USD figures would be today's. */
+const launchRecord = (ev, source = 'live') => ({
+  kind: 'launch', at: ev.timestamp, target: ev.target, label: ev.label, chainId: ev.chainId, block: ev.block, txHash: ev.txHash,
+  token: ev.token.address, name: ev.token.name || null, symbol: ev.token.symbol || null,
+  deployer: ev.deployer || null, pair: ev.pair || null,
+  lpEth: ev.market.lpEth, fdvEth: ev.market.fdvEth, fdvUsd: source === 'live' && ev.market.fdvUsd > 0 ? ev.market.fdvUsd : null,
+  devPct: ev.devPct, reflectPct: ev.reflectPct, mechanisms: ev.mechanisms || null, socials: ev.socials, source
+});
+
+const lockRecord = (ev) => ({
+  kind: 'lock', at: ev.timestamp, target: ev.target, label: ev.label, chainId: ev.chainId, block: ev.block, txHash: ev.txHash,
+  token: ev.token.address, name: ev.token.name, symbol: ev.token.symbol,
+  event: ev.event, lockSeconds: ev.lockSeconds, unlocksAt: ev.unlocksAt, source: 'live'
+});
+
+/* ================= Risk alerts ================= */
+const RISK_TITLES = {
+  withdrawDevLiquidity: 'Dev liquidity withdrawn',
+  recoverLP:            'LP recovered from launchpad',
+  recoverTokens:        'Tokens recovered from launchpad',
+  lpBurn:               'Large liquidity removal',
+  devDump:              'Dev wallet sent tokens into the pair'
+};
+
+/** Amounts of a risk event as plain text ("1.2 ETH + 3.4M FOO"); amountUsd = the ETH part in USD. */
+function riskAmounts({ ethWei, tokenWei, lpWei, token }) {
+  return [
+    ethWei != null ? `${fmtEthShort(fmtETH(ethWei))} ETH` : null,
+    tokenWei != null ? `${fmtCompact(ethers.formatUnits(tokenWei, token.decimals || 18))} ${token.symbol || 'tokens'}` : null,
+    lpWei != null ? `${fmtCompact(ethers.formatEther(lpWei))} LP` : null
+  ].filter(Boolean).join(' + ');
+}
+
+function renderRiskAlert(ev, look) {
+  const amountUsd = ev.ethWei != null && ev.ethUsd > 0 ? Number(fmtETH(ev.ethWei)) * ev.ethUsd : null;
+  return templates.render('risk', { ...ev, amounts: riskAmounts(ev), amountUsd }, look);
+}
+
+async function postRiskAlert(t, alert) {
+  const { kind, launch, tokenCA, txHash, ethWei, tokenWei, lpWei, pct, unit } = alert;
+  riskTotal.inc({ target: t.name, kind });
+  const ethPrice = ethWei != null ? await prices.ethUsd(priceChain(t)) : null;
+  await publish({
+    ...eventBase(t, 'risk', txHash), kind, title: RISK_TITLES[kind] || kind,
+    token: { address: tokenCA, symbol: launch?.tokenSymbol ?? null, decimals: launch?.tokenDecimals ?? 18 },
+    ethWei, tokenWei, lpWei, pct, unit, ethUsd: ethPrice?.usd ?? 0, ethPrice,
+    links: linksFor(t, tokenCA, txHash)
+  });
+}
+
+/* ================= Lock notifications ================= */
+const LOCK_TITLES = {
+  SettingsLocked:  'Settings locked',
+  LiquidityLocked: 'Liquidity locked',
+  MechanismLocked: 'Mechanism locked'
+};
+
+const fmtUtc = (sec) => new Date(sec * 1000).toISOString().slice(0, 16).replace('T', ' ') + ' UTC';
+
+const renderLockNotice = (ev, look) => templates.render('lock', ev, look);
+
+/** Lock event → notice threaded under the launch card(s); a still-live card also gets its badge. */
+async function postLockNotice(t, locked, receipt) {
+  const { ca } = locked;
+  const event = locked.event || 'SettingsLocked';
+  const launch = launchFor(t, ca);
+  // As of the lock's block, so "until" is the same whenever the receipt is handled.
+  const [basics, lockLeft, block] = await Promise.all([
+    ca ? readTokenBasics(t.caller, ca, receipt.blockNumber) : {},
+    ca ? readLockTimeLeft(t.caller, t.launchpad, ca, receipt.blockNumber) : null,
+    t.provider.getBlock(receipt.blockNumber).catch(() => null)
+  ]);
+
+  const base = eventBase(t, 'lock', receipt.hash, receipt.blockNumber, block?.timestamp);
+  const ev = {
+    ...base, event, title: LOCK_TITLES[event] || 'Settings locked',
+    token: { address: ca, name: basics.name || launch?.tokenName || null, symbol: basics.symbol || launch?.tokenSymbol || null },
+    lockSeconds: lockLeft?.seconds ?? null,
+    unlocksAt: lockLeft ? base.timestamp + lockLeft.seconds : null,
+    links: linksFor(t, ca, receipt.hash)
+  };
+  archive.add(lockRecord(ev));
+  await publish(ev);
+
+  if (launch) {
+    launch.locks = [...new Set([...(launch.locks || []), event])];
+    t.state.save();
+  }
+  if (ca) t.liveCards.update(ca, (card) => { card.locked = true; });
+}
+
+/* ================= Governance feed ================= */
+function fmtParam(key, value) {
+  if (/^0x[0-9a-fA-F]{40}$/.test(value)) return `<code>${value}</code>`;
+  if (/^\d+$/.test(value) && /eth/i.test(key)) return `<b>${fmtEthShort(fmtETH(value))} ETH</b>`;
+  if (/^\d+$/.test(value) && /(time|cooldown)$/i.test(key)) return `<b>${fmtDuration(Number(value))}</b>`;
+  return `<b>${escapeHtml(value)}</b>`;
+}
+
+function renderGovernance(ev, look) {
+  const params = (args) => Object.entries(args).map(([key, value]) => ({ key, value: fmtParam(key, value) }));
+  return templates.render('governance', {
+    ...ev,
+    actions: ev.actions.map(({ kind, name, args }) => ({ event: kind === 'event', name, args: params(args) })),
+    changes: ev.changes.map(c => ({ key: c.key, before: fmtParam(c.key, c.before), after: fmtParam(c.key, c.after) }))
+  }, look);
+}
+
+/* ================= Digest ================= */
+// Daily / weekly recap per target from the archive, plus each launch's state today (lib/digest.mjs).
+const DIGEST_READ_BATCH = 25;
+
+/** Today's outcome / FDV of `launches` and their deployers' launch counts, read in small batches. */
+async function digestReads(t, launches, ethUsd) {
+  const current = new Map(), launchCounts = new Map();
+  if (!t.provider && !t.httpProvider) return { current, launchCounts };
+  const deployers = [...new Set(launches.map(r => r.deployer?.toLowerCase()).filter(Boolean))];
+  const jobs = [
+    ...launches.map(r => async () => {
+      const [info, basics] = await Promise.all([t.deployerProfiles.token(r.token, r.deployer), readTokenBasics(t.caller, r.token)]);
+      const market = info.ethWei != null && info.tokenWei != null
+        ? marketFromReserves({ ethWei: info.ethWei, tokenWei: info.tokenWei, totalSupply: basics.totalSupply, tokenDecimals: basics.decimals, ethUsd })
+        : null;
+      current.set(r.token.toLowerCase(), { outcome: info.outcome, fdvEth: market?.fdvEth ?? 0, fdvUsd: market?.fdvUsd ?? 0 });
+    }),
+    ...deployers.map(d => async () => {
+      const n = await t.deployerProfiles.launchCount(d);
+      if (n != null) launchCounts.set(d, n);
+    })
+  ];
+  for (let i = 0; i < jobs.length; i += DIGEST_READ_BATCH) {
+    await Promise.all(jobs.slice(i, i + DIGEST_READ_BATCH).map(job => job().catch(() => {})));
+  }
+  return { current, launchCounts };
+}
+
+/** Digest event of `t` for launches / locks in [from, to) (ms). */
+async function buildDigest(t, period, { from, to }) {
+  const fromSec = Math.floor(from / 1000), toSec = Math.floor(to / 1000);
+  const records = archive.since(fromSec).filter(r => r.target === t.id && r.at < toSec);
+  const ethPrice = await prices.ethUsd(priceChain(t));
+  const reads = await digestReads(t, records.filter(r => r.kind === 'launch'), ethPrice?.usd ?? 0);
+  return {
+    ...eventBase(t, 'digest', null, null, toSec),
+    period, from: fromSec, to: toSec, timeZone: DIGEST_TIMEZONE,
+    ...summarize(records, { from: fromSec, to: toSec, ...reads, top: Number(DIGEST_TOP) })
+  };
+}
+
+const digestWindowText = (ev) => `${fmtZoned(ev.from * 1000, ev.timeZone)} – ${fmtZoned(ev.to * 1000, ev.timeZone)} (${ev.timeZone})`;
+
+function renderDigest(ev, look) {
+  const t = targetsById.get(ev.target);
+  const token = (r, i) => ({ ...r, rank: i + 1, link: t ? linksFor(t, r.token).ethos : null });
+  return templates.render('digest', {
+    ...ev,
+    weekly: ev.period === 'weekly',
+    window: digestWindowText(ev),
+    topLp: ev.topLp.map(token),
+    topFdv: ev.topFdv.map(token),
+    deployers: ev.deployers.map((d, i) => ({ ...d, rank: i + 1, url: t?.explorer ? `${t.explorer}/address/${d.deployer}` : null }))
+  }, look);
+}
+
+/** Scheduled run: one digest per target, published like any other event (so /pause holds it back too). */
+async function postDigests(period, window) {
+  for (const t of targets) {
+    try { await publish(await buildDigest(t, period, window)); }
+    catch (e) { console.error(`[${t.name}] ${period} digest failed:`, e); }
+  }
+}
+
+// Posted slots live in DATA_DIR/digest.json, so a restart neither repeats nor (within a few hours) misses one.
+const digests = DIGEST_SCHEDULES.length && !REPLAY_ARGS ? createDigestScheduler({
+  schedules: DIGEST_SCHEDULES,
+  timeZone: DIGEST_TIMEZONE,
+  state: createJsonStore(path.join(DATA_DIR, 'digest.json'), {}),
+  run: postDigests
+}) : null;
+
+/* ================= Notification sinks ================= */
+const TELEGRAM_RENDER = {
+  launch: (ev, look) => renderLaunchCard(launchCard(ev), look),
+  lock: renderLockNotice,
+  risk: renderRiskAlert,
+  governance: renderGovernance,
+  digest: renderDigest
+};
+
+// Governance goes to the admin chat; everything else fans out to subscribed chats, threaded under the card.
+function deliverTelegram(ev, renderFor) {
+  if (ev.type === 'governance') {
+    const chatId = ADMIN_CHAT_ID || TARGET_CHAT_ID;
+    return [{ chatId, jobId: outbox.enqueue({ chatId, ...renderFor(chatId) }) }];
+  }
+  const t = targetsById.get(ev.target);
+  const tokenCA = ev.token?.address ?? null;
+  return fanOut(ev.type, ev.facts ?? launchFor(t, tokenCA)?.facts ?? null, renderFor, t, tokenCA);
+}
+
+function discordEmbed(ev) {
+  const tx = ev.txHash ? `[${ev.txHash.slice(0, 10)}…](${ev.links.tx})` : null;
+  const field = (name, value, inline = true) => value ? { name, value: String(value), inline } : null;
+  const tokenLabel = (t) => [t.name, t.symbol && `(${t.symbol})`].filter(Boolean).join(' ') || t.address || 'unknown token';
+
+  if (ev.type === 'launch') {
+    const { market } = ev;
+    const socials = [
+      ...Object.entries(ev.socials || {}).filter(([, v]) => v).map(([k, v]) => `[${k}](${v.replace(/\)/g, '%29')})`),
+      ...Object.entries(ev.flaggedSocials || {}).map(([k, f]) => `⚠️ ${k}: unsafe link (${f.reason}${f.imitates ? `, imitates ${f.imitates}` : ''})`)
+    ].join(' · ');
+    return {
+      title: `🚀 ${tokenLabel(ev.token)}`, url: ev.links.ethos,
+      description: `\`${ev.token.address}\`${socials ? `\n${socials}` : ''}`,
+      fields: [
+        field('LP', market.lpEth > 0 ? `${fmtEthShort(market.lpEth)} ETH${market.lpUsd > 0 ? ` (~$${fmtUSD(market.lpUsd)})` : ''}` : null),
+        field('FDV', market.fdvUsd > 0 ? `~$${fmtUSD(market.fdvUsd)}` : market.fdvEth > 0 ? `${fmtEthShort(market.fdvEth)} ETH` : null),
+        field('Price', market.priceEth > 0 ? `${market.priceUsd > 0 ? `$${fmtPrice(market.priceUsd)} · ` : ''}${fmtPrice(market.priceEth)} ETH` : null),
+        field('Dev Hold', `${(ev.devPct || 0).toFixed(2)}%`),
+        field('Reflect', ev.reflectPct != null ? `${ev.reflectPct.toFixed(2)}%` : null),
+        field('Deployer', ev.deployer ? `\`${ev.deployer}\`${ev.deployerProfile ? ` · ${ev.deployerProfile.count} previous launches` : ''}` : null, false),
+        field('Tx', tx, false)
+      ].filter(Boolean)
+    };
+  }
+  if (ev.type === 'lock') {
+    return {
+      title: `🔒 ${ev.title}: ${tokenLabel(ev.token)}`, url: ev.links.ethos || undefined,
+      description: ev.token.address ? `\`${ev.token.address}\`` : undefined,
+      fields: [
+        field('Event', ev.event),
+        field('Duration', ev.lockSeconds ? `${fmtDuration(ev.lockSeconds)} (until ${fmtUtc(ev.unlocksAt)})` : 'forever'),
+        field('Tx', tx, false)
+      ].filter(Boolean)
+    };
+  }
+  if (ev.type === 'risk') {
+    return {
+      title: `⚠️ ${ev.title}: ${tokenLabel(ev.token)}`, url: ev.links.ethos,
+      description: `\`${ev.token.address}\``,
+      fields: [
+        field('Amount', riskAmounts(ev)),
+        field('Share', ev.pct != null ? `${ev.pct.toFixed(2)}% of ${ev.unit === 'lp' ? 'LP' : 'supply'}` : null),
+        field('Tx', tx, false)
+      ].filter(Boolean)
+    };
+  }
+  if (ev.type === 'digest') {
+    const list = (items, line) => items.map((x, i) => `${i + 1}. ${line(x)}`).join('\n');
+    const name = (r) => r.symbol || r.name || r.token;
+    return {
+      title: `📊 ${ev.period === 'weekly' ? 'Weekly' : 'Daily'} launchpad digest`,
+      description: digestWindowText(ev),
+      fields: [
+        field('Launches', String(ev.launches)),
+        field('Locks', String(ev.locks)),
+        field('LP withdrawn / not alive', ev.checked ? `${ev.withdrawn} / ${ev.dead}` : null),
+        field('Median dev hold', ev.medianDevPct != null ? `${ev.medianDevPct.toFixed(2)}%` : null),
+        field('Median reflect', ev.medianReflectPct != null ? `${ev.medianReflectPct.toFixed(2)}%` : null),
+        field('Top by initial LP', list(ev.topLp, r => `${name(r)} · ${fmtEthShort(r.lpEth)} ETH`), false),
+        field('Top by FDV now', list(ev.topFdv, r => `${name(r)} · ${r.fdvUsd > 0 ? `~$${fmtUSD(r.fdvUsd)}` : `${fmtEthShort(r.fdvEth)} ETH`}`), false),
+        field('Top deployers', list(ev.deployers, d => `\`${d.deployer}\` · ${d.total ?? '?'} launches, ${d.launched} in this period`), false)
+      ].filter(Boolean)
+    };
+  }
+  const args = (a) => Object.entries(a).map(([k, v]) => `${k} = ${v}`).join(', ');
+  return {
+    title: '🏛 Launchpad governance',
+    description: [
+      ...ev.actions.map(a => `${a.kind === 'event' ? 'Event' : 'Call'}: \`${a.name}\`${Object.keys(a.args).length ? ` (${args(a.args)})` : ''}`),
+      ...ev.changes.map(c => `**${c.key}**: ${c.before} → ${c.after}`)
+    ].join('\n') || 'No visible change',
+    fields: [field('Tx', tx || `re-read at block ${ev.block}`, false)]
+  };
+}
+
+/** Dry run (--replay): the Telegram post (default look) written to `out`, buttons as [text](url). */
+function printPost(out, ev, renderFor) {
+  const { html, rows } = renderFor(null);
+  const buttons = (rows || []).map(row => row.map(b => `[${b.text}](${b.url ?? b.callback_data ?? ''})`).join('  '));
+  out.write([`──── ${ev.type}${ev.label ? ` · ${ev.label}` : ''} · ${ev.txHash ?? `block ${ev.block}`}`, html, ...buttons].join('\n') + '\n\n');
+  return true;
+}
+
+const eventList = (v) => v ? v.split(',').map(s => s.trim()).filter(Boolean) : undefined;
+const telegramRender = (ev, chatId) => TELEGRAM_RENDER[ev.type](ev, lookOf(chatId));
+const discordRender = (ev) => ({ ...discordEmbed(ev), ...(ev.label ? { footer: { text: ev.label } } : {}) });
+const sinks = [];
+if (REPLAY_ARGS) sinks.push(createTelegramSink({ render: telegramRender, deliver: (ev, renderFor) => printPost(process.stdout, ev, renderFor) })); // nothing leaves the process
+else {
+  if (NOTIFY_TELEGRAM !== 'false') sinks.push(createTelegramSink({ render: telegramRender, deliver: deliverTelegram }));
+  if (DISCORD_WEBHOOK_URL) sinks.push(createDiscordSink({ url: DISCORD_WEBHOOK_URL, render: discordRender, events: eventList(DISCORD_EVENTS), retries: Number(NOTIFY_RETRIES) }));
+  if (WEBHOOK_URL) sinks.push(createWebhookSink({ url: WEBHOOK_URL, secret: WEBHOOK_SECRET, events: eventList(WEBHOOK_EVENTS), retries: Number(NOTIFY_RETRIES) }));
+  if (JSONL_PATH) sinks.push(createJsonlSink({ file: JSONL_PATH, events: eventList(JSONL_EVENTS), retries: Number(NOTIFY_RETRIES) }));
 }
+const notifier = createNotifier(sinks, {
+  onResult: (sink, ev, ok) => sinkTotal.inc({ sink, type: ev.type, result: ok ? 'ok' : 'error' })
+});
+
+// /pause drops events before any sink sees them; detection, checkpoints and the launch registry keep going.
+const control = createJsonStore(path.join(DATA_DIR, 'control.json'), { paused: false });
+const publish = (event) => control.data.paused ? null : notifier.notify(event);
 
 /* ================= Orchestration ================= */
-const seenTx = new Set();
 
-async function resolveFromBlock(fromSpec) {
+async function resolveFromBlock(t, fromSpec) {
   if (!fromSpec) return null;
   if (/^latest-\d+$/.test(fromSpec)) {
     const sub = Number(fromSpec.split('-')[1]);
-    const latest = await provider.getBlockNumber();
+    const latest = await t.provider.getBlockNumber();
     return Math.max(0, latest - sub);
   }
   const n = Number(fromSpec);
   return Number.isFinite(n) ? n : null;
 }
-const socialsLineOrEmpty = (s) => (socialsLine(s) || '');
-
-async function handleReceipt(receipt) {
-  if (iface) { const handled = await handleReceiptWithAbi(receipt); if (handled) return; }
-
-  const created = await detectNewTokenFromReceipt(receipt);
-  if (created) {
-    const {
-      tokenCA, tokenName, tokenSymbol,
-      devAmount, lpTokenAmount, lpEthWei,
-      tokenDecimals, totalSupply
-    } = created;
-
-    // Tx input → socials-fallback
-    let txInputHex = '';
-    try { const tx = await provider.getTransaction(receipt.hash); txInputHex = tx?.data || tx?.input || ''; } catch {}
-
-    // Enrich
-    const [socialsRaw, mechanisms, ethUsd] = await Promise.all([
-      readSocials(tokenCA, txInputHex),
-      readMechanisms(tokenCA),
-      fetchEthUsd()
-    ]);
-    const socials = socialsRaw ? socialsRaw : {};
-
-    // FDV (USD only): (totalSupply * LP_ETH) / LP_TOKENS * ETHUSD
-    let fdvWei = 0n;
-    if (lpTokenAmount>0n && lpEthWei>0n && totalSupply>0n) fdvWei = (totalSupply * lpEthWei) / lpTokenAmount;
-    const fdvEthNum = fdvWei>0n ? Number(fmtETH(fdvWei)) : 0;
-    const fdvUsd = ethUsd>0 && fdvEthNum>0 ? fdvEthNum * ethUsd : 0;
-
-    // LP shown as USD + ETH side
-    const lpEthSide = lpEthWei > 0n ? Number(fmtETH(lpEthWei)) : 0;
-    const lpUsdCombined = (ethUsd>0 && lpEthSide>0) ? lpEthSide * ethUsd * 2 : 0;
-
-    const ethosUrl   = ethosUrlFor(tokenCA);
-
-    // Dev Hold %
-    const total = Number(ethers.formatUnits(totalSupply, tokenDecimals || 18));
-    const dev   = Number(ethers.formatUnits(devAmount,   tokenDecimals || 18));
-    const devPct = total > 0 ? (dev / total) * 100 : 0;
-
-    // ==== MESSAGE ====
-    const header = [
-      `<b>🚀 New EOS20 Token Created</b>`,
-      `CA: <code>${tokenCA}</code>`,
-      `Name: <b>${escapeHtml(tokenName||'')}</b>`,
-      `Ticker: ${tokenSymbol ? `<b>${escapeHtml(tokenSymbol)}</b>` : ''}`,
-      socialsLineOrEmpty(socials)
-    ].filter(Boolean).join('\n');
-
-    const mid = [
-      `Dev Hold: <b>${devPct ? devPct.toFixed(2) : '0.00'}%</b>`,
-      (lpUsdCombined>0 || lpEthSide>0)
-        ? `LP: <b>~$${fmtUSD(lpUsdCombined)} (${fmtEthShort(lpEthSide)} ETH)</b>` : null,
-      (fdvUsd>0) ? `FDV (mcap): <b>~$${fmtUSD(fdvUsd)}</b>` : null
-    ].filter(Boolean).join('\n');
-
-    const specs = buildSpecs(mechanisms);
-    const specsBlock = specs ? `<b>Specs Mechanisms:</b>\n${specs}` : '';
-
-    const msg = [header, '', mid, '', specsBlock].join('\n');
-
-    await send(msg, [
-      [{ text:'Open in EthOS', url: ethosUrl }]
-    ]);
-  }
-
-  const locked = detectSettingsLockedFromReceipt(receipt);
-  if (locked) {
-    const ethos = ethosUrlFor(locked.ca || '');
-    const line = locked.ca
-      ? `🔒 <code>${locked.ca}</code>\n<b>Settings locked forever</b>`
-      : `🔒 <b>Settings locked forever</b>`;
-    await send(line, [[{ text:'Open in EthOS', url: ethos }]]);
+
+/* ================= Launch card ================= */
+/**
+ * LP (USD + ETH side), FDV and the token price from an ETH/token reserve pair:
+ * FDV = totalSupply * ETH / tokens. USD fields are 0 without an ETH price.
+ */
+function marketFromReserves({ ethWei, tokenWei, totalSupply, tokenDecimals, ethUsd }) {
+  let fdvWei = 0n;
+  if (tokenWei>0n && ethWei>0n && totalSupply>0n) fdvWei = (totalSupply * ethWei) / tokenWei;
+  const fdvEth = fdvWei>0n ? Number(fmtETH(fdvWei)) : 0;
+  const lpEth  = ethWei > 0n ? Number(fmtETH(ethWei)) : 0;
+  const priceEth = tokenPriceFromReserves({ ethWei, tokenWei, decimals: tokenDecimals || 18 }) ?? 0;
+  return {
+    lpEth,
+    lpUsd: (ethUsd>0 && lpEth>0) ? lpEth * ethUsd * 2 : 0,
+    fdvEth,
+    fdvUsd: (ethUsd>0 && fdvEth>0) ? fdvEth * ethUsd : 0,
+    priceEth,
+    priceUsd: (ethUsd>0 && priceEth>0) ? priceEth * ethUsd : 0
+  };
+}
+
+const SOCIAL_KINDS = ['website', 'twitter', 'telegram', 'discord'];
+
+/** What templates/<set>/launch.<locale>.html sees for a card; `look` = { template, locale } of the chat. */
+function renderLaunchCard(card, look) {
+  const { live } = card;
+
+  // Live cards show current reserves (at the current ETH price); the launch snapshot otherwise.
+  const hasLive = live?.reserveEth != null && live?.reserveToken != null;
+  const market = hasLive
+    ? marketFromReserves({ ethWei: live.reserveEth, tokenWei: live.reserveToken, totalSupply: card.totalSupply, tokenDecimals: card.tokenDecimals, ethUsd: card.ethPrice?.usd ?? card.ethUsd })
+    : card.market;
+
+  return templates.render('launch', {
+    lookup: Boolean(card.launchedAt),
+    locked: Boolean(card.locked),
+    label: card.label,
+    token: { address: card.tokenCA, name: card.tokenName || '', symbol: card.tokenSymbol || '' },
+    // A withheld link shows as a warning with its host (as text) and why, never as an anchor.
+    socials: SOCIAL_KINDS.map(kind =>
+      card.socials?.[kind] ? { kind, url: card.socials[kind] }
+      : card.flaggedSocials?.[kind] ? { kind, warning: card.flaggedSocials[kind].reason, host: card.flaggedSocials[kind].host, imitates: card.flaggedSocials[kind].imitates }
+      : null
+    ).filter(Boolean),
+    launchedAgo: card.launchedAt ? Math.round((Date.now() - card.launchedAt) / 1000) : null,
+    devPct: card.devPct || 0,
+    market: { ...market, hasLp: market.lpUsd > 0 || market.lpEth > 0 },
+    ethUsd: ethUsdView(card.ethPrice),
+    live: live ? {
+      change: hasLive && card.market.fdvEth > 0 ? ((market.fdvEth / card.market.fdvEth) - 1) * 100 : null,
+      buys: live.buys, sells: live.sells, final: live.final,
+      minutes: Math.round((Math.min(Date.now(), live.endsAt) - live.startedAt) / 60000),
+      updatedAt: Date.now()
+    } : null,
+    limits: launchpadView(card.launchpadToken, { tokenDecimals: card.tokenDecimals, totalSupply: card.totalSupply }),
+    specs: specValues(card.mechanisms),
+    deployer: deployerView(card.deployerProfile),
+    links: { ethos: card.ethosUrl }
+  }, look);
+}
+
+/* ================= Watch targets =================
+ * Everything that is per launchpad (see lib/targets.mjs): the provider (set by
+ * the target's connection supervisor), a batched caller, the resolved ABI, the
+ * checkpoint / dedup / launch registry in its own state file, and its watchers.
+ */
+function createTarget(cfg) {
+  const t = {
+    ...cfg,
+    name: cfg.label || (cfg.id === 'default' ? `chain ${cfg.chainId}` : cfg.id),
+    provider: null,
+    httpProvider: cfg.rpcHttp ? new ethers.JsonRpcProvider(cfg.rpcHttp, cfg.chainId, { staticNetwork: true }) : null,
+    iface: null, createNames: CREATE_NAMES, lockNames: LOCK_NAMES,
+    state: createJsonStore(path.join(DATA_DIR, cfg.stateFile), { lastBlock: null, seenTx: [] }),
+    stuckAt: null, // lowest block with a failed log this session; checkpoint must not pass it
+    liveQueue: [], backfills: 0, draining: false, riskStale: false,
+    handling: Promise.resolve(), // tail of processLogs / live-log runs, see handleInTurn
+    supervisor: null
+  };
+  t.seenTx = new Set(t.state.data.seenTx);
+  if (!t.state.data.launches) t.state.data.launches = {};
+
+  const getProvider = () => t.provider;
+  const parseTx = (tx) => parseLaunchpadTx(t, tx);
+  const batcher = createCallBatcher({ getProvider, getFallbackProvider: () => t.httpProvider });
+  // Timed per call: queueing + the batch round trip, as the read helpers see it.
+  // Replays swap `t.rawCall` for a recorder / fixture.
+  t.batcher = batcher;
+  t.rawCall = (req) => batcher.call(req);
+  t.caller = {
+    async call(req) {
+      const end = rpcCalls.startTimer({ target: t.name });
+      try { const out = await t.rawCall(req); end({ result: 'ok' }); return out; }
+      catch (e) { end({ result: 'error' }); throw e; }
+    }
+  };
+
+  t.liveCards = createLiveCards({
+    getProvider,
+    render: (card, chatId) => {
+      card.ethPrice = prices.peek(priceChain(t)) ?? card.ethPrice;
+      return renderLaunchCard(card, lookOf(chatId));
+    },
+    edit: (chatId, messageId, html, rows) => bot.telegram.editMessageText(chatId, messageId, undefined, html, {
+      parse_mode: 'HTML', disable_web_page_preview: true, reply_markup: { inline_keyboard: rows }
+    }),
+    windowMs: REPLAY_ARGS ? 0 : Number(LIVE_CARD_MINUTES) * 60_000,
+    intervalMs: Number(LIVE_CARD_EDIT_SECONDS) * 1000
+  });
+
+  t.deployerProfiles = createDeployerProfiles({
+    caller: t.caller,
+    launchpad: t.launchpad,
+    getLaunch: (ca) => launchFor(t, ca),
+    maxTokens: Number(DEPLOYER_HISTORY_MAX),
+    ttlMs: Number(DEPLOYER_CACHE_MINUTES) * 60_000
+  });
+
+  t.riskWatch = createRiskWatch({
+    getProvider,
+    launchpad: t.launchpad,
+    parseTx,
+    getLaunches: () => watchedLaunches(t),
+    onAlert: (alert) => postRiskAlert(t, alert),
+    lpBurnPct: Number(RUG_LP_BURN_PCT),
+    devTransferPct: Number(RUG_DEV_TRANSFER_PCT)
+  });
+
+  t.governance = createGovernanceWatch({
+    getProvider,
+    caller: t.caller,
+    launchpad: t.launchpad,
+    getIface: () => t.iface || bundledLaunchpadIface,
+    parseTx,
+    getSnapshot: () => t.state.data.governance ?? null,
+    setSnapshot: (snap) => { t.state.data.governance = snap; t.state.save(); },
+    onChange: (report) => publish({ ...eventBase(t, 'governance', report.txHash, report.block), ...report, links: linksFor(t, null, report.txHash) }),
+    pollBlocks: Number(GOVERNANCE_POLL_BLOCKS)
+  });
+
+  // Launchpad calls that emit no launchpad event (LP withdrawals, recoveries) are found by scanning blocks.
+  t.txScanner = createTxScanner({
+    getProvider,
+    address: t.launchpad,
+    getCursor: () => t.state.data.txScanBlock ?? null,
+    setCursor: (n) => { t.state.data.txScanBlock = n; t.state.save(); },
+    onTx: async (tx, receipt) => {
+      await t.governance.onTx(tx, receipt);
+      await t.riskWatch.onLaunchpadTx(tx, receipt);
+    },
+    maxCatchup: Number(TX_SCAN_MAX_CATCHUP)
+  });
+
+  t.tickers = createTickerIndex({ caller: t.caller, launchpad: t.launchpad });
+  return t;
+}
+
+const targets = TARGETS.map(createTarget);
+const targetsById = new Map(targets.map(t => [t.id, t]));
+
+/**
+ * Creation receipt → enriched launch event (null when it is not a launch). Reads are pinned to `blockTag`.
+ * The deployer profile lists the launches before this one; `currentHistory` lists all of the deployer's others instead.
+ */
+async function buildLaunchEvent(t, receipt, hint, blockTag, { currentHistory = false } = {}) {
+  const created = await detectNewTokenFromReceipt(t, receipt, hint, blockTag);
+  if (!created) return null;
+  const {
+    tokenCA, tokenName, tokenSymbol, deployer, pairAddr, token0,
+    devAmount, devWallet, lpTokenAmount, lpEthWei,
+    tokenDecimals, totalSupply
+  } = created;
+
+  // Tx input → socials-fallback
+  let txInputHex = '';
+  try { const tx = await t.provider.getTransaction(receipt.hash); txInputHex = tx?.data || tx?.input || ''; } catch {}
+
+  // Enrich (specs from the creation calldata when it decodes; getter probing otherwise)
+  const settings = decodeCreateSettings(t, txInputHex);
+  const [socialsRaw, mechanisms, ethPrice, launchpadInfo, launchBlock, deployerProfile] = await Promise.all([
+    readSocials(t.caller, tokenCA, txInputHex, blockTag),
+    settings ? mechFromSettings(settings) : readMechanisms(t.caller, tokenCA, blockTag),
+    prices.ethUsd(priceChain(t)),
+    readLaunchpadToken(t.caller, t.launchpad, tokenCA, blockTag),
+    t.provider.getBlock(receipt.blockNumber).catch(() => null),
+    // Always read at 'latest', whichever block the rest of the card is pinned to.
+    deployer ? t.deployerProfiles.profile(deployer, { exclude: tokenCA, before: !currentHistory }).catch(() => null) : null
+  ]);
+  // Only links passing the safety checks are posted clickable; the rest become warnings on the card.
+  const { safe: socials, flagged: flaggedSocials } = checkSocials(socialsRaw || {});
+  for (const [kind, f] of Object.entries(flaggedSocials)) {
+    console.warn(`[${t.name}] ${tokenCA}: ${kind} link withheld (${f.reasons.join(', ')}${f.imitates ? `, imitates ${f.imitates}` : ''}): ${JSON.stringify(f.url.slice(0, 200))}`);
   }
+
+  // Dev Hold %
+  const total = Number(ethers.formatUnits(totalSupply, tokenDecimals || 18));
+  const dev   = Number(ethers.formatUnits(devAmount,   tokenDecimals || 18));
+  const devPct = total > 0 ? (dev / total) * 100 : 0;
+
+  const ethUsd = ethPrice?.usd ?? 0;
+  const market = marketFromReserves({ ethWei: lpEthWei, tokenWei: lpTokenAmount, totalSupply, tokenDecimals, ethUsd });
+  const reflectPct = mechanisms && Object.keys(mechanisms).length ? reflectPctOf(mechanisms) : null;
+  return {
+    ...eventBase(t, 'launch', receipt.hash, receipt.blockNumber, launchBlock?.timestamp),
+    token: { address: tokenCA, name: tokenName, symbol: tokenSymbol, decimals: tokenDecimals, totalSupply },
+    pair: pairAddr, token0, deployer, devWallet,
+    devPct, ethUsd, ethPrice, market, reflectPct, socials, flaggedSocials, mechanisms,
+    launchpadToken: launchpadInfo,
+    deployerProfile,
+    // what subscription filters look at
+    facts: { lpEth: market.lpEth, devPct, reflectPct, hasSocials: Object.values(socials).some(Boolean) },
+    links: linksFor(t, tokenCA, receipt.hash)
+  };
+}
+
+/** Launch event → the Telegram card object (also what live cards keep editing). */
+function launchCard(ev) {
+  const { address: tokenCA, name: tokenName, symbol: tokenSymbol, decimals: tokenDecimals, totalSupply } = ev.token;
+  return {
+    tokenCA, tokenName, tokenSymbol, tokenDecimals, totalSupply, label: ev.label, ethosUrl: ev.links.ethos,
+    socials: ev.socials, flaggedSocials: ev.flaggedSocials, devPct: ev.devPct, pairAddr: ev.pair, token0: ev.token0, ethUsd: ev.ethUsd, ethPrice: ev.ethPrice, market: ev.market,
+    launchpadToken: ev.launchpadToken, deployerProfile: ev.deployerProfile, mechanisms: ev.mechanisms
+  };
 }
 
-async function processLogs(logs) {
-  for (const lg of logs) {
-    if (seenTx.has(lg.transactionHash)) continue;
-    const receipt = await provider.getTransactionReceipt(lg.transactionHash);
-    if (receipt) await handleReceipt(receipt);
-    seenTx.add(lg.transactionHash);
+/** Whether `receipt` is a call to, or carries a log of, `t`'s launchpad. */
+function touchesLaunchpad(t, receipt) {
+  const lp = t.launchpad.toLowerCase();
+  return receipt.to?.toLowerCase() === lp || receipt.logs.some(l => l.address.toLowerCase() === lp);
+}
+
+async function handleReceipt(t, receipt) {
+  const fromAbi = t.iface ? decodeReceiptWithAbi(t, receipt) : {};
+
+  // Pin every enrichment read to one block so the card is internally consistent.
+  const event = await buildLaunchEvent(t, receipt, fromAbi.created, await t.provider.getBlockNumber());
+  if (event) {
+    const { token } = event;
+    launchesTotal.inc({ target: t.name });
+    archive.add(launchRecord(event));
+
+    // Registered before posting: the outbox fills in `messages` as each copy goes out.
+    const launchedAt = event.timestamp * 1000;
+    const launch = {
+      tokenCA: token.address, tokenName: token.name, tokenSymbol: token.symbol, tokenDecimals: token.decimals,
+      pairAddr: event.pair, token0: event.token0, devWallet: event.devWallet, deployer: event.deployer,
+      totalSupply: token.totalSupply.toString(),
+      txHash: receipt.hash, block: receipt.blockNumber, at: launchedAt,
+      facts: event.facts, messages: []
+    };
+    rememberLaunch(t, launch);
+    // A backfill's launches are subscribed in one batch when it ends (refreshRiskWatch).
+    if (isBackfilling(t)) t.riskStale = true;
+    else await t.riskWatch.watch(launch);
+
+    // Only launches that are still fresh (not old backfilled ones) get a live card.
+    if (Date.now() - launchedAt < Number(LIVE_CARD_MINUTES) * 60_000) await t.liveCards.track(launchCard(event));
+    await publish(event);
+  }
+
+  const locked = fromAbi.locked || detectSettingsLockedFromReceipt(receipt);
+  if (locked) {
+    locksTotal.inc({ target: t.name, event: locked.event || 'SettingsLocked' });
+    await postLockNotice(t, locked, receipt);
   }
+
+  await t.governance.onReceipt(receipt);
 }
 
-async function init() {
-  const abi = await fetchAbi(LAUNCHPAD_ADDRESS);
-  if (abi) {
-    try { iface = new ethers.Interface(abi); }
-    catch { console.warn('ABI present but failed to parse. Continuing without ABI.'); iface = null; }
-  } else {
-    console.warn('Launchpad ABI not found. Falling back to log-based detection.');
+// Reconnect catch-ups and /backfill can overlap, so backfills are counted; live logs wait while any runs.
+const isBackfilling = (t) => t.backfills > 0;
+async function whileBackfilling(t, fn) {
+  t.backfills++;
+  try { return await fn(); } finally { t.backfills--; }
+}
+
+/** Run `fn` after every earlier processLogs / live-log run of `t` is done: a tx is only marked seen once handled, so runs must not overlap. */
+function handleInTurn(t, fn) {
+  const run = t.handling.then(fn);
+  t.handling = run.catch(() => {});
+  return run;
+}
+
+/** handleReceipt for every not-yet-seen tx among `logs`, saved once at the end (see handleLogs); → how many were handled. */
+const processLogs = (t, logs, { advance = true } = {}) => handleInTurn(t, () => handleLogs(t, logs, {
+  advance,
+  handleTx: async (hash) => {
+    const receipt = await t.provider.getTransactionReceipt(hash);
+    if (receipt) await handleReceipt(t, receipt);
+    return Boolean(receipt);
   }
+}));
+
+/* Live logs are queued per target and handled one at a time in block order.
+ * While a backfill runs the queue only fills up; it is drained once the
+ * backfill is done, and seenTx drops whatever the backfill already covered. */
+function onLaunchpadLog(t, log) {
+  t.liveQueue.push(log);
+  if (!isBackfilling(t)) drainLive(t);
+}
 
-  const fromBlock = await resolveFromBlock(FROM_BLOCK);
-  if (fromBlock != null) {
-    const latest = await provider.getBlockNumber();
-    console.log(`Backfilling logs ${fromBlock}..${latest} for ${LAUNCHPAD_ADDRESS}`);
-    const logs = await provider.getLogs({ address: LAUNCHPAD_ADDRESS, fromBlock, toBlock: latest });
-    await processLogs(logs);
+async function drainLive(t) {
+  if (t.draining) return;
+  t.draining = true;
+  try {
+    while (t.liveQueue.length && !isBackfilling(t)) {
+      t.liveQueue.sort(byLogOrder);
+      const log = t.liveQueue.shift();
+      await handleInTurn(t, async () => {
+        try {
+          if (t.seenTx.has(log.transactionHash)) return;
+          const receipt = await t.provider.getTransactionReceipt(log.transactionHash);
+          if (receipt) await handleReceipt(t, receipt);
+          markSeen(t, log.transactionHash);
+          advanceCheckpoint(t, log.blockNumber - 1);
+          saveCheckpoint(t);
+        } catch (e) {
+          markFailed(t, log.blockNumber);
+          console.error(`[${t.name}] handle log error:`, e);
+        }
+      });
+    }
+  } finally { t.draining = false; }
+}
+
+/** Backfill everything after `t`'s checkpoint (first run: its fromBlock) up to `head`, chunk by chunk. */
+async function catchUp(t, head) {
+  const { data } = t.state;
+  const fromBlock = data.lastBlock != null ? data.lastBlock + 1 : await resolveFromBlock(t, t.fromBlock);
+  t.stuckAt = null; // everything from the checkpoint on is about to be retried
+  if (fromBlock != null && fromBlock <= head) {
+    console.log(`[${t.name}] Backfilling logs ${fromBlock}..${head} for ${t.launchpad}`);
+    await backfillLogs(t.provider, {
+      address: t.launchpad, fromBlock, toBlock: head,
+      chunkSize: Number(BACKFILL_CHUNK), maxChunk: Number(BACKFILL_MAX_CHUNK),
+      onChunk: async (logs, _from, to) => { await processLogs(t, logs); if (advanceCheckpoint(t, to)) saveCheckpoint(t); }
+    });
   }
+  if (advanceCheckpoint(t, head)) saveCheckpoint(t);
+}
+
+/* ================= Commands ================= */
+const commandArgs = (ctx) => (ctx.payload || '').trim().split(/\s+/).filter(Boolean);
+const replyHtml = (ctx, html, rows = null) => ctx.reply(html, {
+  parse_mode: 'HTML', disable_web_page_preview: true,
+  reply_parameters: { message_id: ctx.message.message_id, allow_sending_without_reply: true },
+  ...(rows ? { reply_markup: { inline_keyboard: rows } } : {})
+});
+
+/** A private chat is the sender's own; in groups only admins manage the feed. */
+async function isChatAdmin(ctx) {
+  if (ctx.chat.type === 'private') return true;
+  try {
+    const member = await ctx.telegram.getChatMember(ctx.chat.id, ctx.from.id);
+    return member.status === 'creator' || member.status === 'administrator';
+  } catch { return false; }
+}
+
+function describeFilters(f) {
+  return [
+    `Events: <b>${f.events.join(', ')}</b>`,
+    `Min LP: <b>${f.minLpEth > 0 ? `${f.minLpEth} ETH` : 'any'}</b>`,
+    `Max dev hold: <b>${f.maxDevPct != null ? `${f.maxDevPct}%` : 'any'}</b>`,
+    `Max reflect: <b>${f.maxReflectPct != null ? `${f.maxReflectPct}%` : 'any'}</b>`,
+    `Socials required: <b>${f.requireSocials ? 'yes' : 'no'}</b>`,
+    `Digests: <b>${f.digests !== false ? 'on' : 'off'}</b>`
+  ].join('\n');
+}
+
+const FILTERS_USAGE = [
+  'Usage: <code>/filters min_lp=1 max_dev=5 max_reflect=10 events=launch,lock socials=on digest=off</code>',
+  `events: ${EVENT_TYPES.join(', ')} or all · a limit set to <code>off</code> is cleared · <code>/filters reset</code> restores the defaults`
+].join('\n');
+
+bot.command('subscribe', async (ctx) => {
+  if (!(await isChatAdmin(ctx))) return replyHtml(ctx, 'Only chat admins can subscribe this chat.');
+  const added = subscriptions.subscribe(String(ctx.chat.id), ctx.from?.id ?? null);
+  const { filters } = subscriptions.get(String(ctx.chat.id));
+  await replyHtml(ctx, `${added ? '✅ Subscribed.' : 'Already subscribed.'}\n\n${describeFilters(filters)}\n\n${FILTERS_USAGE}`);
+});
+
+bot.command('unsubscribe', async (ctx) => {
+  if (!(await isChatAdmin(ctx))) return replyHtml(ctx, 'Only chat admins can unsubscribe this chat.');
+  await replyHtml(ctx, subscriptions.unsubscribe(String(ctx.chat.id)) ? 'Unsubscribed. No more posts here.' : 'This chat is not subscribed.');
+});
+
+bot.command('filters', async (ctx) => {
+  const chatId = String(ctx.chat.id);
+  const sub = subscriptions.get(chatId);
+  if (!sub) return replyHtml(ctx, 'This chat is not subscribed. Use /subscribe first.');
+  const args = commandArgs(ctx);
+  if (!args.length) return replyHtml(ctx, `<b>Filters</b>\n${describeFilters(sub.filters)}\n\n${FILTERS_USAGE}`);
+  if (!(await isChatAdmin(ctx))) return replyHtml(ctx, 'Only chat admins can change filters.');
+
+  if (args[0] === 'reset') return replyHtml(ctx, `Filters reset.\n\n${describeFilters(subscriptions.setFilters(chatId, DEFAULT_FILTERS))}`);
+  const { patch, errors } = parseFilterArgs(args);
+  if (errors.length) return replyHtml(ctx, `${errors.map(escapeHtml).join('\n')}\n\n${FILTERS_USAGE}`);
+  await replyHtml(ctx, `Filters updated.\n\n${describeFilters(subscriptions.setFilters(chatId, patch))}`);
+});
+
+/**
+ * /language and /template: show or change one field of the chat's look. `choices()`
+ * lists what exists in TEMPLATES_DIR; `default` goes back to the bot-wide setting.
+ */
+function lookCommand(key, noun, choices) {
+  return async (ctx) => {
+    const chatId = String(ctx.chat.id);
+    if (!subscriptions.get(chatId)) return replyHtml(ctx, 'This chat is not subscribed. Use /subscribe first.');
+    const options = choices(lookOf(chatId));
+    const usage = `Available: ${options.map(o => `<code>${escapeHtml(o)}</code>`).join(', ')} · <code>/${key} default</code> uses the bot default (<b>${escapeHtml(defaultLook[key])}</b>)`;
+    const [arg] = commandArgs(ctx);
+    if (!arg) return replyHtml(ctx, `${noun}: <b>${escapeHtml(lookOf(chatId)[key])}</b>\n${usage}`);
+    if (!(await isChatAdmin(ctx))) return replyHtml(ctx, `Only chat admins can change the ${noun.toLowerCase()}.`);
+    if (arg !== 'default' && !options.includes(arg)) return replyHtml(ctx, `Unknown ${noun.toLowerCase()} <b>${escapeHtml(arg)}</b>.\n${usage}`);
+    subscriptions.setLook(chatId, { [key]: arg === 'default' ? null : arg });
+    await replyHtml(ctx, `${noun} set to <b>${escapeHtml(lookOf(chatId)[key])}</b>. New posts here use it.`);
+  };
+}
 
-  provider.on({ address: LAUNCHPAD_ADDRESS }, async (log) => {
+// Locales come from the chat's template set plus the default set (its fallback).
+bot.command('language', lookCommand('locale', 'Language', ({ template }) =>
+  [...new Set([...templates.locales(template), ...templates.locales(DEFAULT_SET)])].sort()));
+bot.command('template', lookCommand('template', 'Template', () => templates.sets()));
+
+/** Card for any token of `t`'s launchpad as of now: creation tx → the launch path, then today's reserves for LP / FDV. */
+async function tokenCard(t, tokenCA) {
+  const txHash = launchFor(t, tokenCA)?.txHash || await findCreationTx(t.provider, {
+    launchpad: t.launchpad, token: tokenCA, createdTopic: TOKEN_CREATED_TOPIC,
+    chainId: t.chainId, etherscanApiKey: ETHERSCAN_API_KEY
+  });
+  if (!txHash) return null;
+  const receipt = await t.provider.getTransactionReceipt(txHash);
+  if (!receipt) return null;
+  const fromAbi = t.iface ? decodeReceiptWithAbi(t, receipt) : {};
+  const blockTag = await t.provider.getBlockNumber();
+  // /token shows the deployer's history as it stands now, not as of this launch.
+  const event = await buildLaunchEvent(t, receipt, fromAbi.created, blockTag, { currentHistory: true });
+  if (!event || event.token.address.toLowerCase() !== tokenCA.toLowerCase()) return null;
+
+  const card = launchCard(event);
+  card.launchedAt = event.timestamp * 1000;
+  if (card.pairAddr) {
     try {
-      if (seenTx.has(log.transactionHash)) return;
-      const receipt = await provider.getTransactionReceipt(log.transactionHash);
-      if (receipt) await handleReceipt(receipt);
-      seenTx.add(log.transactionHash);
-    } catch (e) {
-      console.error('handle log error:', e);
+      const [r0, r1] = await callSig(t.caller, card.pairAddr, 'getReserves() view returns (uint112,uint112,uint32)', [], blockTag);
+      const tokenIs0 = card.token0?.toLowerCase() === tokenCA.toLowerCase();
+      card.market = marketFromReserves({
+        ethWei: tokenIs0 ? r1 : r0, tokenWei: tokenIs0 ? r0 : r1,
+        totalSupply: card.totalSupply, tokenDecimals: card.tokenDecimals, ethUsd: card.ethUsd
+      });
+    } catch {}
+  }
+  return card;
+}
+
+bot.command('token', async (ctx) => {
+  const arg = (ctx.payload || '').trim().split(/\s+/)[0];
+  const reply = (html, rows) => replyHtml(ctx, html, rows);
+  if (!arg) return reply('Usage: <code>/token &lt;address | ticker&gt;</code>');
+  const connected = targets.filter(t => t.provider);
+  if (!connected.length) return reply('Not connected to the chain yet, try again in a moment.');
+  try {
+    // Candidates across every connected target, tried in order until one has the creation tx.
+    let candidates;
+    if (ethers.isAddress(arg.toLowerCase())) {
+      const tokenCA = ethers.getAddress(arg.toLowerCase());
+      candidates = connected.map(t => ({ t, tokenCA }));
+    } else {
+      const hits = (await Promise.all(connected.map(async (t) =>
+        (await t.tickers.resolve(arg).catch(() => [])).map(tokenCA => ({ t, tokenCA }))))).flat();
+      if (!hits.length) return reply(`No launchpad token with ticker <b>${escapeHtml(arg)}</b>.`);
+      if (hits.length > 1) {
+        return reply([`<b>${hits.length} launchpad tokens use ${escapeHtml(arg)}</b>, newest first:`,
+          ...hits.slice(0, 5).map(({ t, tokenCA }) => `<code>/token ${tokenCA}</code>${labelTag(t.label)}`)].join('\n'));
+      }
+      candidates = hits;
+    }
+    let card = null;
+    for (const { t, tokenCA } of candidates) if ((card = await tokenCard(t, tokenCA))) break;
+    if (!card) return reply(`No launchpad creation tx found for <code>${candidates[0].tokenCA}</code>.`);
+    const { html, rows } = renderLaunchCard(card, lookOf(ctx.chat.id));
+    await reply(html, rows);
+  } catch (e) {
+    console.error('/token failed:', e);
+    await reply('Lookup failed, please try again later.').catch(() => {});
+  }
+});
+
+/* ----- Archive ----- */
+const RECENT_MAX = 20;
+
+/** One archived record as two short lines (ticker, figures, age / CA). */
+function archiveLine(r) {
+  const ago = fmtDuration(Math.max(0, Math.floor(Date.now() / 1000) - r.at));
+  const head = r.kind === 'launch'
+    ? `🚀 <b>${escapeHtml(r.symbol || '?')}</b>${r.name ? ` ${escapeHtml(r.name)}` : ''} · LP ${fmtEthShort(r.lpEth ?? 0)} ETH · dev ${Number(r.devPct ?? 0).toFixed(2)}%`
+    : `🔒 <b>${escapeHtml(r.symbol || '?')}</b> ${escapeHtml(LOCK_TITLES[r.event] || r.event)}${r.lockSeconds ? ` for ${fmtDuration(r.lockSeconds)}` : ''}`;
+  return `${head} · ${ago} ago${labelTag(targets.length > 1 ? r.label : null)}\n<code>${r.token || 'n/a'}</code>`;
+}
+
+bot.command('recent', async (ctx) => {
+  const [arg] = commandArgs(ctx);
+  const n = arg ? Number(arg) : 10;
+  if (!Number.isInteger(n) || n < 1) return replyHtml(ctx, `Usage: <code>/recent [n]</code> (up to ${RECENT_MAX})`);
+  const rows = archive.recent(Math.min(n, RECENT_MAX));
+  if (!rows.length) return replyHtml(ctx, 'Nothing archived yet.');
+  await replyHtml(ctx, [`<b>Last ${rows.length} launch / lock event(s)</b>`, ...rows.map(archiveLine)].join('\n\n'));
+});
+
+bot.command('search', async (ctx) => {
+  const query = (ctx.payload || '').trim();
+  if (!query) return replyHtml(ctx, 'Usage: <code>/search &lt;ticker | name | address&gt;</code>');
+  const rows = archive.search(query, { limit: RECENT_MAX });
+  if (!rows.length) return replyHtml(ctx, `Nothing archived matches <b>${escapeHtml(query.slice(0, 64))}</b>. /token reads any launchpad token from the chain.`);
+  await replyHtml(ctx, [`<b>${rows.length} match(es)</b>, exact first:`, ...rows.map(archiveLine)].join('\n\n'));
+});
+
+const EXPORT_USAGE = 'Usage: <code>/export [days] [csv | json]</code> (default 7 days, CSV)';
+
+bot.command('export', async (ctx) => {
+  const args = commandArgs(ctx).map(a => a.toLowerCase());
+  const format = args.find(a => a === 'csv' || a === 'json') || 'csv';
+  const rest = args.filter(a => a !== format);
+  const days = rest.length ? Number(rest[0]) : 7;
+  if (rest.length > 1 || !(days > 0)) return replyHtml(ctx, EXPORT_USAGE);
+  const rows = archive.since(Math.floor(Date.now() / 1000 - days * 86_400));
+  if (!rows.length) return replyHtml(ctx, `Nothing archived in the last ${days} day(s).`);
+  const body = format === 'json' ? JSON.stringify(rows, null, 2) + '\n' : toCsv(rows);
+  const filename = `ethos-launches-${new Date().toISOString().slice(0, 10)}-${days}d.${format}`;
+  try {
+    await ctx.replyWithDocument({ source: Buffer.from(body), filename }, {
+      caption: `${rows.length} record(s) from the last ${days} day(s)`,
+      reply_parameters: { message_id: ctx.message.message_id, allow_sending_without_reply: true }
+    });
+  } catch (e) {
+    console.error('/export failed:', e);
+    await replyHtml(ctx, 'Export failed, please try again later.').catch(() => {});
+  }
+});
+
+/* ----- Admin (ADMIN_USER_IDS only) ----- */
+const ADMIN_IDS = new Set(ADMIN_USER_IDS.split(',').map(s => s.trim()).filter(Boolean));
+
+/** Wraps an admin command: refuses everyone else and turns a crash into a short reply. */
+const adminOnly = (name, handler) => async (ctx) => {
+  if (!ADMIN_IDS.has(String(ctx.from?.id))) return replyHtml(ctx, 'This command is for bot admins only.');
+  try { await handler(ctx); }
+  catch (e) {
+    console.error(`/${name} failed:`, e);
+    await replyHtml(ctx, `/${name} failed: ${escapeHtml(e?.shortMessage || e?.message || String(e))}`).catch(() => {});
+  }
+};
+
+/** Target named by `arg` (label or id, any case); with a single target the argument is optional. */
+function findTarget(arg) {
+  if (!arg) return targets.length === 1 ? targets[0] : null;
+  const want = arg.toLowerCase();
+  return targets.find(t => t.label.toLowerCase() === want || t.id.toLowerCase() === want) || null;
+}
+const targetHint = () => targets.length > 1
+  ? `\nTargets: ${targets.map(t => `<code>${escapeHtml(t.label || t.id)}</code>`).join(', ')}` : '';
+
+function targetStatus(t) {
+  const { lastBlock } = t.state.data;
+  const head = t.supervisor?.head || null;
+  const ws = t.supervisor?.connected ? `connected (${escapeHtml(t.supervisor.url)})` : 'disconnected';
+  return [
+    `<b>${escapeHtml(t.name)}</b> · chain ${t.chainId} · <code>${t.launchpad}</code>`,
+    `WS: ${ws}${head ? ` · head ${head}` : ''}`,
+    `Last block: ${lastBlock ?? 'n/a'}${head && lastBlock != null ? ` (lag ${Math.max(0, head - lastBlock)})` : ''}${t.stuckAt != null ? ` · stuck at ${t.stuckAt}` : ''}`,
+    `ABI: ${t.iface ? escapeHtml(t.abiSource || 'loaded') : 'none (log-based detection)'}`,
+    `Queue: ${t.liveQueue.length} live log(s)${isBackfilling(t) ? ' · backfilling' : ''} · ${t.liveCards.size} live card(s)`
+  ].join('\n');
+}
+
+bot.command('status', adminOnly('status', async (ctx) => {
+  await replyHtml(ctx, [
+    `<b>Status</b>`,
+    `Uptime: ${fmtDuration(Math.round(process.uptime()))} · Posting: ${control.data.paused ? '⏸ paused' : '▶️ on'}`,
+    `Outbox: ${outbox.pending} pending · ${outbox.dead.length} dead · Sinks: ${notifier.sinks.join(', ') || 'none'}`,
+    ...targets.map(t => `\n${targetStatus(t)}`)
+  ].join('\n'));
+}));
+
+bot.command('pause', adminOnly('pause', async (ctx) => {
+  if (control.data.paused) return replyHtml(ctx, 'Posting is already paused.');
+  control.data.paused = true;
+  control.save();
+  console.log(`Posting paused by ${ctx.from.id}`);
+  await replyHtml(ctx, '⏸ Posting paused. Detection keeps running; events found meanwhile are not posted. /resume to continue.');
+}));
+
+bot.command('resume', adminOnly('resume', async (ctx) => {
+  if (!control.data.paused) return replyHtml(ctx, 'Posting is not paused.');
+  control.data.paused = false;
+  control.save();
+  console.log(`Posting resumed by ${ctx.from.id}`);
+  await replyHtml(ctx, '▶️ Posting resumed.');
+}));
+
+/** Re-run the log backfill over [from, to] without touching the checkpoint; → txs handled. */
+async function rerunRange(t, fromBlock, toBlock) {
+  t.adminBackfill = true;
+  let handled = 0;
+  try {
+    // live logs wait, as during a reconnect backfill
+    await whileBackfilling(t, () => backfillLogs(t.provider, {
+      address: t.launchpad, fromBlock, toBlock,
+      chunkSize: Number(BACKFILL_CHUNK), maxChunk: Number(BACKFILL_MAX_CHUNK),
+      onChunk: async (logs) => { handled += await processLogs(t, logs, { advance: false }); }
+    }));
+  } finally {
+    t.adminBackfill = false;
+    drainLive(t);
+    await refreshRiskWatch(t);
+  }
+  return handled;
+}
+
+const BACKFILL_USAGE = 'Usage: <code>/backfill &lt;from&gt; &lt;to | latest&gt;' + (targets.length > 1 ? ' &lt;target&gt;' : '') + '</code>';
+
+bot.command('backfill', adminOnly('backfill', async (ctx) => {
+  const [fromArg, toArg, ...rest] = commandArgs(ctx);
+  const t = findTarget(rest.join(' '));
+  if (!fromArg || !toArg || !t) return replyHtml(ctx, BACKFILL_USAGE + targetHint());
+  if (!t.provider) return replyHtml(ctx, `${escapeHtml(t.name)} is not connected yet.`);
+  if (t.adminBackfill) return replyHtml(ctx, `A backfill is already running for ${escapeHtml(t.name)}.`);
+  const head = await t.provider.getBlockNumber();
+  const from = Number(fromArg), to = toArg === 'latest' ? head : Number(toArg);
+  if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || from > to || to > head) {
+    return replyHtml(ctx, `Invalid range (head is ${head}).\n${BACKFILL_USAGE}`);
+  }
+
+  await replyHtml(ctx, `Backfilling ${escapeHtml(t.name)} ${from}..${to}. Txs already handled are skipped (use /resend for those).`);
+  // In the background: long ranges outlive the update handler's timeout.
+  rerunRange(t, from, to).then(
+    (n) => replyHtml(ctx, `Backfill ${from}..${to} on ${escapeHtml(t.name)} done: ${n} tx(s) handled.`),
+    (e) => {
+      console.error(`[${t.name}] /backfill ${from}..${to} failed:`, e);
+      return replyHtml(ctx, `Backfill ${from}..${to} on ${escapeHtml(t.name)} failed: ${escapeHtml(e?.shortMessage || e?.message || String(e))}`);
+    }
+  ).catch(() => {});
+}));
+
+bot.command('resend', adminOnly('resend', async (ctx) => {
+  const [hash, ...rest] = commandArgs(ctx);
+  if (!/^0x[0-9a-fA-F]{64}$/.test(hash || '')) {
+    return replyHtml(ctx, `Usage: <code>/resend &lt;txhash&gt;${targets.length > 1 ? ' [target]' : ''}</code>${targetHint()}`);
+  }
+  const pool = rest.length ? [findTarget(rest.join(' '))].filter(Boolean) : targets;
+  if (!pool.length) return replyHtml(ctx, `Unknown target.${targetHint()}`);
+
+  // The target whose launchpad the tx touches (several may be on the same chain).
+  for (const t of pool.filter(t => t.provider)) {
+    const receipt = await t.provider.getTransactionReceipt(hash).catch(() => null);
+    if (!receipt || !touchesLaunchpad(t, receipt)) continue;
+    await handleReceipt(t, receipt);
+    if (!t.seenTx.has(receipt.hash)) { markSeen(t, receipt.hash); t.state.save(); }
+    return replyHtml(ctx, `Re-handled <code>${receipt.hash}</code> on ${escapeHtml(t.name)}.${control.data.paused ? ' Posting is paused, so nothing was sent.' : ''}`);
+  }
+  await replyHtml(ctx, 'No receipt for that tx touching a watched launchpad (or its chain is not connected).');
+}));
+
+/**
+ * Read TokenCreated logs in [from, to] into the archive: each launch not archived yet goes
+ * through the launch path, but nothing is posted and the checkpoint is left alone; → records added.
+ */
+async function fillArchive(t, fromBlock, toBlock) {
+  t.archiveFilling = true;
+  let added = 0;
+  try {
+    await backfillLogs(t.provider, {
+      address: t.launchpad, topics: [TOKEN_CREATED_TOPIC], fromBlock, toBlock,
+      chunkSize: Number(BACKFILL_CHUNK), maxChunk: Number(BACKFILL_MAX_CHUNK),
+      onChunk: async (logs) => {
+        const head = await t.provider.getBlockNumber();
+        for (const txHash of new Set(logs.map(l => l.transactionHash))) {
+          if (archive.has('launch', t.chainId, txHash)) continue;
+          try {
+            const receipt = await t.provider.getTransactionReceipt(txHash);
+            if (!receipt) continue;
+            const fromAbi = t.iface ? decodeReceiptWithAbi(t, receipt) : {};
+            const ev = await buildLaunchEvent(t, receipt, fromAbi.created, head);
+            if (ev && archive.add(launchRecord(ev, 'fill'))) added++;
+          } catch (e) {
+            console.warn(`[${t.name}] archive fill: ${txHash} failed:`, e?.shortMessage || e?.message || e);
+          }
+        }
+      }
+    });
+  } finally { t.archiveFilling = false; }
+  return added;
+}
+
+const ARCHIVE_USAGE = 'Usage: <code>/archive &lt;from&gt; &lt;to | latest&gt;' + (targets.length > 1 ? ' &lt;target&gt;' : '') + '</code> adds older launches from TokenCreated logs (nothing is posted)';
+
+bot.command('archive', adminOnly('archive', async (ctx) => {
+  const [fromArg, toArg, ...rest] = commandArgs(ctx);
+  if (!fromArg) {
+    const oldest = archive.oldest();
+    return replyHtml(ctx, [
+      `<b>Archive</b>: ${archive.count('launch')} launch(es) · ${archive.count('lock')} lock(s)${oldest ? ` · since ${fmtUtc(oldest)}` : ''}`,
+      ARCHIVE_USAGE + targetHint()
+    ].join('\n'));
+  }
+  const t = findTarget(rest.join(' '));
+  if (!toArg || !t) return replyHtml(ctx, ARCHIVE_USAGE + targetHint());
+  if (!t.provider) return replyHtml(ctx, `${escapeHtml(t.name)} is not connected yet.`);
+  if (t.archiveFilling) return replyHtml(ctx, `An archive fill is already running for ${escapeHtml(t.name)}.`);
+  const head = await t.provider.getBlockNumber();
+  const from = Number(fromArg), to = toArg === 'latest' ? head : Number(toArg);
+  if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || from > to || to > head) {
+    return replyHtml(ctx, `Invalid range (head is ${head}).\n${ARCHIVE_USAGE}`);
+  }
+
+  await replyHtml(ctx, `Filling the archive from ${escapeHtml(t.name)} ${from}..${to}. Launches already archived are skipped.`);
+  fillArchive(t, from, to).then(
+    (n) => replyHtml(ctx, `Archive fill ${from}..${to} on ${escapeHtml(t.name)} done: ${n} launch(es) added.`),
+    (e) => {
+      console.error(`[${t.name}] /archive ${from}..${to} failed:`, e);
+      return replyHtml(ctx, `Archive fill ${from}..${to} on ${escapeHtml(t.name)} failed: ${escapeHtml(e?.shortMessage || e?.message || String(e))}`);
+    }
+  ).catch(() => {});
+}));
+
+const DIGEST_USAGE = 'Usage: <code>/digest [daily | weekly]' + (targets.length > 1 ? ' [target]' : '') + '</code>';
+
+bot.command('digest', adminOnly('digest', async (ctx) => {
+  const [periodArg = 'daily', ...rest] = commandArgs(ctx);
+  const period = periodArg.toLowerCase();
+  const t = findTarget(rest.join(' '));
+  if (!DIGEST_PERIODS.includes(period) || !t) return replyHtml(ctx, DIGEST_USAGE + targetHint());
+  // What the next scheduled digest holds so far (the last day / week when that one is not scheduled).
+  const schedule = DIGEST_SCHEDULES.find(s => s.period === period);
+  const to = Date.now();
+  const from = schedule ? slotBefore(schedule, to, DIGEST_TIMEZONE) : to - (period === 'weekly' ? 7 : 1) * 86_400_000;
+  const { html, rows } = renderDigest(await buildDigest(t, period, { from, to }), lookOf(ctx.chat.id));
+  const next = digests?.next()[period];
+  await replyHtml(ctx, `${html}\n\n<i>Preview, not posted. ${next ? `Next ${period} digest: ${escapeHtml(fmtZoned(next, DIGEST_TIMEZONE))} (${escapeHtml(DIGEST_TIMEZONE)}).` : `No ${period} digest is scheduled.`}</i>`, rows);
+}));
+
+async function startTarget(t) {
+  await loadLaunchpadAbi(t);
+
+  // Every (re)connect: fill the gap since the checkpoint, then resume live handling.
+  t.supervisor = createWsSupervisor({
+    urls: t.urls,
+    chainId: t.chainId,
+    heartbeatMs: Number(WS_HEARTBEAT_MS),
+    stallMs: Number(WS_STALL_MS),
+    onConnect: async (p, { head }) => {
+      t.provider = p;
+      await t.liveCards.resubscribe();
+      t.riskStale = false;
+      await t.riskWatch.refresh();
+      await t.txScanner.subscribe();
+      await t.governance.subscribe();
+      // Subscribe first so nothing slips between the backfill's head and the live stream.
+      await whileBackfilling(t, async () => {
+        await p.on({ address: t.launchpad }, (log) => onLaunchpadLog(t, log));
+        await catchUp(t, head);
+      });
+      await refreshRiskWatch(t);
+      drainLive(t);
+      // Quiet blocks move the checkpoint too (keeps head lag and restart backfills small), held back
+      // CHECKPOINT_DEPTH blocks so a log the subscription has not delivered yet is not skipped on restart.
+      await p.on('block', (n) => {
+        if (isBackfilling(t) || t.draining || t.liveQueue.length) return;
+        if (advanceCheckpoint(t, n - Number(CHECKPOINT_DEPTH))) saveCheckpointLater(t, Number(CHECKPOINT_SAVE_SECONDS) * 1000);
+      });
+      t.governance.sync(); // changes made while offline
     }
   });
+  await t.supervisor.start();
+  console.log(`[${t.name}] Subscribed to ${t.launchpad} on chain ${t.chainId}.`);
+}
+
+/* ================= Replay (dry run) ================= */
+// --replay runs tx hashes / fixtures through handleReceipt and prints the posts
+// (printPost) instead of sending them. Tx hashes are fetched from the configured
+// targets' RPCs; --record <dir> saves each as <dir>/<txhash>.json (lib/replay.mjs),
+// which later replays with no network at all. --locale / --template preview a look.
+const REPLAY_USAGE = 'Usage: node index.mjs --replay <txhash | fixture.json>… [--record <dir>] [--locale <code>] [--template <set>]';
+const liveHttpGet = http.get;
+const abiLoaded = new Set();
+
+async function ensureAbi(t) {
+  if (abiLoaded.has(t)) return;
+  abiLoaded.add(t);
+  await loadLaunchpadAbi(t);
+}
+
+/** Target info a fixture carries, so it replays the same under any config. */
+const fixtureTargetInfo = (t) => ({
+  id: t.id, label: t.label, chainId: t.chainId, launchpad: t.launchpad, weth: t.weth, explorer: t.explorer,
+  ethosUrlTemplate: t.ethosUrlTemplate, abi: t.iface ? JSON.parse(t.iface.formatJson()) : null
+});
+
+/** The target a fixture was recorded with; for a bare receipt, the configured one it touches (else chain 1 defaults). */
+function fixtureTarget(fx, n) {
+  if (!fx.target) {
+    const known = targets.find(t => touchesLaunchpad(t, fx.receipt));
+    if (known) return known;
+    if (!fx.receipt.to) throw new Error('bare receipt without `to`; cannot tell the launchpad');
+  }
+  const info = fx.target ?? { chainId: 1, launchpad: fx.receipt.to };
+  const chain = CHAINS[info.chainId] || {};
+  return createTarget({
+    id: info.id ?? 'replay', label: info.label || '', chainId: Number(info.chainId), urls: [], rpcHttp: null,
+    launchpad: ethers.getAddress(String(info.launchpad).toLowerCase()),
+    weth: info.weth ?? chain.weth ?? null, explorer: info.explorer ?? chain.explorer ?? null,
+    ethosUrlTemplate: info.ethosUrlTemplate || process.env.ETHOS_URL_TEMPLATE || 'https://ethos.vision/?t={CA}',
+    fromBlock: null, abi: info.abi ?? null, stateFile: `replay-${n}.json`
+  });
+}
+
+async function replayFixture(file, n) {
+  const fx = loadFixture(file);
+  const t = fixtureTarget(fx, n);
+  const source = createFixtureSource(fx);
+  t.provider = source.provider;
+  t.rawCall = source.call;
+  http.get = source.httpGet;
+  await ensureAbi(t);
+  await handleReceipt(t, fx.receipt);
+  if (source.misses.size) console.error(`${file}: ${source.misses.size} read(s) not in the fixture were treated as failed`);
+}
+
+// One-shot connection for a tx hash: HTTP when configured, else the primary WS. No supervisor,
+// so a dead endpoint has to surface as an error instead of a crash or a hang.
+async function replayProvider(t) {
+  if (t.httpProvider) return t.httpProvider;
+  const p = new ethers.WebSocketProvider(t.urls[0], t.chainId);
+  const failed = new Promise((_, rej) => { p.websocket.onerror = (e) => rej(new Error(`socket error: ${e?.message || 'unknown'}`)); });
+  failed.catch(() => {});
+  try { await Promise.race([withTimeout(p.send('eth_blockNumber', []), 15000, 'eth_blockNumber'), failed]); }
+  catch (e) { p.destroy(); throw new Error(`[${t.name}] ${redactUrl(t.urls[0])}: ${e.message}`); }
+  return p;
+}
+
+async function replayTx(hash, recordDir, live) {
+  if (!targets.length) throw new Error('tx hashes need a configured target (RPC_WSS + LAUNCHPAD_ADDRESS or TARGETS_FILE)');
+  for (const t of targets) {
+    if (!live.has(t)) live.set(t, await replayProvider(t).catch((e) => { console.error(e.message); return null; }));
+    const provider = live.get(t);
+    if (!provider) continue;
+    const receipt = await withTimeout(provider.getTransactionReceipt(hash), 30000, 'getTransactionReceipt').catch(() => null);
+    if (!receipt || !touchesLaunchpad(t, receipt)) continue;
+
+    const recorder = createRecorder({ provider, call: (req) => t.batcher.call(req), httpGet: liveHttpGet });
+    t.provider = recorder.provider;
+    t.rawCall = recorder.call;
+    http.get = recorder.httpGet;
+    await ensureAbi(t);
+    await handleReceipt(t, await t.provider.getTransactionReceipt(hash));
+    if (recordDir) {
+      const file = path.join(recordDir, `${receipt.hash}.json`);
+      writeJsonFile(file, recorder.fixture(fixtureTargetInfo(t)));
+      console.error(`Recorded ${file}`);
+    }
+    return;
+  }
+  throw new Error('no receipt touching a watched launchpad on any configured RPC');
+}
 
-  console.log(`Bot is running on chain ${CHAIN_ID}. Subscribed to ${LAUNCHPAD_ADDRESS}`);
+async function runReplay(args) {
+  let recordDir = null;
+  const inputs = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--record') recordDir = args[++i] ?? '';
+    else if (args[i] === '--locale' || args[i] === '--template') defaultLook[args[i].slice(2)] = args[++i] ?? '';
+    else inputs.push(args[i]);
+  }
+  const live = new Map(); // target → provider, for tx hashes
+  try {
+    if (!inputs.length || recordDir === '' || !defaultLook.locale || !defaultLook.template) { console.error(REPLAY_USAGE); process.exitCode = 2; return; }
+    for (const [n, input] of inputs.entries()) {
+      try {
+        if (/^0x[0-9a-fA-F]{64}$/.test(input)) await replayTx(input, recordDir, live);
+        else await replayFixture(input, n);
+      } catch (e) {
+        console.error(`${input}: ${e?.message || e}`);
+        process.exitCode = 1;
+      }
+    }
+  } finally {
+    for (const p of live.values()) p?.destroy();
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+  }
+}
+
+/* ================= Health / readiness ================= */
+// Ready = Telegram answers getMe (cached 30 s) and every target is connected with its ABI loaded.
+let telegramCheck = { at: 0, ok: false };
+async function readiness() {
+  if (Date.now() - telegramCheck.at > 30_000) {
+    telegramCheck = { at: Date.now(), ok: await bot.telegram.getMe().then(() => true, () => false) };
+  }
+  const status = targets.map(t => ({
+    target: t.name, connected: Boolean(t.supervisor?.connected), abi: Boolean(t.iface),
+    head: t.supervisor?.head || null, lastBlock: t.state.data.lastBlock
+  }));
+  return { ready: telegramCheck.ok && status.every(s => s.connected && s.abi), telegram: telegramCheck.ok, targets: status };
+}
+const healthServer = HTTP_PORT ? createHealthServer({ port: Number(HTTP_PORT), host: HTTP_HOST, readiness, metrics }) : null;
+
+async function init() {
+  await healthServer?.start();
+  outbox.start(); // messages queued before the last shutdown
+  digests?.start();
+
+  // Targets connect independently: one whose RPC is down keeps retrying without holding up the rest.
+  for (const t of targets) startTarget(t).catch((e) => console.error(`[${t.name}] failed to start:`, e));
+
+  console.log(`Bot is running. Targets: ${targets.map(t => t.name).join(', ')}. Sinks: ${notifier.sinks.join(', ') || 'none'}`);
   await bot.launch();
 }
 
-process.once('SIGINT', () => bot.stop('SIGINT'));
-process.once('SIGTERM', () => bot.stop('SIGTERM'));
-init().catch((e)=>{ console.error('Fatal init error:', e); process.exit(1); });
+const shutdown = (sig) => {
+  for (const t of targets) { t.supervisor?.stop(); t.liveCards.stop(); if (t.saveTimer) saveCheckpoint(t); }
+  outbox.stop();
+  digests?.stop();
+  healthServer?.stop();
+  bot.stop(sig);
+};
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+(REPLAY_ARGS ? runReplay(REPLAY_ARGS) : init()).catch((e)=>{ console.error('Fatal init error:', e); process.exit(1); });
@@ -0,0 +1,93 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import axios from 'axios';
+import { ethers } from 'ethers';
+import { readJsonFile, writeJsonFile } from './store.mjs';
+
+/* ================= Launchpad ABI registry =================
+ * Resolves the ABI for (chainId, launchpad address), first hit wins:
+ *   1. abi/<chainId>/<address>.json     exact deployment
+ *   2. abi/Launchpad.<network>.json     bundled per-chain launchpad ABI
+ *   3. inline JSON (the target's `abi`, else LAUNCHPAD_ABI)
+ *   4. <cacheDir>/<chainId>-<address>.json, else Etherscan (result written to the cache)
+ */
+const NETWORK_NAMES = { 1: 'mainnet', 11155111: 'sepolia' };
+
+/** Etherscan V2: one endpoint and key for every chain it indexes; append `&module=…`. */
+export const etherscanApiBase = id => `https://api.etherscan.io/v2/api?chainid=${Number(id)}`;
+
+const unwrap = (json) => Array.isArray(json) ? json : (Array.isArray(json?.abi) ? json.abi : null);
+
+function readAbiFile(file) {
+  if (!fs.existsSync(file)) return null;
+  const abi = unwrap(readJsonFile(file, null));
+  if (!abi) console.warn(`Ignoring ${file}: not an ABI array`);
+  return abi;
+}
+
+async function fetchEtherscanAbi(chainId, address, apiKey) {
+  try {
+    const url = `${etherscanApiBase(chainId)}&module=contract&action=getabi&address=${address}&apikey=${apiKey}`;
+    const { data } = await axios.get(url, { timeout: 15000 });
+    if (data.status === '1') return JSON.parse(data.result);
+    console.warn('Etherscan ABI fetch status!=1:', data?.message || data);
+  } catch (err) {
+    console.warn('Failed to fetch ABI:', err.message);
+  }
+  return null;
+}
+
+export function createAbiRegistry({ abiDir, cacheDir, inlineAbi, etherscanApiKey }) {
+  const resolved = new Map();
+
+  async function lookup(chainId, address, inline) {
+    const addr = address.toLowerCase();
+    const network = NETWORK_NAMES[chainId];
+    const files = [path.join(abiDir, String(chainId), `${addr}.json`)];
+    if (network) files.push(path.join(abiDir, `Launchpad.${network}.json`));
+    for (const file of files) {
+      const abi = readAbiFile(file);
+      if (abi) return { abi, source: path.relative(process.cwd(), file) || file };
+    }
+
+    if (inline) {
+      try { return { abi: unwrap(typeof inline === 'string' ? JSON.parse(inline) : inline), source: 'inline ABI' }; }
+      catch (e) { console.warn('Failed to parse inline launchpad ABI:', e.message); }
+    }
+
+    const cacheFile = path.join(cacheDir, `${chainId}-${addr}.json`);
+    const cached = readAbiFile(cacheFile);
+    if (cached) return { abi: cached, source: 'etherscan (cached)' };
+    if (!etherscanApiKey) return null;
+    const fetched = await fetchEtherscanAbi(chainId, address, etherscanApiKey);
+    if (!fetched) return null;
+    try { writeJsonFile(cacheFile, fetched); } catch (e) { console.warn('Failed to cache ABI:', e.message); }
+    return { abi: fetched, source: 'etherscan' };
+  }
+
+  /** → { abi, iface, source } or null. Memoized per (chainId, address). `inline` overrides `inlineAbi`. */
+  async function resolve(chainId, address, inline = inlineAbi) {
+    const key = `${chainId}:${address.toLowerCase()}`;
+    if (resolved.has(key)) return resolved.get(key);
+    let entry = await lookup(Number(chainId), address, inline);
+    if (entry) {
+      try { entry = { ...entry, iface: new ethers.Interface(entry.abi) }; }
+      catch (e) { console.warn(`ABI from ${entry.source} failed to parse:`, e.message); entry = null; }
+    }
+    resolved.set(key, entry);
+    return entry;
+  }
+
+  return { resolve };
+}
+
+/** Event names from `wanted` that the interface defines, plus the ones it does not. */
+export function checkEventNames(iface, wanted) {
+  const defined = [], missing = [];
+  for (const name of wanted) {
+    let ok = false;
+    try { ok = iface.hasEvent(name); } catch {}
+    (ok ? defined : missing).push(name);
+  }
+  return { defined, missing };
+}
@@ -0,0 +1,123 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { toJson } from './notifier.mjs';
+
+/* ================= Archive =================
+ * Every detected launch and lock as one JSON line, appended to `file` and kept
+ * in memory for /recent, /search and /export:
+ *   launch: { kind: 'launch', at, target, label, chainId, block, txHash, token, name, symbol,
+ *             deployer, pair, lpEth, fdvEth, fdvUsd, devPct, reflectPct, mechanisms, socials, source }
+ *   lock:   { kind: 'lock', at, target, label, chainId, block, txHash, token, name, symbol,
+ *             event, lockSeconds, unlocksAt, source }
+ * `at` = block time (unix seconds); `source` = 'live' or 'fill' (read back from
+ * old TokenCreated logs, USD fields left out). A record is kept once per
+ * (kind, chain, tx, token): re-handling a tx does not duplicate it.
+ */
+const txKeyOf = (r) => `${r.kind}:${r.chainId}:${String(r.txHash).toLowerCase()}`;
+const keyOf = (r) => `${txKeyOf(r)}:${String(r.token || '').toLowerCase()}`;
+const newestFirst = (a, b) => (b.at - a.at) || (b.block - a.block);
+
+export function createArchive({ file }) {
+  const records = [];
+  const keys = new Set();
+  const txKeys = new Set();
+
+  try {
+    let bad = 0;
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const r = JSON.parse(line);
+        if (keys.has(keyOf(r))) continue;
+        keys.add(keyOf(r));
+        txKeys.add(txKeyOf(r));
+        records.push(r);
+      } catch { bad++; }
+    }
+    if (bad) console.warn(`archive: skipped ${bad} unreadable line(s) in ${file}`);
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`archive: failed to read ${file}:`, e.message);
+  }
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+
+  /** Append a record; → false when it is already archived (or could not be written). */
+  function add(record) {
+    const key = keyOf(record);
+    if (keys.has(key)) return false;
+    const line = toJson(record);
+    try { fs.appendFileSync(file, line + '\n'); }
+    catch (e) { console.error(`archive: failed to write ${file}:`, e.message); return false; }
+    keys.add(key);
+    txKeys.add(txKeyOf(record));
+    records.push(JSON.parse(line));
+    return true;
+  }
+
+  /** Whether a `kind` record from that tx is archived already. */
+  const has = (kind, chainId, txHash) => txKeys.has(txKeyOf({ kind, chainId, txHash }));
+
+  /** Newest `n` records, optionally of one kind. */
+  const recent = (n = 10, { kind } = {}) => records.filter(r => !kind || r.kind === kind).sort(newestFirst).slice(0, n);
+
+  /**
+   * Launches matching a CA (exact), a ticker (exact, any case) or part of a name / ticker,
+   * exact hits first; a CA also brings its locks. Newest first within each group.
+   */
+  function search(query, { limit = 10 } = {}) {
+    const q = String(query || '').trim().toLowerCase().replace(/^\$/, '');
+    if (!q) return [];
+    if (/^0x[0-9a-f]{40}$/.test(q)) return records.filter(r => String(r.token).toLowerCase() === q).sort(newestFirst).slice(0, limit);
+    const launches = records.filter(r => r.kind === 'launch').sort(newestFirst);
+    const exact = launches.filter(r => String(r.symbol || '').toLowerCase() === q);
+    const partial = launches.filter(r => !exact.includes(r) &&
+      (String(r.symbol || '').toLowerCase().includes(q) || String(r.name || '').toLowerCase().includes(q)));
+    return [...exact, ...partial].slice(0, limit);
+  }
+
+  /** Records at or after `unixSeconds`, oldest first (for exports). */
+  const since = (unixSeconds) => records.filter(r => r.at >= unixSeconds).sort((a, b) => -newestFirst(a, b));
+
+  return {
+    add, has, recent, search, since,
+    get size() { return records.length; },
+    count: (kind) => records.filter(r => r.kind === kind).length,
+    oldest: () => records.reduce((min, r) => (min == null || r.at < min ? r.at : min), null)
+  };
+}
+
+/* ----- Export ----- */
+const CSV_COLUMNS = [
+  ['kind', r => r.kind],
+  ['time_utc', r => new Date(r.at * 1000).toISOString()],
+  ['chain_id', r => r.chainId],
+  ['label', r => r.label],
+  ['token', r => r.token],
+  ['name', r => r.name],
+  ['symbol', r => r.symbol],
+  ['deployer', r => r.deployer],
+  ['pair', r => r.pair],
+  ['lp_eth', r => r.lpEth],
+  ['fdv_eth', r => r.fdvEth],
+  ['fdv_usd', r => r.fdvUsd],
+  ['dev_pct', r => r.devPct],
+  ['reflect_pct', r => r.reflectPct],
+  ['lock_event', r => r.event],
+  ['lock_seconds', r => r.lockSeconds],
+  ['socials', r => Object.entries(r.socials || {}).map(([k, v]) => `${k}=${v}`).join(' ')],
+  ['mechanisms', r => r.mechanisms && Object.keys(r.mechanisms).length ? JSON.stringify(r.mechanisms) : ''],
+  ['block', r => r.block],
+  ['tx', r => r.txHash],
+  ['source', r => r.source]
+];
+
+// Quoted when needed; text a spreadsheet would run as a formula (=, +, -, @) gets a leading '.
+function csvCell(v) {
+  if (v == null) return '';
+  let s = String(v);
+  if (typeof v === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(records) {
+  return [CSV_COLUMNS.map(([name]) => name).join(','), ...records.map(r => CSV_COLUMNS.map(([, get]) => csvCell(get(r))).join(','))].join('\n') + '\n';
+}
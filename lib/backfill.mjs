@@ -0,0 +1,55 @@
+/* ================= Chunked log backfill =================
+ * Walks [fromBlock, toBlock] in chunks. When the provider rejects a range as
+ * too wide / too large, the chunk is halved and retried; after a run of
+ * successes it grows back, but never to a size that was already rejected.
+ * Anything else (timeouts, dropped connections) retries the same range.
+ * Each chunk's logs are handed to `onChunk` sorted by (block, logIndex) and
+ * only then does the walk move on, so callers can checkpoint per chunk.
+ */
+const RANGE_ERROR_RE = /block range|range (is )?too (large|wide)|too many (results|logs|blocks)|limit exceeded|exceed(s|ed)? .*limit|response size|query returned more than|more than \d+ (results|logs)|-32005|-32602/i;
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+const errorText = (e) =>
+  [e?.message, e?.shortMessage, e?.error?.message, e?.info?.error?.message, e?.code, e?.error?.code].filter(Boolean).join(' ');
+
+export const isRangeError = (e) => RANGE_ERROR_RE.test(errorText(e));
+
+export const byLogOrder = (a, b) =>
+  (a.blockNumber - b.blockNumber) || ((a.index ?? a.logIndex ?? 0) - (b.index ?? b.logIndex ?? 0));
+
+export async function backfillLogs(provider, {
+  address, topics, fromBlock, toBlock, onChunk,
+  chunkSize = 2000, minChunk = 1, maxChunk = 10000, maxRetries = 5, label = 'Backfill'
+}) {
+  let size = Math.max(minChunk, Math.min(chunkSize, maxChunk));
+  let from = fromBlock, streak = 0, retries = 0, ceiling = maxChunk;
+  const total = toBlock - fromBlock + 1;
+
+  while (from <= toBlock) {
+    const to = Math.min(toBlock, from + size - 1);
+    let logs;
+    try {
+      logs = await provider.getLogs({ address, topics, fromBlock: from, toBlock: to });
+    } catch (e) {
+      if (isRangeError(e) && size > minChunk) {
+        ceiling = size - 1;
+        size = Math.max(minChunk, Math.floor(size / 2));
+        streak = 0;
+        console.warn(`${label}: ${from}..${to} rejected (${errorText(e).slice(0, 120)}); chunk → ${size} blocks`);
+        continue;
+      }
+      if (++retries > maxRetries) throw e;
+      console.warn(`${label}: ${from}..${to} failed (${e.message}); retry ${retries}/${maxRetries}`);
+      await sleep(1000 * retries);
+      continue;
+    }
+    retries = 0;
+
+    await onChunk([...logs].sort(byLogOrder), from, to);
+
+    const done = to - fromBlock + 1;
+    console.log(`${label}: ${from}..${to} → ${logs.length} logs (${((done / total) * 100).toFixed(1)}%)`);
+    from = to + 1;
+    if (++streak >= 3 && size < ceiling) { size = Math.min(ceiling, size * 2); streak = 0; }
+  }
+}
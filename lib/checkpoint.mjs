@@ -0,0 +1,70 @@
+/* ================= Checkpoint / dedup store =================
+ * Per target `t`: t.state (a JSON store, see lib/store.mjs) holds
+ *   lastBlock  last block whose launchpad logs were all handled; restarts resume at lastBlock+1
+ *   seenTx     the latest SEEN_TX_LIMIT tx hashes handled (mirrored in the Set t.seenTx)
+ * and t.stuckAt the lowest block with a failed tx this session, which the
+ * checkpoint must not pass (the tx is retried on the next catch-up).
+ */
+export const SEEN_TX_LIMIT = 5000;
+
+export function markSeen(t, txHash) {
+  const { data } = t.state;
+  t.seenTx.add(txHash);
+  data.seenTx.push(txHash);
+  if (data.seenTx.length > SEEN_TX_LIMIT) {
+    for (const old of data.seenTx.splice(0, data.seenTx.length - SEEN_TX_LIMIT)) t.seenTx.delete(old);
+  }
+}
+
+export function markFailed(t, blockNumber) {
+  if (t.stuckAt == null || blockNumber < t.stuckAt) t.stuckAt = blockNumber;
+}
+
+/** Move the checkpoint up to `blockNumber` (never past a failed block); → whether it moved. Saving is the caller's. */
+export function advanceCheckpoint(t, blockNumber) {
+  const { data } = t.state;
+  let n = blockNumber;
+  if (t.stuckAt != null) n = Math.min(n, t.stuckAt - 1);
+  if (data.lastBlock != null && n <= data.lastBlock) return false;
+  data.lastBlock = n;
+  return true;
+}
+
+export function saveCheckpoint(t) {
+  clearTimeout(t.saveTimer);
+  t.saveTimer = null;
+  t.state.save();
+}
+
+/** Save at most every `delayMs` (quiet-block advances); a pending save is flushed by saveCheckpoint. */
+export function saveCheckpointLater(t, delayMs) {
+  if (t.saveTimer) return;
+  t.saveTimer = setTimeout(() => saveCheckpoint(t), delayMs);
+  t.saveTimer.unref?.();
+}
+
+/**
+ * `handleTx(hash)` for every not-yet-seen tx among `logs` (sorted), then one save; → how many
+ * returned true. A tx that throws is logged and left unseen, holds the checkpoint below its
+ * block, and the rest still run. `advance: false` leaves the checkpoint alone.
+ */
+export async function handleLogs(t, logs, { handleTx, advance = true }) {
+  let handled = 0, changed = false;
+  const failed = new Set();
+  for (const lg of logs) {
+    if (t.seenTx.has(lg.transactionHash) || failed.has(lg.transactionHash)) continue;
+    try {
+      if (await handleTx(lg.transactionHash)) handled++;
+    } catch (e) {
+      failed.add(lg.transactionHash);
+      markFailed(t, lg.blockNumber);
+      console.error(`[${t.name}] handle log error (tx ${lg.transactionHash}):`, e);
+      continue;
+    }
+    markSeen(t, lg.transactionHash);
+    if (advance) advanceCheckpoint(t, lg.blockNumber - 1);
+    changed = true;
+  }
+  if (changed) saveCheckpoint(t);
+  return handled;
+}
@@ -0,0 +1,145 @@
+import { ethers } from 'ethers';
+
+/* ================= Deployer profiles =================
+ * What else a deployer launched on this launchpad (userLaunchedTokensCount /
+ * userLaunchedTokens) and how each of those tokens ended up:
+ *   'withdrawn'  hasWithdrawLiquidity(token)
+ *   'dead'       pair holds less than `deadEthWei` (or, without a pair,
+ *                isAlive(token, deployer) is false)
+ *   'alive'      otherwise; `ethWei` / `tokenWei` are the pair's reserves
+ * plus `locked` when getTimeLeft(token) > 0 or getLaunch(token).locks is set.
+ * Everything is read at 'latest' and cached: each deployer's token list (append-only,
+ * so only new indices are read when the count grows) and each token's entry
+ * ('withdrawn' is final, the others are re-read after `ttlMs`). `caller` only
+ * needs call(), like the batcher.
+ */
+const LAUNCHPAD = new ethers.Interface([
+  'function userLaunchedTokensCount(address) view returns (uint256)',
+  'function userLaunchedTokens(address, uint256) view returns (address)',
+  'function hasWithdrawLiquidity(address) view returns (bool)',
+  'function isAlive(address _token, address _user) view returns (bool)',
+  'function getTimeLeft(address) view returns (uint256)',
+  'function uniswapV2Router() view returns (address)'
+]);
+const ROUTER  = new ethers.Interface(['function factory() view returns (address)', 'function WETH() view returns (address)']);
+const FACTORY = new ethers.Interface(['function getPair(address, address) view returns (address)']);
+const PAIR    = new ethers.Interface([
+  'function token0() view returns (address)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)'
+]);
+const TOKEN   = new ethers.Interface(['function symbol() view returns (string)']);
+
+const lc = (a) => String(a || '').toLowerCase();
+
+async function readResult(caller, to, fi, fn, args = [], blockTag = 'latest') {
+  try {
+    const raw = await caller.call({ to, data: fi.encodeFunctionData(fn, args), blockTag });
+    return fi.decodeFunctionResult(fn, raw);
+  } catch { return null; }
+}
+const read = async (...a) => (await readResult(...a))?.[0] ?? null;
+
+export function createDeployerProfiles({ caller, launchpad, getLaunch = () => null, maxTokens = 10, ttlMs = 30 * 60_000, deadEthWei = ethers.parseEther('0.01') }) {
+  const tokens = new Map(); // token (lowercase) → { tokenCA, symbol, outcome, ethWei, tokenWei, locked, at }
+  const lists = new Map();  // deployer (lowercase) → Map(index → token address)
+  let dex = null;           // Promise<{ factory, weth }>
+
+  function readDex() {
+    if (!dex) {
+      dex = (async () => {
+        const router = await read(caller, launchpad, LAUNCHPAD, 'uniswapV2Router');
+        if (!router) return {};
+        const [factory, weth] = await Promise.all([read(caller, router, ROUTER, 'factory'), read(caller, router, ROUTER, 'WETH')]);
+        return { factory, weth };
+      })().then(r => { if (!r.factory) dex = null; return r; });
+    }
+    return dex;
+  }
+
+  // → { ethWei, tokenWei } of the token's WETH pair, or null
+  async function pairReserves(tokenCA) {
+    let pair = getLaunch(tokenCA)?.pairAddr || null;
+    if (!pair) {
+      const { factory, weth } = await readDex();
+      if (factory && weth) pair = await read(caller, factory, FACTORY, 'getPair', [tokenCA, weth]);
+    }
+    if (!pair || pair === ethers.ZeroAddress) return null;
+    const [token0, reserves] = await Promise.all([
+      read(caller, pair, PAIR, 'token0'),
+      readResult(caller, pair, PAIR, 'getReserves')
+    ]);
+    if (!token0 || !reserves) return null;
+    const tokenIs0 = lc(token0) === lc(tokenCA);
+    return { ethWei: tokenIs0 ? reserves[1] : reserves[0], tokenWei: tokenIs0 ? reserves[0] : reserves[1] };
+  }
+
+  async function tokenInfo(tokenCA, deployer) {
+    const key = lc(tokenCA);
+    const hit = tokens.get(key);
+    if (hit && (hit.outcome === 'withdrawn' || Date.now() - hit.at < ttlMs)) return hit;
+
+    const [symbol, withdrawn, timeLeft, reserves, alive] = await Promise.all([
+      hit?.symbol ?? read(caller, tokenCA, TOKEN, 'symbol'),
+      read(caller, launchpad, LAUNCHPAD, 'hasWithdrawLiquidity', [tokenCA]),
+      read(caller, launchpad, LAUNCHPAD, 'getTimeLeft', [tokenCA]),
+      pairReserves(tokenCA),
+      read(caller, launchpad, LAUNCHPAD, 'isAlive', [tokenCA, deployer])
+    ]);
+    const ethWei = reserves?.ethWei ?? null;
+    const outcome = withdrawn ? 'withdrawn'
+      : ethWei != null ? (ethWei < deadEthWei ? 'dead' : 'alive')
+      : alive === false ? 'dead' : 'alive';
+    const info = {
+      tokenCA: ethers.getAddress(tokenCA), symbol, outcome, ethWei, tokenWei: reserves?.tokenWei ?? null,
+      locked: timeLeft > 0n || Boolean(getLaunch(tokenCA)?.locks?.length),
+      at: Date.now()
+    };
+    tokens.set(key, info);
+    return info;
+  }
+
+  /** userLaunchedTokensCount(deployer) as of `blockTag` → number | null */
+  async function launchCount(deployer, blockTag = 'latest') {
+    const n = await read(caller, launchpad, LAUNCHPAD, 'userLaunchedTokensCount', [deployer], blockTag);
+    return n != null ? Number(n) : null;
+  }
+
+  // userLaunchedTokens(deployer, i) for i in [from, to), cached (a deployer's list only grows); → [{ i, token }]
+  async function listSlice(deployer, from, to) {
+    const key = lc(deployer);
+    if (!lists.has(key)) lists.set(key, new Map());
+    const list = lists.get(key);
+    const missing = [];
+    for (let i = from; i < to; i++) if (!list.has(i)) missing.push(i);
+    const found = await Promise.all(missing.map(i => read(caller, launchpad, LAUNCHPAD, 'userLaunchedTokens', [deployer, i])));
+    missing.forEach((i, n) => { if (found[n]) list.set(i, found[n]); });
+    const out = [];
+    for (let i = from; i < to; i++) if (list.has(i)) out.push({ i, token: list.get(i) });
+    return out;
+  }
+
+  /**
+   * → { deployer, count, tokens, more } — `count` previous launches (not counting `exclude`),
+   * the most recent `maxTokens` of them in `tokens`. `before: true` also leaves out whatever the
+   * deployer launched after `exclude` (a launch card shows the history as it was at that launch),
+   * as long as `exclude` is among their latest `maxTokens + 1` launches.
+   */
+  async function profile(deployer, { exclude = null, before = false } = {}) {
+    const total = await launchCount(deployer) ?? -1;
+    if (total < 0) return null;
+    let recent = await listSlice(deployer, Math.max(0, total - maxTokens - 1), total);
+    const at = recent.find(r => lc(r.token) === lc(exclude));
+    if (at && before) recent = await listSlice(deployer, Math.max(0, at.i - maxTokens), at.i);
+    const previous = recent.filter(r => r !== at).map(r => r.token);
+    const count = at && before ? at.i : total - (at ? 1 : 0);
+    const shown = previous.slice(-maxTokens).reverse(); // newest first
+    return {
+      deployer: ethers.getAddress(deployer),
+      count,
+      tokens: await Promise.all(shown.map(a => tokenInfo(a, deployer))),
+      more: Math.max(0, count - shown.length)
+    };
+  }
+
+  return { profile, token: tokenInfo, launchCount };
+}
@@ -0,0 +1,181 @@
+/* ================= Digest =================
+ * Daily / weekly recap of launchpad activity, built from the archive
+ * (lib/archive.mjs) plus what the caller reads on-chain today:
+ *   summarize(records, { from, to, current, launchCounts, top }) → the numbers
+ * and the schedule it is posted on: "HH:MM" every day, "<weekday> HH:MM" every
+ * week, both in an IANA time zone. A digest covers [previous slot, slot).
+ */
+export const DIGEST_PERIODS = ['daily', 'weekly'];
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/** "09:00" (daily) or "mon 09:00" (weekly) → { period, weekday, hour, minute }; null when empty / off. Throws on anything else. */
+export function parseSchedule(spec, period) {
+  const s = String(spec ?? '').trim().toLowerCase();
+  if (!s || s === 'off') return null;
+  const m = /^(?:([a-z]{3})[a-z]*\s+)?(\d{1,2}):(\d{2})$/.exec(s);
+  const weekday = m?.[1] ? WEEKDAYS.indexOf(m[1]) : null;
+  const hour = Number(m?.[2]), minute = Number(m?.[3]);
+  if (!m || hour > 23 || minute > 59 || weekday === -1 || (period === 'weekly') !== (weekday != null)) {
+    throw new Error(`${period} digest time "${spec}": use ${period === 'weekly' ? '"mon 09:00"' : '"09:00"'}`);
+  }
+  return { period, weekday, hour, minute };
+}
+
+/** Throws a RangeError for an unknown time zone. */
+export function checkTimeZone(timeZone) {
+  new Intl.DateTimeFormat('en-US', { timeZone });
+}
+
+const partsFormats = new Map();
+/** Wall-clock fields of `ms` in `timeZone`. */
+function zonedParts(ms, timeZone) {
+  let f = partsFormats.get(timeZone);
+  if (!f) {
+    f = new Intl.DateTimeFormat('en-US', { timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric' });
+    partsFormats.set(timeZone, f);
+  }
+  const p = Object.fromEntries(f.formatToParts(ms).filter(x => x.type !== 'literal').map(x => [x.type, Number(x.value)]));
+  return { year: p.year, month: p.month, day: p.day, hour: p.hour, minute: p.minute, second: p.second };
+}
+
+// Wall-clock time in `timeZone` → ms; the offset is taken twice so it lands right across DST changes.
+function zonedToUtc({ year, month, day, hour, minute }, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (ms) => { const p = zonedParts(ms, timeZone); return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - ms; };
+  const guess = wall - offsetAt(wall);
+  return wall - offsetAt(guess);
+}
+
+/** "2026-10-19 09:00" in `timeZone`. */
+export function fmtZoned(ms, timeZone) {
+  const p = zonedParts(ms, timeZone);
+  const two = (n) => String(n).padStart(2, '0');
+  return `${p.year}-${two(p.month)}-${two(p.day)} ${two(p.hour)}:${two(p.minute)}`;
+}
+
+// Slots of `schedule` on the local days around `nowMs`, oldest first.
+function slotsAround(schedule, nowMs, timeZone) {
+  const today = zonedParts(nowMs, timeZone);
+  const slots = [];
+  for (let i = -8; i <= 8; i++) {
+    const d = new Date(Date.UTC(today.year, today.month - 1, today.day + i));
+    if (schedule.weekday != null && d.getUTCDay() !== schedule.weekday) continue;
+    slots.push(zonedToUtc({ year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(), hour: schedule.hour, minute: schedule.minute }, timeZone));
+  }
+  return slots;
+}
+
+/** Latest slot at or before `nowMs`. */
+export const slotBefore = (schedule, nowMs, timeZone) => slotsAround(schedule, nowMs, timeZone).filter(s => s <= nowMs).pop();
+
+/** First slot after `nowMs`. */
+export const slotAfter = (schedule, nowMs, timeZone) => slotsAround(schedule, nowMs, timeZone).find(s => s > nowMs);
+
+/** The [from, to) ms a digest posted at slot `at` covers. */
+export const digestWindow = (schedule, at, timeZone) => ({ from: slotBefore(schedule, at - 1, timeZone), to: at });
+
+/** Middle value (mean of the two middle ones for an even count); null for none. */
+export function median(values) {
+  const v = values.filter(x => x != null && Number.isFinite(Number(x))).map(Number).sort((a, b) => a - b);
+  if (!v.length) return null;
+  const mid = v.length >> 1;
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+}
+
+const lc = (a) => String(a || '').toLowerCase();
+
+/**
+ * Archive records → the digest numbers for launches / locks with `from` <= at < `to` (unix seconds).
+ * `current`: token (lowercase) → { outcome: 'alive' | 'dead' | 'withdrawn', fdvEth, fdvUsd } read today;
+ * `launchCounts`: deployer (lowercase) → userLaunchedTokensCount. Top lists hold archive records,
+ * plus `fdvEth` / `fdvUsd` (today) in topFdv and { deployer, launched (in the window), total } in deployers.
+ */
+export function summarize(records, { from, to, current = new Map(), launchCounts = new Map(), top = 3 }) {
+  const inWindow = records.filter(r => r.at >= from && r.at < to);
+  const launches = inWindow.filter(r => r.kind === 'launch');
+  const outcomes = launches.map(r => current.get(lc(r.token))?.outcome).filter(Boolean);
+
+  const byDeployer = new Map();
+  for (const r of launches) {
+    if (!r.deployer) continue;
+    const key = lc(r.deployer);
+    const d = byDeployer.get(key) || { deployer: r.deployer, launched: 0, total: launchCounts.get(key) ?? null };
+    d.launched++;
+    byDeployer.set(key, d);
+  }
+
+  return {
+    launches: launches.length,
+    locks: inWindow.filter(r => r.kind === 'lock').length,
+    checked: outcomes.length,
+    withdrawn: outcomes.filter(o => o === 'withdrawn').length,
+    dead: outcomes.filter(o => o === 'dead').length,
+    medianDevPct: median(launches.map(r => r.devPct)),
+    medianReflectPct: median(launches.map(r => r.reflectPct)),
+    topLp: launches.filter(r => r.lpEth > 0).sort((a, b) => b.lpEth - a.lpEth).slice(0, top),
+    topFdv: launches
+      .map(r => ({ ...r, fdvEth: current.get(lc(r.token))?.fdvEth ?? 0, fdvUsd: current.get(lc(r.token))?.fdvUsd ?? 0 }))
+      .filter(r => r.fdvEth > 0)
+      .sort((a, b) => b.fdvEth - a.fdvEth)
+      .slice(0, top),
+    deployers: [...byDeployer.values()]
+      .sort((a, b) => (b.total ?? b.launched) - (a.total ?? a.launched) || b.launched - a.launched)
+      .slice(0, top)
+  };
+}
+
+/**
+ * Fires `run(period, { from, to })` (ms) at every slot of `schedules`. Posted slots are kept in
+ * `state` (a JSON store): a slot missed while the bot was down is posted `catchUpDelayMs` after
+ * start (the RPCs are up by then) when it is less than `graceMs` old; the very first start only
+ * records the current slot.
+ */
+export function createDigestScheduler({ schedules, timeZone, state, run, graceMs = 6 * 3_600_000, catchUpDelayMs = 60_000 }) {
+  const timers = new Map();
+  const next = {};
+  let stopped = false;
+
+  function arm(s, after) {
+    const at = slotAfter(s, Math.max(Date.now(), after), timeZone);
+    next[s.period] = at;
+    // setTimeout takes at most ~24.8 days; a weekly slot is always closer than that.
+    timers.set(s.period, setTimeout(() => fire(s, at), at - Date.now()));
+  }
+
+  async function fire(s, at) {
+    try {
+      await run(s.period, digestWindow(s, at, timeZone));
+    } catch (e) {
+      console.error(`${s.period} digest failed:`, e);
+    }
+    state.data[s.period] = at;
+    state.save();
+    if (!stopped) arm(s, at);
+  }
+
+  return {
+    start() {
+      for (const s of schedules) {
+        const last = slotBefore(s, Date.now(), timeZone);
+        const posted = state.data[s.period];
+        if (posted == null) {
+          state.data[s.period] = last;
+          state.save();
+        } else if (last > posted && Date.now() - last < graceMs) {
+          next[s.period] = last;
+          timers.set(s.period, setTimeout(() => fire(s, last), catchUpDelayMs));
+          continue;
+        }
+        arm(s, Date.now());
+      }
+    },
+    stop() {
+      stopped = true;
+      for (const timer of timers.values()) clearTimeout(timer);
+      timers.clear();
+    },
+    /** period → ms of its next slot */
+    next: () => ({ ...next })
+  };
+}
@@ -0,0 +1,42 @@
+import { ethers } from 'ethers';
+
+/* ================= Formatting =================
+ * Number / text helpers shared by the cards and the spec builder.
+ */
+export function escapeHtml(s) {
+  return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
+}
+
+export const fmtETH = (wei) => ethers.formatEther(wei);
+export const fmtEthShort = (n) => {
+  const v = Number(n);
+  if (!Number.isFinite(v)) return String(n);
+  if (v >= 1) return v.toFixed(2);
+  return v.toFixed(4);
+};
+export const fmtCompact = (n) => {
+  const v = Number(n);
+  if (!Number.isFinite(v)) return String(n);
+  return v < 1000 ? v.toFixed(2)
+       : v < 1e6 ? (v/1e3).toFixed(2) + 'K'
+       : v < 1e9 ? (v/1e6).toFixed(2) + 'M'
+       : (v/1e9).toFixed(2) + 'B';
+};
+export const fmtUSD = (n) => {
+  const v = Number(n);
+  if (!Number.isFinite(v)) return String(n);
+  return v < 1000 ? v.toFixed(2)
+       : v < 1_000_000 ? v.toLocaleString(undefined, { maximumFractionDigits: 0 })
+       : (v/1e6).toFixed(2) + 'M';
+};
+// Token prices: 2 decimals from 1 up, else 4 significant digits without exponent (0.00001234).
+export const fmtPrice = (n) => {
+  const v = Number(n);
+  if (!Number.isFinite(v) || v <= 0) return String(n);
+  if (v >= 1) return fmtUSD(v);
+  return v.toFixed(Math.min(20, 3 - Math.floor(Math.log10(v)))).replace(/0+$/, '');
+};
+
+export const fmtDuration = (sec) =>
+  sec < 120 ? `${sec} s` : sec < 7200 ? `${(sec/60).toFixed(0)} min`
+  : sec < 172800 ? `${(sec/3600).toFixed(1)} h` : `${(sec/86400).toFixed(1)} d`;
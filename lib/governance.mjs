@@ -0,0 +1,155 @@
+/* ================= Launchpad governance =================
+ * Keeps a snapshot of the launchpad's global parameters (every no-argument
+ * view with one scalar output: maxDevFeePercent, minEthToCreate, canCreate,
+ * paused, owner, …) and reports what changed:
+ *   - onTx(tx, receipt): owner setters / ownership calls sent to the launchpad
+ *   - onReceipt(receipt): OwnershipTransferred / Paused / Unpaused from the
+ *     launchpad in any tx (e.g. executed through a multisig)
+ *   - sync(): a plain re-read, run on connect and every `pollBlocks` blocks, so
+ *     changes made through other contracts are still caught (without a tx)
+ * Each report goes to onChange({ txHash, block, actions, changes }); what onTx and
+ * onReceipt find in one tx is merged into one report (calls first).
+ *   actions = [{ kind: 'call' | 'event', name, args }]
+ *   changes = [{ key, before, after }]   (values as strings)
+ * The snapshot is persisted by the caller through getSnapshot / setSnapshot.
+ */
+const GOVERNANCE_EVENTS = ['OwnershipTransferred', 'Paused', 'Unpaused'];
+const GOVERNANCE_CALLS = /^(set[A-Z]|transferOwnership$|renounceOwnership$|recoverEth$)/;
+const NOT_PARAMS = new Set(['tokenCount', 'viewTokensList']);
+const SCALAR = /^(address|bool|u?int\d*|bytes\d+|string)$/;
+
+const lc = (a) => String(a || '').toLowerCase();
+const actionKey = (a) => `${a.kind}:${a.name}:${JSON.stringify(a.args)}`;
+const callsFirst = (a, b) => (a.kind === 'call' ? 0 : 1) - (b.kind === 'call' ? 0 : 1);
+// Txs whose reported actions are remembered (oldest forgotten first); a hook reporting later than that is long overdue.
+export const REPORTED_TX_LIMIT = 1000;
+
+/** Launchpad parameter getters the ABI defines. */
+export function paramGetters(iface) {
+  const out = [];
+  iface.forEachFunction((fn) => {
+    if (!fn.constant || fn.inputs.length || fn.outputs.length !== 1) return;
+    if (NOT_PARAMS.has(fn.name) || !SCALAR.test(fn.outputs[0].type)) return;
+    out.push(fn);
+  });
+  return out;
+}
+
+/** Decoded args → plain { name: string } */
+function argsObject(fragment, args) {
+  return Object.fromEntries(fragment.inputs.map((inp, i) => [inp.name || `arg${i}`, String(args[i])]));
+}
+
+export function diffParams(before, after) {
+  const changes = [];
+  for (const [key, value] of Object.entries(after)) {
+    if (key in before && before[key] !== value) changes.push({ key, before: before[key], after: value });
+  }
+  return changes;
+}
+
+export function createGovernanceWatch({ getProvider, caller, launchpad, getIface, parseTx, getSnapshot, setSnapshot, onChange, pollBlocks = 300 }) {
+  const reported = new Map(); // tx hash → keys of its actions already reported (or queued), latest REPORTED_TX_LIMIT txs
+  const queued = new Map();   // tx hash → { actions, done } still waiting for its check
+  let chain = Promise.resolve();
+  let subscribed = null, lastPoll = 0;
+
+  // All checks run one at a time, so two triggers never report the same diff.
+  const serial = (fn) => (chain = chain.then(fn).catch(e => console.error('governance watch error:', e)));
+
+  async function readParams(blockTag) {
+    const iface = getIface();
+    const getters = paramGetters(iface);
+    const values = await Promise.all(getters.map(async (fn) => {
+      try {
+        const raw = await caller.call({ to: launchpad, data: iface.encodeFunctionData(fn), blockTag });
+        return String(iface.decodeFunctionResult(fn, raw)[0]);
+      } catch { return null; }
+    }));
+    return Object.fromEntries(getters.map((fn, i) => [fn.name, values[i]]).filter(([, v]) => v != null));
+  }
+
+  /** Re-read at `block` (never older than the snapshot) and report the diff together with `actions`. */
+  async function check({ block = 'latest', txHash = null, actions = [] } = {}) {
+    const snap = getSnapshot();
+    const blockTag = snap?.block != null && typeof block === 'number' && block < snap.block ? snap.block : block;
+    const params = await readParams(blockTag);
+    if (!Object.keys(params).length) return;
+    const blockNumber = typeof blockTag === 'number' ? blockTag : await getProvider().getBlockNumber();
+    setSnapshot({ block: blockNumber, params: { ...(snap?.params || {}), ...params } });
+    if (!snap) return; // first run: baseline only
+
+    const changes = diffParams(snap.params, params);
+    if (actions.length || changes.length) await onChange({ txHash, block: blockNumber, actions, changes });
+  }
+
+  function eventActions(receipt) {
+    const iface = getIface();
+    const actions = [];
+    for (const lg of receipt.logs) {
+      if (lc(lg.address) !== lc(launchpad)) continue;
+      let parsed = null;
+      try { parsed = iface.parseLog({ topics: lg.topics, data: lg.data }); } catch {}
+      if (parsed && GOVERNANCE_EVENTS.includes(parsed.name)) {
+        actions.push({ kind: 'event', name: parsed.name, args: argsObject(parsed.fragment, parsed.args) });
+      }
+    }
+    return actions;
+  }
+
+  // Actions not reported for this tx yet join its queued check, or get one of their own.
+  function report(receipt, actions) {
+    if (!actions.length) return;
+    let keys = reported.get(receipt.hash);
+    if (!keys) {
+      reported.set(receipt.hash, keys = new Set());
+      if (reported.size > REPORTED_TX_LIMIT) reported.delete(reported.keys().next().value);
+    }
+    const fresh = actions.filter(a => !keys.has(actionKey(a)) && keys.add(actionKey(a)));
+    if (!fresh.length) return;
+    const waiting = queued.get(receipt.hash);
+    if (waiting) { waiting.actions.push(...fresh); return waiting.done; }
+    const entry = { actions: fresh };
+    queued.set(receipt.hash, entry);
+    entry.done = serial(() => {
+      queued.delete(receipt.hash);
+      return check({ block: receipt.blockNumber, txHash: receipt.hash, actions: entry.actions.sort(callsFirst) });
+    });
+    return entry.done;
+  }
+
+  /** Tx scanner hook: every successful tx sent to the launchpad. */
+  function onTx(tx, receipt) {
+    const parsed = parseTx(tx);
+    const call = parsed && GOVERNANCE_CALLS.test(parsed.name)
+      ? [{ kind: 'call', name: parsed.name, args: argsObject(parsed.fragment, parsed.args) }] : [];
+    return report(receipt, [...call, ...eventActions(receipt)]);
+  }
+
+  /** Launchpad log hook: governance events emitted in any tx. */
+  function onReceipt(receipt) {
+    return report(receipt, eventActions(receipt));
+  }
+
+  const sync = () => serial(() => check());
+
+  const onBlock = (n) => {
+    n = Number(n);
+    if (!lastPoll) { lastPoll = n; return; } // sync() already ran on connect
+    if (n - lastPoll < pollBlocks) return;
+    lastPoll = n;
+    sync();
+  };
+
+  /** (Re)attach the periodic re-read to the current provider; call after every reconnect. */
+  async function subscribe() {
+    const provider = getProvider();
+    if (subscribed) subscribed.off('block', onBlock).catch(() => {});
+    subscribed = null;
+    if (!provider || !(pollBlocks > 0)) return;
+    subscribed = provider;
+    await provider.on('block', onBlock);
+  }
+
+  return { sync, subscribe, onTx, onReceipt };
+}
@@ -0,0 +1,45 @@
+import http from 'node:http';
+
+/* ================= Health / metrics HTTP server =================
+ *   GET /healthz  200 while the process runs
+ *   GET /readyz   readiness() → { ready, … }: 200 when ready, 503 otherwise (JSON body)
+ *   GET /metrics  metrics.render(), Prometheus text format
+ */
+export function createHealthServer({ port, host = '127.0.0.1', readiness, metrics }) {
+  const server = http.createServer(async (req, res) => {
+    const reply = (status, body, type = 'application/json') => {
+      res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+      res.end(body);
+    };
+    if (req.method !== 'GET' && req.method !== 'HEAD') return reply(405, '{"error":"method not allowed"}');
+    try {
+      switch (new URL(req.url, 'http://localhost').pathname) {
+        case '/healthz':
+          return reply(200, JSON.stringify({ ok: true, uptime: Math.round(process.uptime()) }));
+        case '/readyz': {
+          const status = await readiness();
+          return reply(status.ready ? 200 : 503, JSON.stringify(status));
+        }
+        case '/metrics':
+          return reply(200, metrics.render(), 'text/plain; version=0.0.4; charset=utf-8');
+        default:
+          return reply(404, '{"error":"not found"}');
+      }
+    } catch (e) {
+      console.error(`health server: ${req.url} failed:`, e);
+      reply(500, '{"error":"internal error"}');
+    }
+  });
+
+  return {
+    start: () => new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        console.log(`Health / metrics endpoint on http://${host}:${server.address().port}`);
+        resolve();
+      });
+    }),
+    stop: () => server.close()
+  };
+}
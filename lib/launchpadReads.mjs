@@ -0,0 +1,90 @@
+import { ethers } from 'ethers';
+
+/* ============ Launchpad read-model (per token) ============
+ * Per-token views the launchpad exposes. Every field is read independently;
+ * a reverting or missing view leaves that field null. `provider` only needs
+ * `call()`, so the batched caller from lib/multicall.mjs works too.
+ */
+const LAUNCHPAD_TOKEN_VIEWS = new ethers.Interface([
+  'function maxWallet(address) view returns (uint256)',
+  'function minBuy(address) view returns (uint256)',
+  'function calculateMaxSell(address) view returns (uint256)',
+  'function calculatePump(address) view returns (uint256 burnAmount, uint256 pumpNow, uint256 desiredPrice, uint256 price)',
+  'function initialLiquidity(address) view returns (uint256)',
+  'function initialTokensLp(address) view returns (uint256)',
+  'function getTimeLeft(address) view returns (uint256)',
+  'function ecoFriendly(address) view returns (bool)',
+  'function isBooster(address) view returns (bool)',
+  'function isFunded(address) view returns (bool)',
+  'function hasWithdrawLiquidity(address) view returns (bool)'
+]);
+
+const FIELDS = [
+  ['maxWallet',            'maxWallet'],
+  ['minBuy',               'minBuy'],
+  ['maxSell',              'calculateMaxSell'],
+  ['pump',                 'calculatePump'],
+  ['initialLiquidity',     'initialLiquidity'],
+  ['initialTokensLp',      'initialTokensLp'],
+  ['timeLeft',             'getTimeLeft'],
+  ['ecoFriendly',          'ecoFriendly'],
+  ['isBooster',            'isBooster'],
+  ['isFunded',             'isFunded'],
+  ['hasWithdrawLiquidity', 'hasWithdrawLiquidity']
+];
+
+async function callView(provider, launchpad, fn, token, blockTag) {
+  try {
+    const data = LAUNCHPAD_TOKEN_VIEWS.encodeFunctionData(fn, [token]);
+    const raw = await provider.call({ to: launchpad, data, blockTag });
+    const res = LAUNCHPAD_TOKEN_VIEWS.decodeFunctionResult(fn, raw);
+    if (fn === 'calculatePump') return { burnAmount: res.burnAmount, pumpNow: res.pumpNow, desiredPrice: res.desiredPrice, price: res.price };
+    return res[0];
+  } catch { return null; }
+}
+
+/** → { maxWallet, minBuy, maxSell, pump, initialLiquidity, initialTokensLp, timeLeft, ecoFriendly, isBooster, isFunded, hasWithdrawLiquidity } */
+export async function readLaunchpadToken(provider, launchpad, token, blockTag = 'latest') {
+  const values = await Promise.all(FIELDS.map(([, fn]) => callView(provider, launchpad, fn, token, blockTag)));
+  return Object.fromEntries(FIELDS.map(([key], i) => [key, values[i]]));
+}
+
+/* ============ Lock duration ============
+ * Seconds until a token's lock expires: the launchpad's getTimeLeft(token)
+ * first, then the lock contract the launchpad points at (lock()). null when
+ * neither reports a duration (i.e. a permanent / unknown lock).
+ */
+const LOCK_VIEWS = new ethers.Interface([
+  'function getTimeLeft(address) view returns (uint256)',
+  'function lock() view returns (address)',
+  'function unlockTime(address) view returns (uint256)',
+  'function getUnlockTime(address) view returns (uint256)',
+  'function lockedUntil(address) view returns (uint256)'
+]);
+
+async function callLockView(provider, to, fn, args, blockTag) {
+  try {
+    const raw = await provider.call({ to, data: LOCK_VIEWS.encodeFunctionData(fn, args), blockTag });
+    return LOCK_VIEWS.decodeFunctionResult(fn, raw)[0];
+  } catch { return null; }
+}
+
+/** → { seconds, source } or null */
+export async function readLockTimeLeft(provider, launchpad, token, blockTag = 'latest') {
+  const [left, lockAddr] = await Promise.all([
+    callLockView(provider, launchpad, 'getTimeLeft', [token], blockTag),
+    callLockView(provider, launchpad, 'lock', [], blockTag)
+  ]);
+  if (left > 0n) return { seconds: Number(left), source: 'launchpad' };
+  if (!lockAddr || lockAddr === ethers.ZeroAddress) return null;
+
+  const [lockLeft, ...unlockAts] = await Promise.all([
+    callLockView(provider, lockAddr, 'getTimeLeft', [token], blockTag),
+    ...['unlockTime', 'getUnlockTime', 'lockedUntil'].map(fn => callLockView(provider, lockAddr, fn, [token], blockTag))
+  ]);
+  if (lockLeft > 0n) return { seconds: Number(lockLeft), source: 'lock' };
+  const unlockAt = unlockAts.find(v => v > 0n);
+  const now = Math.floor(Date.now() / 1000);
+  if (unlockAt && Number(unlockAt) > now) return { seconds: Number(unlockAt) - now, source: 'lock' };
+  return null;
+}
@@ -0,0 +1,127 @@
+import { domainToUnicode } from 'node:url';
+
+/* ================= Link safety =================
+ * Social links come from whatever the deployer put in token getters, contractURI
+ * JSON or the creation calldata, so none of them is trusted. checkLink() parses
+ * and normalizes one (http / https only, punycode host, no credentials) and lists
+ * what is wrong with it, most serious first:
+ *   invalid      not a URL, or not http(s)
+ *   credentials  user@host, as in https://x.com@evil.example
+ *   lookalike    imitates a known domain (dlscord.com, x.corn, t.me.join.example, ethos-vision.app…)
+ *   offsite      a twitter / telegram / discord link that is not on that service
+ *   punycode     internationalized host (xn--…), where homographs hide
+ *   ip           IP-literal host
+ *   shortener    bit.ly & co: the target is unknown
+ * A link with any reason is not to be posted clickable.
+ */
+const KNOWN = [
+  { domain: 'x.com' },
+  { domain: 'twitter.com', brand: 'twitter' },
+  { domain: 't.me' },
+  { domain: 'telegram.me', brand: 'telegram' },
+  { domain: 'telegram.org', brand: 'telegram' },
+  { domain: 'discord.gg', brand: 'discord' },
+  { domain: 'discord.com', brand: 'discord' },
+  { domain: 'discordapp.com', brand: 'discord' },
+  { domain: 'ethos.vision', brand: 'ethosvision' }
+];
+
+// Hosts a link of each social kind must be on (or a subdomain of).
+const KIND_HOSTS = {
+  twitter: ['x.com', 'twitter.com'],
+  telegram: ['t.me', 'telegram.me', 'telegram.org'],
+  discord: ['discord.gg', 'discord.com', 'discordapp.com']
+};
+
+const SHORTENERS = new Set([
+  'bit.ly', 'bitly.com', 'tinyurl.com', 't.co', 'goo.gl', 'ow.ly', 'is.gd', 'v.gd', 'buff.ly', 'rebrand.ly',
+  'cutt.ly', 'shorturl.at', 'rb.gy', 'tiny.cc', 'bl.ink', 's.id', 'lnkd.in', 't.ly', 'shorte.st', 'adf.ly', 'tr.im'
+]);
+
+// Cyrillic, Greek and other letters that render like plain Latin ones.
+const CONFUSABLES = {
+  'а': 'a', 'е': 'e', 'о': 'o', 'р': 'p', 'с': 'c', 'х': 'x', 'у': 'y', 'і': 'i', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd', 'ɡ': 'g', 'һ': 'h', 'ո': 'n',
+  'α': 'a', 'ο': 'o', 'ρ': 'p', 'ν': 'v', 'τ': 't', 'ι': 'i', 'κ': 'k', 'ε': 'e', 'χ': 'x', 'υ': 'u'
+};
+
+/** What a host looks like at a glance: homoglyphs folded, 0/o, 1/i/l, rn/m, vv/w merged. */
+export function skeleton(host) {
+  return [...domainToUnicode(host) || host].map(c => CONFUSABLES[c] ?? c).join('')
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/rn/g, 'm').replace(/vv/g, 'w')
+    .replace(/0/g, 'o').replace(/[1i]/g, 'l').replace(/3/g, 'e').replace(/5/g, 's');
+}
+
+// Optimal string alignment distance (edits + adjacent swaps), enough for "is it one typo away".
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+    }
+  }
+  return d[a.length][b.length];
+}
+
+const onDomain = (host, domain) => host === domain || host.endsWith(`.${domain}`);
+const registrable = (host) => host.split('.').slice(-2).join('.');
+
+/** The known domain `host` imitates, or null (its own subdomains are fine). */
+export function lookalikeOf(host) {
+  if (KNOWN.some(k => onDomain(host, k.domain))) return null;
+  const reg = skeleton(registrable(host));
+  const exact = KNOWN.find(k => host.startsWith(`${k.domain}.`) || host.includes(`.${k.domain}.`) || reg === skeleton(k.domain));
+  if (exact) return exact.domain;
+  // Brand names inside another domain, or one typo away from one.
+  const flat = reg.replace(/[.-]/g, '');
+  const name = skeleton(registrable(host).split('.')[0]).replace(/-/g, '');
+  return KNOWN.find(k => k.brand && (flat.includes(skeleton(k.brand)) || editDistance(name, skeleton(k.brand)) <= 1))?.domain ?? null;
+}
+
+const isIpHost = (host) => /^\[[0-9a-f:.]+\]$/i.test(host) || /^\d{1,3}(\.\d{1,3}){3}$/.test(host);
+
+/**
+ * One link → { url, host, ok, reasons, imitates }. `url` is the normalized form
+ * (null when it does not parse as http / https); `kind` = social kind it was found as.
+ */
+export function checkLink(raw, kind = 'website') {
+  const fail = (reason) => ({ url: null, host: null, ok: false, reasons: [reason], imitates: null });
+  const s = String(raw ?? '').trim();
+  // WHATWG parsing drops tabs / newlines silently; a link holding any is not taken at all.
+  if (!s || /[\s\u0000-\u001f\u007f-\u009f<>"'`\\]/.test(s)) return fail('invalid');
+  let u;
+  try { u = new URL(s); } catch { return fail('invalid'); }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') return fail('invalid');
+
+  const host = u.hostname.replace(/\.$/, '');
+  const reasons = [];
+  if (u.username || u.password) reasons.push('credentials');
+  const imitates = isIpHost(host) ? null : lookalikeOf(host);
+  if (imitates) reasons.push('lookalike');
+  if (KIND_HOSTS[kind] && !KIND_HOSTS[kind].some(d => onDomain(host, d))) reasons.push('offsite');
+  if (host.split('.').some(l => l.startsWith('xn--'))) reasons.push('punycode');
+  if (isIpHost(host)) reasons.push('ip');
+  if (SHORTENERS.has(host.replace(/^www\./, ''))) reasons.push('shortener');
+
+  u.username = u.password = '';
+  const url = u.pathname === '/' && !u.search && !u.hash ? u.origin : u.href;
+  return { url, host, ok: reasons.length === 0, reasons, imitates };
+}
+
+/**
+ * { kind: url } → { safe: { kind: normalized url }, flagged: { kind: { url, host, reason, reasons, imitates } } }.
+ * `flagged.url` is the raw link as found, kept for logs / webhooks, never for posting.
+ */
+export function checkSocials(socials = {}) {
+  const safe = {}, flagged = {};
+  for (const [kind, raw] of Object.entries(socials)) {
+    if (!raw) continue;
+    const c = checkLink(raw, kind);
+    if (c.ok) safe[kind] = c.url;
+    else flagged[kind] = { url: String(raw), host: c.host, reason: c.reasons[0], reasons: c.reasons, imitates: c.imitates };
+  }
+  return { safe, flagged };
+}
@@ -0,0 +1,162 @@
+import { ethers } from 'ethers';
+
+/* ================= Live launch cards =================
+ * For `windowMs` after a launch the card keeps following its pair: Sync events
+ * refresh the reserves, Swap events count buys/sells. Every `intervalMs` a card
+ * that changed is re-rendered and edited in place; edits from all cards share
+ * one chain spaced `minGapMs` apart to stay inside Telegram's edit limits.
+ * When the window closes the card gets one last edit with `live.final = true`.
+ * A card posted to several chats is tracked once and every copy is edited,
+ * each rendered for its own chat: render(card, chatId) → { html, rows }.
+ *
+ * card.live = { reserveToken, reserveEth, buys, sells, startedAt, endsAt, final }
+ */
+const SYNC_TOPIC = ethers.id('Sync(uint112,uint112)');
+const SWAP_TOPIC = ethers.id('Swap(address,uint256,uint256,uint256,uint256,address)');
+const PAIR_IFACE = new ethers.Interface([
+  'event Sync(uint112 reserve0, uint112 reserve1)',
+  'event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)'
+]);
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+export function createLiveCards({ getProvider, render, edit, windowMs, intervalMs, minGapMs = 1100 }) {
+  const entries = new Map(); // tokenCA (lowercase) → entry
+  let editChain = Promise.resolve();
+  let pausedUntil = 0;
+
+  const tokenIs0 = (card) => card.token0?.toLowerCase() === card.tokenCA.toLowerCase();
+
+  function applyReserves(card, r0, r1) {
+    const t0 = tokenIs0(card);
+    card.live.reserveToken = BigInt(t0 ? r0 : r1);
+    card.live.reserveEth   = BigInt(t0 ? r1 : r0);
+  }
+
+  function onPairLog(entry, log) {
+    const { card } = entry;
+    let parsed = null;
+    try { parsed = PAIR_IFACE.parseLog(log); } catch { return; }
+    if (parsed?.name === 'Sync') applyReserves(card, parsed.args.reserve0, parsed.args.reserve1);
+    else if (parsed?.name === 'Swap') {
+      const tokenOut = tokenIs0(card) ? parsed.args.amount0Out : parsed.args.amount1Out;
+      if (tokenOut > 0n) card.live.buys++; else card.live.sells++;
+    } else return;
+    entry.dirty = true;
+  }
+
+  async function refreshReserves(entry, provider) {
+    try {
+      const raw = await provider.call({ to: entry.card.pairAddr, data: PAIR_IFACE.encodeFunctionData('getReserves') });
+      const [r0, r1] = PAIR_IFACE.decodeFunctionResult('getReserves', raw);
+      applyReserves(entry.card, r0, r1);
+      entry.dirty = true;
+    } catch {}
+  }
+
+  async function subscribe(entry) {
+    const provider = getProvider();
+    if (!provider) return;
+    entry.provider = provider;
+    entry.filter = { address: entry.card.pairAddr, topics: [[SYNC_TOPIC, SWAP_TOPIC]] };
+    entry.listener = (log) => onPairLog(entry, log);
+    try { await provider.on(entry.filter, entry.listener); }
+    catch (e) { console.warn(`live card: subscribe ${entry.card.pairAddr} failed:`, e.message); }
+  }
+
+  function unsubscribe(entry) {
+    if (entry.provider && entry.listener) entry.provider.off(entry.filter, entry.listener).catch(() => {});
+    entry.provider = entry.listener = null;
+  }
+
+  function queueEdit(entry) {
+    if (entry.editing) return;
+    entry.editing = true;
+    entry.dirty = false;
+    editChain = editChain.then(async () => {
+      const wait = pausedUntil - Date.now();
+      if (wait > 0) await sleep(wait);
+      try {
+        for (const msg of entry.messages) {
+          let html, rows;
+          try { ({ html, rows } = render(entry.card, msg.chatId)); }
+          catch (e) { console.warn('live card render failed:', e?.message || e); continue; }
+          if (html === msg.lastHtml) continue;
+          try {
+            await edit(msg.chatId, msg.messageId, html, rows);
+            msg.lastHtml = html;
+          } catch (e) {
+            const retryAfter = e?.response?.parameters?.retry_after;
+            if (retryAfter) { pausedUntil = Date.now() + retryAfter * 1000; entry.dirty = true; break; }
+            if (!/message is not modified/i.test(e?.message || '')) console.warn('live card edit failed:', e?.message || e);
+          }
+          await sleep(minGapMs);
+        }
+      } finally {
+        entry.editing = false;
+      }
+    });
+  }
+
+  function finish(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    clearInterval(entry.timer);
+    clearTimeout(entry.endTimer);
+    unsubscribe(entry);
+    entry.card.live.final = true;
+    entry.editing = false;
+    queueEdit(entry);
+  }
+
+  /** Start following a fresh card; `messages` are its copies so far: [{ chatId, messageId }] (see addMessage). */
+  async function track(card, messages = []) {
+    if (!card.pairAddr || !(windowMs > 0)) return;
+    const key = card.tokenCA.toLowerCase();
+    if (entries.has(key)) return;
+    const now = Date.now();
+    card.live = { reserveToken: null, reserveEth: null, buys: 0, sells: 0, startedAt: now, endsAt: now + windowMs, final: false };
+    const entry = { card, messages: messages.map(m => ({ ...m, lastHtml: null })), dirty: false, editing: false };
+    entries.set(key, entry);
+    await subscribe(entry);
+    entry.timer = setInterval(() => { if (entry.dirty) queueEdit(entry); }, intervalMs);
+    entry.endTimer = setTimeout(() => finish(key), windowMs);
+  }
+
+  /** Register a copy of the card that went out after track() (queued sends). */
+  function addMessage(tokenCA, { chatId, messageId }) {
+    const entry = entries.get(tokenCA.toLowerCase());
+    if (!entry) return false;
+    entry.messages.push({ chatId, messageId, lastHtml: null });
+    return true;
+  }
+
+  /** Change a card that is still inside its window (e.g. a lock badge) and schedule an edit. → false once it has ended. */
+  function update(tokenCA, mutate) {
+    const entry = entries.get(tokenCA.toLowerCase());
+    if (!entry) return false;
+    mutate(entry.card);
+    entry.dirty = true;
+    return true;
+  }
+
+  /** After an RPC reconnect: move every live card onto the new provider and catch up its reserves. */
+  async function resubscribe() {
+    const provider = getProvider();
+    for (const entry of entries.values()) {
+      unsubscribe(entry);
+      await subscribe(entry);
+      if (provider) await refreshReserves(entry, provider);
+    }
+  }
+
+  return {
+    track,
+    addMessage,
+    update,
+    resubscribe,
+    get size() { return entries.size; },
+    stop() { for (const key of [...entries.keys()]) finish(key); }
+  };
+}
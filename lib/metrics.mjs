@@ -0,0 +1,92 @@
+/* ================= Metrics =================
+ * Minimal Prometheus registry (text exposition format 0.0.4), no dependencies:
+ *   counter(name, help)            .inc(labels?, n = 1)
+ *   gauge(name, help, collect?)    .set(labels, value); collect() → [[labels, value], …] runs per scrape
+ *   histogram(name, help, buckets) .observe(labels, seconds), .startTimer(labels) → end(moreLabels?)
+ * render() → the whole registry as text for /metrics.
+ */
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a < b ? -1 : 1));
+function fmtLabels(labels) {
+  const parts = Object.entries(labels).filter(([, v]) => v != null).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+const fmtValue = (v) => Number.isFinite(v) ? String(v) : v > 0 ? '+Inf' : v < 0 ? '-Inf' : 'NaN';
+
+export function createMetrics() {
+  const families = [];
+
+  function series() {
+    const map = new Map(); // labelKey → { labels, value }
+    return {
+      map,
+      get(labels, init) {
+        const k = labelKey(labels);
+        if (!map.has(k)) map.set(k, { labels, value: init() });
+        return map.get(k);
+      }
+    };
+  }
+
+  function counter(name, help) {
+    const s = series();
+    families.push({ name, help, type: 'counter', lines: () => [...s.map.values()].map(({ labels, value }) => `${name}${fmtLabels(labels)} ${fmtValue(value)}`) });
+    return { inc(labels = {}, n = 1) { s.get(labels, () => 0).value += n; } };
+  }
+
+  function gauge(name, help, collect = null) {
+    const s = series();
+    families.push({
+      name, help, type: 'gauge',
+      lines() {
+        const rows = collect ? collect() : [...s.map.values()].map(({ labels, value }) => [labels, value]);
+        return rows.filter(([, v]) => v != null).map(([labels, v]) => `${name}${fmtLabels(labels)} ${fmtValue(Number(v))}`);
+      }
+    });
+    return { set(labels, value) { s.get(labels, () => 0).value = value; } };
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const s = series();
+    families.push({
+      name, help, type: 'histogram',
+      lines: () => [...s.map.values()].flatMap(({ labels, value: h }) => [
+        ...buckets.map((le, i) => `${name}_bucket${fmtLabels({ ...labels, le })} ${h.counts[i]}`),
+        `${name}_bucket${fmtLabels({ ...labels, le: '+Inf' })} ${h.count}`,
+        `${name}_sum${fmtLabels(labels)} ${h.sum}`,
+        `${name}_count${fmtLabels(labels)} ${h.count}`
+      ])
+    });
+    function observe(labels, seconds) {
+      const h = s.get(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 })).value;
+      buckets.forEach((le, i) => { if (seconds <= le) h.counts[i]++; });
+      h.sum += seconds;
+      h.count++;
+    }
+    return {
+      observe,
+      startTimer(labels = {}) {
+        const t0 = process.hrtime.bigint();
+        return (more = {}) => {
+          const seconds = Number(process.hrtime.bigint() - t0) / 1e9;
+          observe({ ...labels, ...more }, seconds);
+          return seconds;
+        };
+      }
+    };
+  }
+
+  function render() {
+    const out = [];
+    for (const f of families) {
+      let lines;
+      try { lines = f.lines(); } catch (e) { console.warn(`metrics: ${f.name} failed:`, e.message); continue; }
+      out.push(`# HELP ${f.name} ${f.help}`, `# TYPE ${f.name} ${f.type}`, ...lines);
+    }
+    return out.join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render };
+}
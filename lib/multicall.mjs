@@ -0,0 +1,85 @@
+import { ethers } from 'ethers';
+
+/* ================= Batched eth_call =================
+ * createCallBatcher() returns a provider-like `{ call({ to, data, blockTag }) }`.
+ * Calls issued in the same tick are queued and flushed together: per blockTag
+ * they go out as Multicall3 tryAggregate(false, …) batches, so one revert never
+ * sinks its neighbours. Without Multicall3 on the chain (or if the aggregate
+ * call itself fails) they are sent as individual eth_calls through
+ * `getFallbackProvider()` — an HTTP JsonRpcProvider there turns them into
+ * JSON-RPC batches — or the main provider.
+ * A reverted / empty call rejects, so callers keep their try/catch semantics.
+ */
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const MULTICALL3 = new ethers.Interface([
+  'function tryAggregate(bool requireSuccess, (address target, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+]);
+
+export function createCallBatcher({ getProvider, getFallbackProvider = () => null, maxBatch = 150 }) {
+  let queue = [];
+  let scheduled = false;
+  const multicallChecks = new WeakMap(); // provider → Promise<boolean>
+
+  function hasMulticall(provider) {
+    if (!multicallChecks.has(provider)) {
+      multicallChecks.set(provider, provider.getCode(MULTICALL3_ADDRESS)
+        .then(code => code && code !== '0x')
+        .catch(() => { multicallChecks.delete(provider); return false; }));
+    }
+    return multicallChecks.get(provider);
+  }
+
+  const settle = (item, ok, data) => {
+    if (ok && data && data !== '0x') item.resolve(data);
+    else item.reject(new Error(`call to ${item.to} failed`));
+  };
+
+  async function sendIndividually(provider, items) {
+    const via = getFallbackProvider() || provider;
+    await Promise.all(items.map(async (item) => {
+      try { settle(item, true, await via.call({ to: item.to, data: item.data, blockTag: item.blockTag })); }
+      catch { settle(item, false); }
+    }));
+  }
+
+  async function sendChunk(provider, items) {
+    if (!(await hasMulticall(provider))) return sendIndividually(provider, items);
+    try {
+      const data = MULTICALL3.encodeFunctionData('tryAggregate', [false, items.map(i => [i.to, i.data])]);
+      const raw = await provider.call({ to: MULTICALL3_ADDRESS, data, blockTag: items[0].blockTag });
+      const [results] = MULTICALL3.decodeFunctionResult('tryAggregate', raw);
+      items.forEach((item, idx) => settle(item, results[idx]?.success, results[idx]?.returnData));
+    } catch {
+      await sendIndividually(provider, items);
+    }
+  }
+
+  async function flush() {
+    scheduled = false;
+    const pending = queue;
+    queue = [];
+    const provider = getProvider();
+    if (!provider) { pending.forEach(item => settle(item, false)); return; }
+
+    const byTag = new Map();
+    for (const item of pending) {
+      const key = String(item.blockTag);
+      if (!byTag.has(key)) byTag.set(key, []);
+      byTag.get(key).push(item);
+    }
+    const chunks = [];
+    for (const items of byTag.values()) {
+      for (let i = 0; i < items.length; i += maxBatch) chunks.push(items.slice(i, i + maxBatch));
+    }
+    await Promise.all(chunks.map(chunk => sendChunk(provider, chunk).catch(() => chunk.forEach(item => settle(item, false)))));
+  }
+
+  function call({ to, data, blockTag = 'latest' }) {
+    return new Promise((resolve, reject) => {
+      queue.push({ to, data, blockTag, resolve, reject });
+      if (!scheduled) { scheduled = true; setImmediate(flush); }
+    });
+  }
+
+  return { call };
+}
@@ -0,0 +1,128 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import axios from 'axios';
+
+/* ================= Notifier =================
+ * Events are plain objects, never pre-rendered markup:
+ *   { type: 'launch' | 'lock' | 'risk' | 'governance' | 'digest', chainId, txHash, token?, links?, … }
+ * (bigints allowed; JSON sinks write them as strings). Every sink renders them
+ * its own way and retries on its own; notify() fans an event out to all sinks
+ * that take its type and never throws:
+ *   sink = { name, events?: string[], send(event) → result }
+ *   notify(event) → { [sink.name]: result | null }
+ * `onResult(sinkName, event, ok)` sees every delivery (metrics).
+ */
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/** JSON with bigints as decimal strings. */
+export const toJson = (value) => JSON.stringify(value, (_k, v) => typeof v === 'bigint' ? v.toString() : v);
+
+/**
+ * Run `fn` up to `retries + 1` times. `retryIn(err)` → ms to wait before the next
+ * try, or null when the error is final; defaults to exponential backoff.
+ */
+export async function withRetry(fn, { retries = 3, baseMs = 1000, retryIn = () => undefined, label = 'notify' } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try { return await fn(); }
+    catch (e) {
+      const wait = retryIn(e);
+      if (wait === null || attempt >= retries) throw e;
+      const ms = wait ?? baseMs * 2 ** attempt;
+      console.warn(`${label}: attempt ${attempt + 1} failed (${e?.message || e}), retrying in ${ms} ms`);
+      await sleep(ms);
+    }
+  }
+}
+
+// HTTP: retry on network errors, 429 and 5xx; honour Retry-After.
+function httpRetryIn(e) {
+  const status = e?.response?.status;
+  if (status && status < 500 && status !== 429) return null;
+  const after = Number(e?.response?.headers?.['retry-after'] ?? e?.response?.data?.retry_after);
+  return Number.isFinite(after) && after > 0 ? Math.ceil(after * 1000) : undefined;
+}
+
+export function createNotifier(sinks, { onResult = () => {} } = {}) {
+  async function notify(event) {
+    const out = {};
+    await Promise.all(sinks.map(async (sink) => {
+      if (sink.events && !sink.events.includes(event.type)) return;
+      try { out[sink.name] = await sink.send(event); }
+      catch (e) { out[sink.name] = null; console.error(`${sink.name} sink failed for ${event.type} ${event.txHash || ''}:`, e?.message || e); }
+      try { onResult(sink.name, event, out[sink.name] != null); } catch {}
+    }));
+    return out;
+  }
+  return { notify, sinks: sinks.map(s => s.name) };
+}
+
+/* ----- Telegram -----
+ * Rendering and delivery stay with the bot (HTML cards, per-chat filters,
+ * templates and threading): `render(event, chatId)` → { html, rows } in that
+ * chat's look; `deliver(event, renderFor)` picks the chats, calls renderFor(chatId)
+ * for each and is expected to retry per message.
+ */
+export function createTelegramSink({ render, deliver, events }) {
+  return {
+    name: 'telegram',
+    events,
+    async send(event) {
+      return deliver(event, (chatId) => render(event, chatId));
+    }
+  };
+}
+
+/* ----- Discord webhook (one embed per event) ----- */
+const DISCORD_COLORS = { launch: 0x2ecc71, lock: 0x3498db, risk: 0xe74c3c, governance: 0x9b59b6, digest: 0xf1c40f };
+
+export function createDiscordSink({ url, render, events, retries = 3, username = 'EthOS Launchpad' }) {
+  return {
+    name: 'discord',
+    events,
+    async send(event) {
+      const embed = { color: DISCORD_COLORS[event.type], timestamp: new Date((event.timestamp ?? Date.now() / 1000) * 1000).toISOString(), ...render(event) };
+      await withRetry(() => axios.post(url, { username, embeds: [embed] }, { timeout: 15000 }), { retries, retryIn: httpRetryIn, label: 'discord' });
+      return true;
+    }
+  };
+}
+
+/* ----- Generic webhook: signed JSON POST -----
+ * X-Signature: sha256=HMAC_SHA256(secret, `${X-Timestamp}.${body}`) in hex.
+ */
+export function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+export function createWebhookSink({ url, secret, events, retries = 3 }) {
+  return {
+    name: 'webhook',
+    events,
+    async send(event) {
+      const body = toJson(event);
+      await withRetry(() => {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const headers = { 'Content-Type': 'application/json', 'X-Event-Type': event.type, 'X-Timestamp': timestamp };
+        if (secret) headers['X-Signature'] = signPayload(secret, timestamp, body);
+        return axios.post(url, body, { headers, timeout: 15000 });
+      }, { retries, retryIn: httpRetryIn, label: 'webhook' });
+      return true;
+    }
+  };
+}
+
+/* ----- JSONL stream: one event per line, appended to a file or stdout ('-') ----- */
+export function createJsonlSink({ file, events, retries = 2 }) {
+  if (file !== '-') fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  return {
+    name: 'jsonl',
+    events,
+    async send(event) {
+      const line = toJson({ at: new Date().toISOString(), ...event }) + '\n';
+      if (file === '-') { process.stdout.write(line); return true; }
+      await withRetry(() => fs.promises.appendFile(file, line), { retries, baseMs: 200, label: 'jsonl' });
+      return true;
+    }
+  };
+}
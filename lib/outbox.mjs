@@ -0,0 +1,105 @@
+import crypto from 'node:crypto';
+import { createJsonStore } from './store.mjs';
+
+/* ================= Outbound Telegram queue =================
+ * Every feed message goes through here instead of straight to the Bot API:
+ *   - per-chat FIFO: a chat's next message waits until the one before it went out
+ *   - 429 → the chat pauses for `retry_after`; 5xx / network errors → exponential
+ *     backoff, up to `maxAttempts` tries
+ *   - other API errors (chat not found, bot kicked, bad HTML…) are final: the job
+ *     moves to the dead-letter list (last `deadLimit` kept) and onDead(job, err) runs
+ *   - pending jobs live in `file`, so a restart resumes them
+ * A job is plain JSON: { id, chatId, html, rows, …caller fields }. deliver(job)
+ * sends it and returns the Telegram message; onSent(job, message) follows.
+ */
+/** ms to wait before retrying a failed Bot API call; null when retrying is pointless. */
+export function telegramRetryIn(e, attempt = 0, { minMs = 1000, maxMs = 300_000 } = {}) {
+  const code = e?.response?.error_code;
+  if (code === 429) return (e.response.parameters?.retry_after ?? 1) * 1000;
+  if (code && code < 500) return null;
+  return Math.min(maxMs, minMs * 2 ** attempt);
+}
+
+export function createOutbox({ file, deliver, onSent = () => {}, onDead = () => {}, maxAttempts = 20, deadLimit = 500 }) {
+  const store = createJsonStore(file, { pending: [], dead: [] });
+  const { data } = store;
+  const chats = new Map(); // chatId → { busy, until, timer }
+  let stopped = false;
+
+  const chatState = (chatId) => {
+    if (!chats.has(chatId)) chats.set(chatId, { busy: false, until: 0, timer: null });
+    return chats.get(chatId);
+  };
+
+  function bury(job, e) {
+    data.pending = data.pending.filter(j => j !== job);
+    data.dead.push({ ...job, error: e?.description || e?.message || String(e), failedAt: Date.now() });
+    if (data.dead.length > deadLimit) data.dead.splice(0, data.dead.length - deadLimit);
+    store.save();
+    console.error(`outbox: dropped message for ${job.chatId} after ${job.attempts} attempt(s):`, e?.description || e?.message || e);
+    try { onDead(job, e); } catch {}
+  }
+
+  async function run(chatId) {
+    const chat = chatState(chatId);
+    if (chat.busy || stopped) return;
+    chat.busy = true;
+    try {
+      while (!stopped) {
+        const job = data.pending.find(j => j.chatId === chatId);
+        if (!job) return;
+        const wait = Math.max(job.nextAt || 0, chat.until) - Date.now();
+        if (wait > 0) {
+          clearTimeout(chat.timer);
+          chat.timer = setTimeout(() => run(chatId), wait);
+          return;
+        }
+        job.attempts = (job.attempts || 0) + 1;
+        let message;
+        try {
+          message = await deliver(job);
+        } catch (e) {
+          const retryIn = telegramRetryIn(e, job.attempts - 1);
+          const rateLimited = e?.response?.error_code === 429;
+          if (retryIn == null || (!rateLimited && job.attempts >= maxAttempts)) { bury(job, e); continue; }
+          if (rateLimited) { chat.until = Date.now() + retryIn; job.attempts--; }
+          else console.warn(`outbox: send to ${chatId} failed (${e?.message || e}), retry ${job.attempts}/${maxAttempts} in ${retryIn} ms`);
+          job.nextAt = Date.now() + retryIn;
+          store.save();
+          continue;
+        }
+        data.pending = data.pending.filter(j => j !== job);
+        store.save();
+        try { await onSent(job, message); } catch (e) { console.error('outbox: onSent failed:', e); }
+      }
+    } finally {
+      chat.busy = false;
+    }
+  }
+
+  /** Queue a message; → job id. Jobs for one chat go out in the order they were queued. */
+  function enqueue(job) {
+    const full = { id: crypto.randomUUID(), ...job, chatId: String(job.chatId), attempts: 0, nextAt: 0, createdAt: Date.now() };
+    data.pending.push(full);
+    store.save();
+    run(full.chatId);
+    return full.id;
+  }
+
+  /** Resume jobs left over from the last run. */
+  function start() {
+    stopped = false;
+    for (const chatId of new Set(data.pending.map(j => j.chatId))) run(chatId);
+  }
+
+  function stop() {
+    stopped = true;
+    for (const chat of chats.values()) clearTimeout(chat.timer);
+  }
+
+  return {
+    enqueue, start, stop,
+    get pending() { return data.pending.length; },
+    get dead() { return data.dead; }
+  };
+}
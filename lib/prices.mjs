@@ -0,0 +1,134 @@
+import { ethers } from 'ethers';
+
+/* ================= Prices =================
+ * ETH/USD for the cards, cached for `ttlMs` and shared by every target. Sources
+ * are tried in order until one answers:
+ *   coingecko, coinbase            HTTP (through `httpGet`, so replays record them)
+ *   chainlink                      latestRoundData() of the chain's ETH/USD aggregator
+ *   uniswap-v2                     getReserves() of a WETH/stablecoin pair
+ * The on-chain ones read through the target's caller: chain = { caller, feed, pair, weth }.
+ * A quote is { usd, source, at (ms the price is as of), stale }; stale once it is
+ * older than `staleMs`, and a stale answer is only taken when no later source has
+ * a fresh one. When every source fails the newest quote so far is served (and
+ * turns stale) instead of nothing, unless `keepLast` is off (replays: one fixture's
+ * price must not show up on the next); a failed round is not retried before `ttlMs`.
+ */
+export const PRICE_SOURCES = {
+  coingecko: 'CoinGecko',
+  coinbase: 'Coinbase',
+  chainlink: 'Chainlink',
+  'uniswap-v2': 'Uniswap V2'
+};
+
+const FEED = new ethers.Interface([
+  'function decimals() view returns (uint8)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
+]);
+const PAIR = new ethers.Interface([
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)'
+]);
+const ERC20 = new ethers.Interface(['function decimals() view returns (uint8)']);
+
+async function read(caller, to, fi, fn) {
+  const raw = await caller.call({ to, data: fi.encodeFunctionData(fn, []), blockTag: 'latest' });
+  return fi.decodeFunctionResult(fn, raw);
+}
+
+/** ETH per token from an ETH/token reserve pair (null when either side is empty). */
+export function tokenPriceFromReserves({ ethWei, tokenWei, decimals = 18 }) {
+  const eth = Number(ethers.formatEther(ethWei ?? 0n));
+  const tokens = Number(ethers.formatUnits(tokenWei ?? 0n, decimals ?? 18));
+  return eth > 0 && tokens > 0 ? eth / tokens : null;
+}
+
+export function createPriceService({ httpGet, ttlMs = 60_000, staleMs = 60 * 60_000, timeoutMs = 8000, keepLast = true }) {
+  let last = null;      // newest quote that worked
+  let checkedAt = 0;    // last refresh round, successful or not
+  let pending = null;
+  const pairs = new Map(); // pair (lowercase) → Promise<{ wethIs0, stableDecimals }>
+
+  async function coingecko() {
+    const { data } = await httpGet('https://api.coingecko.com/api/v3/simple/price?ids=ethereum&vs_currencies=usd', { timeout: timeoutMs });
+    return { usd: Number(data?.ethereum?.usd || 0), at: Date.now() };
+  }
+
+  async function coinbase() {
+    const { data } = await httpGet('https://api.coinbase.com/v2/prices/ETH-USD/spot', { timeout: timeoutMs });
+    return { usd: Number(data?.data?.amount || 0), at: Date.now() };
+  }
+
+  async function chainlink({ caller, feed }) {
+    if (!caller || !feed) return null;
+    const [[decimals], round] = await Promise.all([read(caller, feed, FEED, 'decimals'), read(caller, feed, FEED, 'latestRoundData')]);
+    if (round.answer <= 0n) return null;
+    return { usd: Number(ethers.formatUnits(round.answer, decimals)), at: Number(round.updatedAt) * 1000 };
+  }
+
+  function pairMeta(caller, pair, weth) {
+    const key = pair.toLowerCase();
+    if (!pairs.has(key)) {
+      const meta = (async () => {
+        const [[token0], [token1]] = await Promise.all([read(caller, pair, PAIR, 'token0'), read(caller, pair, PAIR, 'token1')]);
+        const wethIs0 = token0.toLowerCase() === weth.toLowerCase();
+        if (!wethIs0 && token1.toLowerCase() !== weth.toLowerCase()) throw new Error(`pair ${pair} does not hold WETH`);
+        const [stableDecimals] = await read(caller, wethIs0 ? token1 : token0, ERC20, 'decimals');
+        return { wethIs0, stableDecimals };
+      })();
+      meta.catch(() => pairs.delete(key));
+      pairs.set(key, meta);
+    }
+    return pairs.get(key);
+  }
+
+  async function uniswapV2({ caller, pair, weth }) {
+    if (!caller || !pair || !weth) return null;
+    const [{ wethIs0, stableDecimals }, [r0, r1]] = await Promise.all([pairMeta(caller, pair, weth), read(caller, pair, PAIR, 'getReserves')]);
+    const eth = Number(ethers.formatEther(wethIs0 ? r0 : r1));
+    const usd = Number(ethers.formatUnits(wethIs0 ? r1 : r0, stableDecimals));
+    return eth > 0 ? { usd: usd / eth, at: Date.now() } : null;
+  }
+
+  const SOURCES = { coingecko, coinbase, chainlink, 'uniswap-v2': uniswapV2 };
+
+  // First fresh answer; a stale one (an aggregator past its heartbeat) only when nothing better comes.
+  async function refresh(chain) {
+    let fallback = null;
+    for (const [source, readQuote] of Object.entries(SOURCES)) {
+      try {
+        const q = await readQuote(chain);
+        if (!q || !Number.isFinite(q.usd) || q.usd <= 0) continue;
+        if (Date.now() - q.at <= staleMs) return { ...q, source };
+        if (!fallback || q.at > fallback.at) fallback = { ...q, source };
+      } catch {}
+    }
+    return fallback;
+  }
+
+  const view = (q) => q && ({ usd: q.usd, source: q.source, at: q.at, stale: Date.now() - q.at > staleMs });
+
+  /** Cached ETH/USD quote, refreshed through `chain`'s sources once older than ttlMs → quote | null. */
+  async function ethUsd(chain = {}) {
+    if (Date.now() - checkedAt >= ttlMs) {
+      pending ??= refresh(chain).then(q => {
+        checkedAt = Date.now();
+        if (q && (!last || q.at >= last.at)) last = q;
+        else {
+          if (!q && !keepLast) last = null;
+          console.warn(`ETH/USD: every price source failed${last ? `, keeping the ${PRICE_SOURCES[last.source]} quote` : ''}`);
+        }
+      }).finally(() => { pending = null; });
+      await pending;
+    }
+    return view(last);
+  }
+
+  /** The cached quote right away (for synchronous renders); starts a refresh when it has expired. */
+  function peek(chain = {}) {
+    if (Date.now() - checkedAt >= ttlMs) ethUsd(chain).catch(() => {});
+    return view(last);
+  }
+
+  return { ethUsd, peek };
+}
@@ -0,0 +1,150 @@
+import { ethers } from 'ethers';
+
+/* ================= Launch receipt decoding (no ABI) =================
+ * Pure: a launchpad creation receipt's logs → token, pair, dev allocation and
+ * the ETH side of the initial liquidity. Logs only need { address, topics, data },
+ * so ethers receipts, raw JSON-RPC receipts and test fixtures all work.
+ */
+export const TRANSFER_TOPIC      = ethers.id('Transfer(address,address,uint256)');
+export const PAIR_CREATED_TOPIC  = ethers.id('PairCreated(address,address,address,uint256)');
+export const SYNC_TOPIC          = ethers.id('Sync(uint112,uint112)');
+export const MINT_TOPIC          = ethers.id('Mint(address,uint256,uint256)');
+export const DEPOSIT_TOPIC       = ethers.id('Deposit(address,uint256)');
+export const TOKEN_CREATED_TOPIC = '0xffc04f682c7b287e4b552dacd4b833d7c33dc0549cd6da84388408e4830c0562';
+
+export const ZERO32 = '0x' + '00'.repeat(32);
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+export function topicToAddress(topic) { return ethers.getAddress('0x' + topic.slice(26)); }
+
+/** TokenCreated(address tokenAddress, string name, string symbol), with the address indexed or in the data. */
+export function decodeTokenCreatedLog(log) {
+  try {
+    if (!log.topics?.length) return null;
+    if (log.topics[0].toLowerCase() !== TOKEN_CREATED_TOPIC) return null;
+    if (log.topics.length < 2) {
+      const [tokenAddress, name, symbol] = abiCoder.decode(['address','string','string'], log.data);
+      return { tokenAddress: ethers.getAddress(tokenAddress), name, symbol };
+    }
+    const tokenAddress = topicToAddress(log.topics[1]);
+    const [name, symbol] = abiCoder.decode(['string','string'], log.data);
+    return { tokenAddress, name, symbol };
+  } catch { return null; }
+}
+export function decodePairCreatedLog(log) {
+  try {
+    if (!log.topics?.length || log.topics[0] !== PAIR_CREATED_TOPIC) return null;
+    const token0 = topicToAddress(log.topics[1]);
+    const token1 = topicToAddress(log.topics[2]);
+    const [pair/*, allPairs*/] = abiCoder.decode(['address','uint256'], log.data);
+    return { token0, token1, pair: ethers.getAddress(pair) };
+  } catch { return null; }
+}
+export function decodeMintLog(log) {
+  try {
+    if (!log.topics?.length || log.topics[0] !== MINT_TOPIC) return null;
+    const [amount0, amount1] = abiCoder.decode(['uint256','uint256'], log.data);
+    return { amount0, amount1 };
+  } catch { return null; }
+}
+export function decodeSyncLog(log) {
+  try {
+    if (!log.topics?.length || log.topics[0] !== SYNC_TOPIC) return null;
+    const [reserve0, reserve1] = abiCoder.decode(['uint112','uint112'], log.data);
+    return { reserve0: BigInt(reserve0), reserve1: BigInt(reserve1) };
+  } catch { return null; }
+}
+
+/**
+ * ETH put into the pair at launch: the pair's last Mint / Sync (the reserve
+ * opposite the token), else WETH Deposit → Transfer into the pair. `weth`
+ * restricts the Deposit emitter; without it any Deposit emitter counts. → wei
+ */
+export function inferLpEth(logs, { tokenCA, pairAddr, token0, token1, weth = null }) {
+  let lpEthWei = 0n;
+
+  if (pairAddr) {
+    for (const lg of logs) {
+      if (lg.address.toLowerCase() !== pairAddr.toLowerCase()) continue;
+      const m = decodeMintLog(lg);
+      if (m && token0 && token1) {
+        if (token0.toLowerCase()===tokenCA.toLowerCase()) lpEthWei = BigInt(m.amount1);
+        else lpEthWei = BigInt(m.amount0);
+      }
+      const s = decodeSyncLog(lg);
+      if (s && token0 && token1) {
+        if (token0.toLowerCase()===tokenCA.toLowerCase()) lpEthWei = BigInt(s.reserve1);
+        else lpEthWei = BigInt(s.reserve0);
+      }
+    }
+  }
+  if (lpEthWei === 0n) {
+    let inferWeth=null, inferAmount=0n;
+    for (const lg of logs) {
+      if (lg.topics?.[0] === DEPOSIT_TOPIC && (!weth || lg.address.toLowerCase() === weth.toLowerCase())) inferWeth = ethers.getAddress(lg.address);
+    }
+    if (inferWeth && pairAddr) {
+      for (const lg of logs) {
+        if (lg.address.toLowerCase() !== inferWeth.toLowerCase()) continue;
+        if (lg.topics?.[0] !== TRANSFER_TOPIC) continue;
+        const to = topicToAddress(lg.topics[2]);
+        if (to.toLowerCase() === pairAddr.toLowerCase()) inferAmount += ethers.toBigInt(lg.data);
+      }
+    }
+    if (inferAmount > 0n) lpEthWei = inferAmount;
+  }
+  return lpEthWei;
+}
+
+/**
+ * Creation logs → { tokenCA, tokenName, tokenSymbol, pairAddr, token0, token1,
+ * devAmount, devWallet, lpTokenAmount, lpEthWei }, or null when no token was
+ * created. `hint` = { tokenCA, name, symbol } from an ABI-decoded event.
+ */
+export function decodeLaunchLogs(logs, { launchpad, weth = null, hint = null }) {
+  // 1) TokenCreated (ABI-decoded hint first, then the raw topic)
+  let tokenCA=hint?.tokenCA || null, tokenName=hint?.name || '', tokenSymbol=hint?.symbol || '';
+  if (!tokenCA) for (const lg of logs) {
+    const dec = decodeTokenCreatedLog(lg);
+    if (dec) { tokenCA=dec.tokenAddress; tokenName=dec.name; tokenSymbol=dec.symbol; break; }
+  }
+  // Fallback: first mint Transfer from 0x0 by token itself
+  if (!tokenCA) {
+    for (const lg of logs) {
+      if (lg.topics?.[0] === TRANSFER_TOPIC && lg.topics[1] === ZERO32) {
+        tokenCA = ethers.getAddress(lg.address); break;
+      }
+    }
+  }
+  if (!tokenCA) return null;
+
+  // 2) PairCreated → pair & orientation
+  let pairAddr=null, token0=null, token1=null;
+  for (const lg of logs) {
+    const p = decodePairCreatedLog(lg);
+    if (p && (p.token0.toLowerCase()===tokenCA.toLowerCase() || p.token1.toLowerCase()===tokenCA.toLowerCase())) {
+      pairAddr=p.pair; token0=p.token0; token1=p.token1; break;
+    }
+  }
+
+  // 3) Dev & LP token amounts (transfer from factory); the largest non-pair recipient is the dev wallet
+  let devAmount=0n, lpTokenAmount=0n, devWallet=null, devWalletAmount=0n;
+  for (const lg of logs) {
+    if (lg.address.toLowerCase() !== tokenCA.toLowerCase()) continue;
+    if (lg.topics?.[0] !== TRANSFER_TOPIC) continue;
+    const from = topicToAddress(lg.topics[1]);
+    const to   = topicToAddress(lg.topics[2]);
+    const amt  = ethers.toBigInt(lg.data);
+    if (from.toLowerCase() === launchpad.toLowerCase()) {
+      if (pairAddr && to.toLowerCase() === pairAddr.toLowerCase()) lpTokenAmount += amt;
+      else {
+        devAmount += amt;
+        if (amt > devWalletAmount) { devWallet = to; devWalletAmount = amt; }
+      }
+    }
+  }
+
+  // 4) LP ETH (Mint/Sync or WETH Deposit→Transfer to pair)
+  const lpEthWei = inferLpEth(logs, { tokenCA, pairAddr, token0, token1, weth });
+
+  return { tokenCA, tokenName, tokenSymbol, pairAddr, token0, token1, devAmount, devWallet, lpTokenAmount, lpEthWei };
+}
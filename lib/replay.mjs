@@ -0,0 +1,138 @@
+import fs from 'node:fs';
+import { toJson } from './notifier.mjs';
+
+/* ================= Replay fixtures =================
+ * Everything the handling of one tx read from the network, as JSON:
+ *   { version: 1, target: { chainId, launchpad, label, weth, explorer, ethosUrlTemplate, abi },
+ *     txHash, head, receipt, tx, blocks: { [number]: { number, timestamp } },
+ *     calls: { "<to>|<blockTag>|<data>": "0x…" | null },     null = reverted
+ *     http:  { "<url>": body | null } }                       null = failed
+ * createRecorder() wraps the live provider, eth_call and HTTP GET and fills one
+ * in; createFixtureSource() serves it back with no network at all. A bare receipt
+ * (ethers or JSON-RPC shape, optionally inside { result }) loads too: whatever it
+ * does not hold fails like a revert / timeout.
+ */
+export const FIXTURE_VERSION = 1;
+
+const callKey = ({ to, data, blockTag = 'latest' }) => `${String(to).toLowerCase()}|${blockTag}|${data}`;
+// ethers objects → plain JSON (bigints as strings)
+const plain = (v) => v == null ? null : JSON.parse(toJson(v));
+const sameHash = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+/** JSON-RPC style fields (hex numbers, transactionHash, logIndex) → the shape the bot reads. */
+export function normalizeReceipt(r) {
+  const hash = r.hash ?? r.transactionHash;
+  const blockNumber = Number(r.blockNumber);
+  return {
+    ...r, hash, blockNumber,
+    logs: (r.logs || []).map((l, i) => ({
+      ...l,
+      blockNumber: Number(l.blockNumber ?? blockNumber),
+      transactionHash: l.transactionHash ?? hash,
+      index: Number(l.index ?? l.logIndex ?? i)
+    }))
+  };
+}
+const normalizeTx = (tx) => ({ ...tx, data: tx.data ?? tx.input ?? '0x' });
+
+export function loadFixture(file) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const body = raw.result ?? raw;
+  const fx = body.receipt ? body : { receipt: body };
+  if (!fx.receipt?.logs) throw new Error(`${file}: neither a fixture nor a transaction receipt`);
+  const receipt = normalizeReceipt(fx.receipt);
+  return {
+    version: fx.version ?? FIXTURE_VERSION,
+    target: fx.target ?? null,
+    txHash: receipt.hash,
+    head: fx.head ?? receipt.blockNumber,
+    receipt,
+    tx: fx.tx ? normalizeTx(fx.tx) : null,
+    blocks: fx.blocks ?? {},
+    calls: fx.calls ?? {},
+    http: fx.http ?? {}
+  };
+}
+
+/** Provider / eth_call / HTTP GET served from a fixture; `misses` lists what it did not have. */
+export function createFixtureSource(fx) {
+  const misses = new Set();
+  const miss = (what) => { misses.add(what); throw new Error(`not in fixture: ${what}`); };
+
+  async function call(req) {
+    const key = callKey(req);
+    if (!(key in fx.calls)) miss(`eth_call ${req.to} ${String(req.data).slice(0, 10)} @${req.blockTag ?? 'latest'}`);
+    if (fx.calls[key] == null) throw new Error(`call to ${req.to} failed`);
+    return fx.calls[key];
+  }
+
+  async function httpGet(url) {
+    if (!(url in fx.http)) miss(`GET ${url}`);
+    if (fx.http[url] == null) throw new Error(`GET ${url} failed`);
+    return { data: fx.http[url] };
+  }
+
+  const provider = {
+    getBlockNumber: async () => fx.head,
+    getTransactionReceipt: async (hash) => sameHash(hash, fx.txHash) ? fx.receipt : null,
+    getTransaction: async (hash) => sameHash(hash, fx.txHash) ? fx.tx : null,
+    getBlock: async (n) => fx.blocks[Number(n)] ?? null,
+    call,
+    getCode: async () => '0x',
+    on: async () => {},
+    off: async () => {}
+  };
+
+  return { provider, call, httpGet, misses };
+}
+
+/** Pass-through wrappers that keep every answer; fixture(target) → the recording. */
+export function createRecorder({ provider, call, httpGet }) {
+  const fx = { version: FIXTURE_VERSION, target: null, txHash: null, head: null, receipt: null, tx: null, blocks: {}, calls: {}, http: {} };
+
+  const recorded = {
+    async getBlockNumber() {
+      const n = await provider.getBlockNumber();
+      fx.head ??= n; // the block the enrichment is pinned to
+      return fx.head;
+    },
+    async getTransactionReceipt(hash) {
+      const r = await provider.getTransactionReceipt(hash);
+      if (r && !fx.receipt) { fx.receipt = plain(r); fx.txHash = r.hash; }
+      return r;
+    },
+    async getTransaction(hash) {
+      const tx = await provider.getTransaction(hash);
+      if (tx && sameHash(hash, fx.txHash ?? hash)) fx.tx = plain(tx);
+      return tx;
+    },
+    async getBlock(n) {
+      const b = await provider.getBlock(n);
+      if (b) fx.blocks[b.number] = { number: b.number, timestamp: b.timestamp };
+      return b;
+    },
+    // Used by the batcher underneath `call`; the individual calls are what gets recorded.
+    call: (req) => provider.call(req),
+    getCode: (...args) => provider.getCode(...args),
+    on: async () => {},
+    off: async () => {}
+  };
+
+  async function recordCall(req) {
+    const key = callKey(req);
+    try { const out = await call(req); fx.calls[key] = out; return out; }
+    catch (e) { fx.calls[key] = null; throw e; }
+  }
+
+  async function recordGet(url, opts) {
+    try { const res = await httpGet(url, opts); fx.http[url] = plain(res.data); return res; }
+    catch (e) { fx.http[url] = null; throw e; }
+  }
+
+  return {
+    provider: recorded,
+    call: recordCall,
+    httpGet: recordGet,
+    fixture: (target) => ({ ...fx, target })
+  };
+}
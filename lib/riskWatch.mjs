@@ -0,0 +1,155 @@
+import { ethers } from 'ethers';
+
+/* ================= Rug / risk watch =================
+ * Watches launched tokens (getLaunches()) for liquidity being pulled:
+ *   - launchpad calls withdrawDevLiquidity / recoverLP / recoverTokens (fed in
+ *     by the tx scanner through onLaunchpadTx)
+ *   - pair Burn events removing at least `lpBurnPct`% of the ETH side
+ *   - dev-wallet → pair token transfers of at least `devTransferPct`% of supply
+ * and reports each as a structured alert through onAlert(alert):
+ *   { kind, launch, tokenCA, txHash, ethWei?, tokenWei?, lpWei?, pct?, unit }
+ */
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const BURN_TOPIC     = ethers.id('Burn(address,uint256,uint256,address)');
+const SYNC_TOPIC     = ethers.id('Sync(uint112,uint112)');
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+const TOTAL_SUPPLY = new ethers.Interface(['function totalSupply() view returns (uint256)']);
+
+export const RUG_CALLS = ['withdrawDevLiquidity', 'recoverLP', 'recoverTokens'];
+
+const lc = (a) => String(a || '').toLowerCase();
+const addrTopic = (a) => ethers.zeroPadValue(a, 32).toLowerCase();
+const topicAddr = (t) => ethers.getAddress('0x' + t.slice(26));
+const pctOf = (part, whole) => whole > 0n ? Number((part * 1_000_000n) / whole) / 10_000 : null;
+
+/** ETH/token amounts removed by the first pair Burn in the receipt, and the share of the ETH reserve it took. */
+export function lpBurnFromReceipt(receipt, launch) {
+  if (!launch?.pairAddr) return null;
+  const pair = lc(launch.pairAddr);
+  const tokenIs0 = lc(launch.token0) === lc(launch.tokenCA);
+  let burn = null, after = null;
+  for (const lg of receipt.logs) {
+    if (lc(lg.address) !== pair) continue;
+    if (lg.topics[0] === BURN_TOPIC && !burn) {
+      const [a0, a1] = abiCoder.decode(['uint256','uint256'], lg.data);
+      burn = tokenIs0 ? { tokenWei: a0, ethWei: a1 } : { tokenWei: a1, ethWei: a0 };
+    } else if (lg.topics[0] === SYNC_TOPIC && burn) {
+      const [r0, r1] = abiCoder.decode(['uint112','uint112'], lg.data);
+      after = tokenIs0 ? r1 : r0;
+    }
+  }
+  if (!burn) return null;
+  return { ...burn, pct: after != null ? pctOf(burn.ethWei, after + burn.ethWei) : null };
+}
+
+export function createRiskWatch({ getProvider, launchpad, parseTx, getLaunches, onAlert, lpBurnPct = 25, devTransferPct = 1 }) {
+  let subs = [];
+  const alerted = new Set(); // `${kind}:${txHash}` — a tx is reported once per kind
+
+  const launchByToken = (ca) => getLaunches().find(l => lc(l.tokenCA) === lc(ca)) || null;
+  const launchByPair  = (pair) => getLaunches().find(l => lc(l.pairAddr) === lc(pair)) || null;
+
+  async function emit(alert) {
+    const key = `${alert.kind}:${alert.txHash}`;
+    if (alerted.has(key)) return;
+    alerted.add(key);
+    await onAlert(alert);
+  }
+
+  async function totalSupplyOf(address) {
+    try {
+      const raw = await getProvider().call({ to: address, data: TOTAL_SUPPLY.encodeFunctionData('totalSupply') });
+      return TOTAL_SUPPLY.decodeFunctionResult('totalSupply', raw)[0];
+    } catch { return 0n; }
+  }
+
+  /** Tx scanner hook: every successful tx sent to the launchpad. */
+  async function onLaunchpadTx(tx, receipt) {
+    const parsed = parseTx(tx);
+    if (!parsed || !RUG_CALLS.includes(parsed.name)) return;
+    const tokenCA = ethers.getAddress(parsed.args._token);
+    const launch = launchByToken(tokenCA);
+    const base = { kind: parsed.name, launch, tokenCA, txHash: tx.hash };
+
+    if (parsed.name === 'withdrawDevLiquidity') {
+      const burn = lpBurnFromReceipt(receipt, launch);
+      return emit({ ...base, ...(burn || {}), unit: 'lp' });
+    }
+    if (parsed.name === 'recoverLP') {
+      const lpWei = parsed.args.toWithdraw;
+      const lpSupply = launch?.pairAddr ? await totalSupplyOf(launch.pairAddr) : 0n;
+      return emit({ ...base, lpWei, pct: pctOf(lpWei, lpSupply), unit: 'lp' });
+    }
+    const tokenWei = parsed.args.toWithdraw;
+    const supply = launch?.totalSupply ? BigInt(launch.totalSupply) : await totalSupplyOf(tokenCA);
+    return emit({ ...base, tokenWei, pct: pctOf(tokenWei, supply), unit: 'supply' });
+  }
+
+  async function onBurn(log) {
+    try {
+      const launch = launchByPair(log.address);
+      if (!launch) return;
+      const provider = getProvider();
+      const [tx, receipt] = await Promise.all([provider.getTransaction(log.transactionHash), provider.getTransactionReceipt(log.transactionHash)]);
+      if (!receipt) return;
+      if (lc(tx?.to) === lc(launchpad)) return; // launchpad calls are reported by onLaunchpadTx
+      const burn = lpBurnFromReceipt(receipt, launch);
+      if (!burn || burn.pct == null || burn.pct < lpBurnPct) return;
+      await emit({ kind: 'lpBurn', launch, tokenCA: launch.tokenCA, txHash: log.transactionHash, ...burn, unit: 'lp' });
+    } catch (e) { console.error('risk watch (burn) error:', e); }
+  }
+
+  async function onDevTransfer(log) {
+    try {
+      const launch = launchByToken(log.address);
+      if (!launch?.devWallet || !launch.pairAddr) return;
+      if (lc(topicAddr(log.topics[1])) !== lc(launch.devWallet)) return;
+      if (lc(topicAddr(log.topics[2])) !== lc(launch.pairAddr)) return;
+      const tokenWei = ethers.toBigInt(log.data);
+      const pct = pctOf(tokenWei, BigInt(launch.totalSupply || 0));
+      if (pct == null || pct < devTransferPct) return;
+      await emit({ kind: 'devDump', launch, tokenCA: launch.tokenCA, txHash: log.transactionHash, tokenWei, pct, unit: 'supply' });
+    } catch (e) { console.error('risk watch (dev transfer) error:', e); }
+  }
+
+  // Pair Burns and dev → pair transfers of `launches`, as [filter, listener] pairs.
+  function filtersFor(launches) {
+    const wanted = [
+      [{ address: launches.map(l => l.pairAddr), topics: [BURN_TOPIC] }, onBurn]
+    ];
+    const withDev = launches.filter(l => l.devWallet);
+    if (withDev.length) {
+      wanted.push([{
+        address: withDev.map(l => l.tokenCA),
+        topics: [TRANSFER_TOPIC, [...new Set(withDev.map(l => addrTopic(l.devWallet)))], [...new Set(withDev.map(l => addrTopic(l.pairAddr)))]]
+      }, onDevTransfer]);
+    }
+    return wanted;
+  }
+
+  async function subscribe(provider, wanted) {
+    for (const [filter, listener] of wanted) {
+      try { await provider.on(filter, listener); subs.push({ provider, filter, listener }); }
+      catch (e) { console.warn('risk watch: subscribe failed:', e.message); }
+    }
+  }
+
+  /** Rebuild the log subscriptions for the current watch list / provider. */
+  async function refresh() {
+    for (const { provider, filter, listener } of subs) provider.off(filter, listener).catch(() => {});
+    subs = [];
+    const provider = getProvider();
+    const launches = getLaunches().filter(l => l.pairAddr);
+    if (!provider || !launches.length) return;
+    await subscribe(provider, filtersFor(launches));
+  }
+
+  /** Add one new launch's filters next to the current ones (the next refresh() folds them in). */
+  async function watch(launch) {
+    const provider = getProvider();
+    if (!provider || !launch?.pairAddr) return;
+    await subscribe(provider, filtersFor([launch]));
+  }
+
+  return { refresh, watch, onLaunchpadTx };
+}
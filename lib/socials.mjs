@@ -0,0 +1,116 @@
+import { escapeHtml } from './format.mjs';
+import { checkSocials } from './linkSafety.mjs';
+
+/* ================= Socials =================
+ * Pure helpers behind readSocials(): classify / normalize links found in token
+ * getters, contractURI JSON and the creation calldata. Nothing here vouches for a
+ * link; posting goes through checkSocials() (lib/linkSafety.mjs) first.
+ */
+export function normalizeUrl(v, base) {
+  if (!v) return null;
+  if (/^https?:\/\//i.test(v)) return v;
+  if (base) return `${base}${v.replace(/^@/,'')}`;
+  return v;
+}
+export const isXUrl = u => /^https?:\/\/(www\.)?(twitter\.com|x\.com)\//i.test(String(u||'').trim()); // X/Twitter
+const isTgUrl = u => /^https?:\/\/(t\.me|telegram(\.me|\.org))\//i.test(String(u||'').trim()); // Telegram
+const isDcUrl = u => /^https?:\/\/(discord\.gg|discord(app)?\.com)\//i.test(String(u||'').trim()); // Discord
+
+export function classifyUrl(u) {
+  const s = String(u || '').trim().toLowerCase();
+  if (isXUrl(s)) return 'twitter';
+  if (isTgUrl(s)) return 'telegram';
+  if (isDcUrl(s)) return 'discord';
+  if (/^https?:\/\//.test(s)) return 'website';
+  return 'unknown';
+}
+
+export function parseDataUrlToJson(s) {
+  if (!/^data:application\/json/i.test(s)) return null;
+  const base64 = s.split(',')[1];
+  if (!base64) return null;
+  try {
+    const jsonStr = Buffer.from(base64, 'base64').toString('utf8');
+    return JSON.parse(jsonStr);
+  } catch { return null; }
+}
+export function parseMaybeJsonString(s) { try { return JSON.parse(s); } catch { return null; } }
+
+export function pickSocialsFromJson(obj) {
+  if (!obj || typeof obj !== 'object') return {};
+  const bag = {};
+  const buckets = [
+    obj, obj.links, obj.socials, obj.properties?.links, obj.properties?.socials,
+    obj.attributes, obj.extensions, obj.metadata, obj.data
+  ].filter(Boolean);
+  for (const j of buckets) {
+    for (const [k,v] of Object.entries(j)) {
+      const kk = k.toLowerCase();
+      const url = String(v || '');
+      const t = classifyUrl(url);
+      if (t === 'twitter' && !bag.twitter) bag.twitter = normalizeUrl(url);
+      if (t === 'telegram' && !bag.telegram) bag.telegram = normalizeUrl(url);
+      if (t === 'discord' && !bag.discord) bag.discord = normalizeUrl(url);
+      if (t === 'website' && !bag.website) bag.website = normalizeUrl(url);
+      if (!/^https?:\/\//i.test(url)) {
+        if (['twitter','x'].includes(kk) && !bag.twitter) bag.twitter = normalizeUrl(url,'https://twitter.com/');
+        if (['telegram','tg'].includes(kk) && !bag.telegram) bag.telegram = normalizeUrl(url,'https://t.me/');
+        if (['website','site','homepage'].includes(kk) && !bag.website) bag.website = normalizeUrl(url);
+      }
+    }
+  }
+  return bag;
+}
+
+export function extractAsciiStringsFromHex(hex) {
+  if (!hex || hex.length < 10 || !hex.startsWith('0x')) return [];
+  const buf = Buffer.from(hex.slice(2), 'hex');
+  const out = [];
+  let cur = [];
+  for (const b of buf) {
+    const ok = b >= 0x20 && b <= 0x7e;
+    if (ok) cur.push(b);
+    else { if (cur.length >= 4) out.push(Buffer.from(cur).toString('utf8')); cur = []; }
+  }
+  if (cur.length >= 4) out.push(Buffer.from(cur).toString('utf8'));
+  return [...new Set(out.map(s => s.trim()))];
+}
+export function socialsFromStrings(strs) {
+  const s = {};
+  for (const raw of strs) {
+    const t = raw.trim();
+    const typ = classifyUrl(t);
+    if (typ === 'twitter' && !s.twitter) { s.twitter = normalizeUrl(t); continue; }
+    if (typ === 'telegram' && !s.telegram) { s.telegram = normalizeUrl(t); continue; }
+    if (typ === 'discord' && !s.discord) { s.discord = normalizeUrl(t); continue; }
+    if (typ === 'website' && !s.website) { s.website = normalizeUrl(t); continue; }
+  }
+  return s;
+}
+
+/* Anchor style: website · X (Twitter) · telegram; a link failing the safety checks is a ⚠️ badge, not an anchor. */
+const SOCIAL_LABELS = { website: 'website', twitter: 'X (Twitter)', telegram: 'telegram', discord: 'discord' };
+export function socialsLine(s) {
+  const { safe, flagged } = checkSocials(s);
+  return Object.entries(SOCIAL_LABELS).map(([kind, label]) =>
+    safe[kind] ? `<a href="${escapeHtml(safe[kind])}">${label}</a>`
+    : flagged[kind] ? `⚠️ ${label} (unsafe link)`
+    : null
+  ).filter(Boolean).join(' · ');
+}
+
+export function resolveWebsiteAndX(inObj) {
+  const vals = Object.values(inObj).filter(Boolean).map(String);
+  const candidates = { twitter: [], website: [], telegram: [], discord: [] };
+  for (const v of vals) {
+    const t = classifyUrl(v);
+    if (t && candidates[t]) candidates[t].push(normalizeUrl(v));
+  }
+  const out = { ...inObj };
+  const pickedTwitter = candidates.twitter.find(u => isXUrl(u)) || (out.website && isXUrl(out.website) ? out.website : null);
+  const pickedWebsite = candidates.website.find(u => !isXUrl(u)) || (out.website && !isXUrl(out.website) ? out.website : null);
+  if (pickedTwitter) out.twitter = pickedTwitter; else delete out.twitter;
+  if (pickedWebsite) out.website = pickedWebsite; else delete out.website;
+  if (out.website && isXUrl(out.website)) delete out.website;
+  return out;
+}
@@ -0,0 +1,159 @@
+import { fmtDuration } from './format.mjs';
+
+/* ================= Mechanisms → specs =================
+ * Pure: mechanism maps come from readMechanisms() (getter probing, values as
+ * decimal strings) or mechFromSettings() (the creation calldata, exact).
+ */
+/** Per-key denominators; reflect+slices = % (100), APY = bps (10000). */
+const KEY_DENOM = {
+  reflect: 100, reflections_percent: 100, reflection_percent: 100, reflection: 100,
+  dev_fee: 100, dev_share: 100, developer_fee: 100,
+  liquidity_fee: 100, auto_lp: 100, auto_lp_share: 100, lp_share: 100, liquidity_share: 100,
+  gamble: 100, gamble_fee: 100, gamble_share: 100, gamble_percent: 100,
+  burn_buy: 100, burn_sell: 100,
+  max_daily_pump: 100,
+  apy: 10000, apy_per_epoch: 10000,
+};
+
+export function guessDenominator(m) {
+  const nums = Object.entries(m)
+    .filter(([,v]) => typeof v === 'string' && /^\d+$/.test(v))
+    .map(([,v]) => BigInt(v));
+  if (nums.some(v => v >= 1000n && v <= 20000n)) return 10000;
+  if (nums.some(v => v >= 100n && v <= 1000n))   return 1000;
+  return 100;
+}
+function bestPctFromRaw(raw, expectedMax = 25) {
+  const v = Number(raw);
+  if (!Number.isFinite(v)) return null;
+  const cands = [
+    { d: 10000, p: (v * 100) / 10000 },
+    { d: 1000,  p: (v * 100) / 1000  },
+    { d: 100,   p: (v * 100) / 100   },
+  ];
+  const within = cands.filter(c => c.p > 0 && c.p <= expectedMax + 1e-9);
+  const chosen = (within.length ? within : cands).reduce((mx, c) => (c.p > mx.p ? c : mx));
+  return Number(chosen.p.toFixed(2));
+}
+export function getPctSmart(mech, key, expectedMax, defaultDenom = 100) {
+  if (mech[key] == null) return null;
+  const raw = Number(mech[key]);
+  if (!Number.isFinite(raw)) return null;
+  const preferred = KEY_DENOM[key] || defaultDenom || 100;
+  let pct = (raw * 100) / preferred;
+  if (!mech._exact && (pct > expectedMax || pct < 0.01)) {
+    const alt = bestPctFromRaw(raw, expectedMax);
+    if (alt != null) pct = alt;
+  }
+  return Number(pct.toFixed(2));
+}
+
+/**
+ * Settings tuple → mechanism keys. `_exact` makes buildSpecs trust KEY_DENOM instead of guessing.
+ * The bundled ABI types them all as plain uint256; the recorded launches bear out whole percents
+ * (reflectionsPercent 5 = 5%; liquidity / win / devFee are % of the reflect) and seconds for the
+ * reaper and cooldown. apy is basis points per day (KEY_DENOM). 0 turns a mechanism off.
+ */
+export function mechFromSettings(st) {
+  return {
+    _exact: true,
+    reflect:        st.reflectionsPercent.toString(),
+    auto_lp_share:  st.liquidityPercent.toString(),
+    gamble:         st.winAmountPercent.toString(),
+    dev_fee:        st.devFee.toString(),
+    burn_buy:       st.burnPercentBuy.toString(),
+    burn_sell:      st.burnPercentSell.toString(),
+    max_daily_pump: st.maxDailyPumpRate.toString(),
+    death_time:     st.reaperDeathTime.toString(),
+    cooldown:       st.cooldown.toString(),
+    apy:            st.apy.toString(),
+    antibot:        st.antiBot
+  };
+}
+
+/** Reflect % of the token (null when unknown). */
+export function reflectPctOf(mech, defaultDenom = mech._denominator ? Number(mech._denominator) : guessDenominator(mech)) {
+  return getPctSmart(mech, 'reflect', 25, defaultDenom) ??
+    getPctSmart(mech, 'reflections_percent', 25, defaultDenom) ??
+    getPctSmart(mech, 'reflection_percent', 25, defaultDenom) ??
+    getPctSmart(mech, 'reflection', 25, defaultDenom);
+}
+
+// 0 is a mechanism that is off: left off the card rather than shown as 0.00%.
+const onOnly = (v) => v ? v : null;
+
+/**
+ * Mechanisms → the numbers a specs section shows (null = unknown or off):
+ * { antiBot, reflect, autoLp, ethReward, gamble, gambleHours, devFee, burnBuy, burnSell,
+ *   pump, reaperSeconds, apy, cooldown }; slices are % of reflect, the rest % / seconds.
+ */
+export function specValues(mech) {
+  if (!mech || !Object.keys(mech).length) return null;
+
+  const defaultDenom = mech._denominator ? Number(mech._denominator) : guessDenominator(mech);
+
+  const reflect = onOnly(reflectPctOf(mech, defaultDenom));
+
+  const autoLp = getPctSmart(mech, 'auto_lp_share', 100, defaultDenom) ??
+                 getPctSmart(mech, 'liquidity_fee', 100, defaultDenom) ??
+                 getPctSmart(mech, 'lp_share', 100, defaultDenom) ??
+                 getPctSmart(mech, 'liquidity_share', 100, defaultDenom);
+
+  const gamble = getPctSmart(mech, 'gamble', 100, defaultDenom) ??
+                 getPctSmart(mech, 'gamble_fee', 100, defaultDenom) ??
+                 getPctSmart(mech, 'gamble_share', 100, defaultDenom) ??
+                 getPctSmart(mech, 'gamble_percent', 100, defaultDenom);
+
+  const devFee = getPctSmart(mech, 'dev_fee', 100, defaultDenom) ??
+                 getPctSmart(mech, 'dev_share', 100, defaultDenom) ??
+                 getPctSmart(mech, 'developer_fee', 100, defaultDenom);
+
+  // ETH Reward = remainder of reflect after AutoLP + Gamble + Dev
+  let ethReward = null;
+  if (reflect != null) {
+    const used = (autoLp || 0) + (gamble || 0) + (devFee || 0);
+    ethReward = Math.max(0, Number((100 - used).toFixed(2)));
+  }
+
+  return {
+    antiBot: typeof mech.antibot === 'boolean' ? mech.antibot : null,
+    reflect,
+    // slices only mean something next to a reflect %
+    autoLp: reflect != null ? onOnly(autoLp) : null,
+    ethReward: onOnly(ethReward),
+    gamble: reflect != null ? onOnly(gamble) : null,
+    gambleHours: mech.gamble_period ? Number(mech.gamble_period) : null,
+    devFee: reflect != null ? onOnly(devFee) : null,
+    burnBuy: onOnly(getPctSmart(mech, 'burn_buy', 25, defaultDenom)),
+    burnSell: onOnly(getPctSmart(mech, 'burn_sell', 25, defaultDenom)),
+    pump: onOnly(getPctSmart(mech, 'max_daily_pump', 300, defaultDenom)),
+    reaperSeconds: mech.death_time ? Number(mech.death_time)
+                   : (mech.reaper_period ? Number(mech.reaper_period) : null),
+    apy: onOnly(getPctSmart(mech, 'apy', 100, defaultDenom)),
+    cooldown: mech.cooldown != null && Number(mech.cooldown) ? Number(mech.cooldown) : null
+  };
+}
+
+/** “Specs Mechanisms” as plain English lines (the Telegram card renders specValues() from its template). */
+export function buildSpecs(mech) {
+  const v = specValues(mech);
+  if (!v) return '';
+
+  const lines = [];
+  if (v.antiBot != null) lines.push(`Anti-bot: ${v.antiBot ? 'ON' : 'OFF'}`);
+  if (v.reflect != null) {
+    lines.push(`Reflect: ${v.reflect.toFixed(2)}%`);
+    if (v.autoLp != null)    lines.push(`• Auto LP: ${v.autoLp.toFixed(2)}% of reflect`);
+    if (v.ethReward != null) lines.push(`• ETH Reward: ${v.ethReward.toFixed(2)}% of reflect`);
+    if (v.gamble != null)    lines.push(`• Gamble: ${v.gamble.toFixed(2)}% of reflect${v.gambleHours ? ` (period: ${v.gambleHours} h)` : ''}`);
+    if (v.devFee != null)    lines.push(`• Dev Fee: ${v.devFee.toFixed(2)}% of reflect`);
+  }
+  if (v.burnBuy != null)       lines.push(`Burn (Buy): ${v.burnBuy.toFixed(2)}%`);
+  if (v.burnSell != null)      lines.push(`Burn (Sell): ${v.burnSell.toFixed(2)}%`);
+  if (v.pump != null)          lines.push(`Max Daily Pump: ${v.pump.toFixed(2)}%`);
+  if (v.reaperSeconds != null) lines.push(`Reaper period: ${(v.reaperSeconds/3600).toFixed(1)} h`);
+  if (v.apy != null)           lines.push(`APY / day: ${v.apy.toFixed(2)}%`);
+  if (v.cooldown)              lines.push(`Cooldown: ${fmtDuration(v.cooldown)}`);
+
+  return lines.join('\n');
+}
@@ -0,0 +1,33 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/* ================= JSON file store =================
+ * Tiny durable store: loads once, writes atomically (tmp file + rename) so a
+ * crash mid-write never leaves a truncated file behind.
+ */
+export function readJsonFile(file, fallback) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); }
+  catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`Failed to read ${file}:`, e.message);
+    return fallback;
+  }
+}
+
+export function writeJsonFile(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+export function createJsonStore(file, defaults = {}) {
+  const data = { ...defaults, ...readJsonFile(file, {}) };
+  return {
+    file,
+    data,
+    save() {
+      try { writeJsonFile(file, data); }
+      catch (e) { console.error(`Failed to write ${file}:`, e.message); }
+    }
+  };
+}
@@ -0,0 +1,110 @@
+import { createJsonStore } from './store.mjs';
+
+/* ================= Chat subscriptions =================
+ * Chats registered with /subscribe, each with its own filters, persisted in
+ * `file`. targets(kind, facts) picks the chats an event goes to:
+ *   kind   'launch' | 'lock' | 'risk' | 'digest'
+ *   facts  { lpEth, devPct, reflectPct, hasSocials } of the launch, or null
+ *          when the token is unknown (then only the event type is checked)
+ * Digests are not an event type but a switch of their own (`digests`), on by default.
+ * On first start the store is seeded with `defaultChatId` (no filters).
+ * A chat may also carry `template` / `locale` (see setLook); unset = the bot's defaults.
+ */
+export const EVENT_TYPES = ['launch', 'lock', 'risk'];
+export const DEFAULT_FILTERS = { events: EVENT_TYPES, minLpEth: 0, maxDevPct: null, maxReflectPct: null, requireSocials: false, digests: true };
+
+export function matchesFilters(filters, kind, facts) {
+  const f = { ...DEFAULT_FILTERS, ...filters };
+  if (kind === 'digest') return f.digests;
+  if (!f.events.includes(kind)) return false;
+  if (!facts) return true;
+  if (f.minLpEth > 0 && !(facts.lpEth >= f.minLpEth)) return false;
+  if (f.maxDevPct != null && facts.devPct > f.maxDevPct) return false;
+  if (f.maxReflectPct != null && facts.reflectPct != null && facts.reflectPct > f.maxReflectPct) return false;
+  if (f.requireSocials && !facts.hasSocials) return false;
+  return true;
+}
+
+const NUMBER_KEYS = { min_lp: 'minLpEth', max_dev: 'maxDevPct', max_reflect: 'maxReflectPct' };
+const ON  = /^(on|yes|true|1)$/i;
+const OFF = /^(off|no|false|0)$/i;
+
+/** "min_lp=1 max_dev=5 events=launch,lock socials=on digest=off" → { patch, errors } ("off" / "-" clears a limit). */
+export function parseFilterArgs(args) {
+  const patch = {}, errors = [];
+  for (const arg of args) {
+    const [key, value = ''] = arg.split('=');
+    if (NUMBER_KEYS[key]) {
+      if (value === '-' || /^off$/i.test(value)) patch[NUMBER_KEYS[key]] = key === 'min_lp' ? 0 : null; // 0 is a limit, not "off"
+      else if (Number.isFinite(Number(value)) && Number(value) >= 0 && value !== '') patch[NUMBER_KEYS[key]] = Number(value);
+      else errors.push(`${key} needs a number`);
+    } else if (key === 'events') {
+      const events = value === 'all' ? EVENT_TYPES : value.split(',').map(s => s.trim()).filter(Boolean);
+      const bad = events.filter(e => !EVENT_TYPES.includes(e));
+      if (!events.length || bad.length) errors.push(`events: use ${EVENT_TYPES.join(', ')} or all`);
+      else patch.events = [...new Set(events)];
+    } else if (key === 'socials') {
+      if (ON.test(value)) patch.requireSocials = true;
+      else if (OFF.test(value)) patch.requireSocials = false;
+      else errors.push('socials needs on or off');
+    } else if (key === 'digest') {
+      if (ON.test(value)) patch.digests = true;
+      else if (OFF.test(value)) patch.digests = false;
+      else errors.push('digest needs on or off');
+    } else errors.push(`unknown filter ${key}`);
+  }
+  return { patch, errors };
+}
+
+export function createSubscriptions({ file, defaultChatId }) {
+  const store = createJsonStore(file, {});
+  if (!store.data.chats) {
+    store.data.chats = defaultChatId ? { [defaultChatId]: { filters: { ...DEFAULT_FILTERS }, at: Date.now() } } : {};
+    store.save();
+  }
+  const chats = store.data.chats;
+
+  return {
+    get: (chatId) => chats[chatId] || null,
+    list: () => Object.entries(chats).map(([chatId, sub]) => ({ chatId, ...sub })),
+
+    subscribe(chatId, by = null) {
+      if (chats[chatId]) return false;
+      chats[chatId] = { filters: { ...DEFAULT_FILTERS }, by, at: Date.now() };
+      store.save();
+      return true;
+    },
+
+    unsubscribe(chatId) {
+      if (!chats[chatId]) return false;
+      delete chats[chatId];
+      store.save();
+      return true;
+    },
+
+    setFilters(chatId, patch) {
+      if (!chats[chatId]) return null;
+      chats[chatId].filters = { ...DEFAULT_FILTERS, ...chats[chatId].filters, ...patch };
+      store.save();
+      return chats[chatId].filters;
+    },
+
+    /** Template set / locale the chat's posts are rendered in (lib/templates.mjs); null puts a field back to the default. */
+    setLook(chatId, patch) {
+      const sub = chats[chatId];
+      if (!sub) return null;
+      for (const key of ['template', 'locale']) {
+        if (!(key in patch)) continue;
+        if (patch[key] == null) delete sub[key];
+        else sub[key] = patch[key];
+      }
+      store.save();
+      return sub;
+    },
+
+    /** Chat ids an event of `kind` with these launch `facts` goes to. */
+    targets(kind, facts) {
+      return Object.entries(chats).filter(([, sub]) => matchesFilters(sub.filters, kind, facts)).map(([chatId]) => chatId);
+    }
+  };
+}
@@ -0,0 +1,95 @@
+import { ethers } from 'ethers';
+import { readJsonFile } from './store.mjs';
+
+/* ================= Watch targets =================
+ * One entry per launchpad the bot follows, each on its own chain / RPC:
+ *   { label, chainId, rpcWss, rpcWssFallback?, rpcHttp?, launchpad, weth?,
+ *     explorer?, ethosUrlTemplate?, fromBlock?, abi?, ethUsdFeed?, ethUsdPair? }
+ * listed as a JSON array in TARGETS_FILE. The single-launchpad env vars
+ * (LAUNCHPAD_ADDRESS, CHAIN_ID, RPC_WSS, …) describe one more target, id
+ * 'default', which keeps the original data/state.json. Every other target gets
+ * state-<chainId>-<launchpad>.json, so renaming a label keeps its checkpoint.
+ * Explorer and WETH default per chain (CHAINS); unknown chains must set both.
+ * ethUsdFeed (Chainlink ETH/USD aggregator) and ethUsdPair (Uniswap V2
+ * WETH/stablecoin pair) are the on-chain ETH price fallbacks (lib/prices.mjs).
+ */
+export const CHAINS = {
+  1: {
+    explorer: 'https://etherscan.io', weth: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+    ethUsdFeed: '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419', ethUsdPair: '0xB4e16d0168e52d35CaCD2c6185b44281Ec28C9Dc'
+  },
+  11155111: {
+    explorer: 'https://sepolia.etherscan.io', weth: '0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14',
+    ethUsdFeed: '0x694AA1769357215DE4FAC081bf1f309aDC325306'
+  },
+  8453: {
+    explorer: 'https://basescan.org', weth: '0x4200000000000000000000000000000000000006',
+    ethUsdFeed: '0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70'
+  }
+};
+
+const list = (v) => Array.isArray(v) ? v.filter(Boolean) : String(v || '').split(',').map(s => s.trim()).filter(Boolean);
+
+function normalize(raw, { id, stateFile, ethosUrlTemplate }) {
+  const where = id === 'default' ? 'env' : `target "${raw.label ?? '?'}"`;
+  const chainId = Number(raw.chainId ?? 1);
+  if (!Number.isInteger(chainId) || chainId <= 0) throw new Error(`${where}: invalid chainId ${raw.chainId}`);
+  if (!raw.rpcWss) throw new Error(`${where}: rpcWss is required`);
+  if (!raw.launchpad || !ethers.isAddress(String(raw.launchpad).toLowerCase())) throw new Error(`${where}: launchpad must be an address`);
+  for (const key of ['weth', 'ethUsdFeed', 'ethUsdPair']) {
+    if (raw[key] && !ethers.isAddress(String(raw[key]).toLowerCase())) throw new Error(`${where}: ${key} must be an address`);
+  }
+  const address = (v) => v ? ethers.getAddress(String(v).toLowerCase()) : null;
+
+  const launchpad = ethers.getAddress(String(raw.launchpad).toLowerCase());
+  const chain = CHAINS[chainId] || {};
+  const explorer = String(raw.explorer || chain.explorer || '').replace(/\/+$/, '');
+  if (!explorer) console.warn(`${where}: no explorer known for chain ${chainId}; tx links will be missing`);
+  return {
+    id: id ?? `${chainId}-${launchpad.toLowerCase()}`,
+    label: String(raw.label || '').trim(),
+    chainId,
+    urls: [raw.rpcWss, ...list(raw.rpcWssFallback)],
+    rpcHttp: raw.rpcHttp || null,
+    launchpad,
+    weth: address(raw.weth || chain.weth),
+    explorer: explorer || null,
+    ethosUrlTemplate: raw.ethosUrlTemplate || ethosUrlTemplate,
+    fromBlock: raw.fromBlock != null ? String(raw.fromBlock) : null,
+    abi: raw.abi || null,
+    ethUsdFeed: address(raw.ethUsdFeed || chain.ethUsdFeed),
+    ethUsdPair: address(raw.ethUsdPair || chain.ethUsdPair),
+    stateFile: stateFile ?? `state-${chainId}-${launchpad.toLowerCase()}.json`
+  };
+}
+
+/** Targets from the env (+ TARGETS_FILE). Throws on a config the bot cannot run with. */
+export function loadTargets(env) {
+  const ethosUrlTemplate = env.ETHOS_URL_TEMPLATE || 'https://ethos.vision/?t={CA}';
+  const targets = [];
+  if (env.LAUNCHPAD_ADDRESS) {
+    targets.push(normalize({
+      label: env.TARGET_LABEL, chainId: env.CHAIN_ID, rpcWss: env.RPC_WSS, rpcWssFallback: env.RPC_WSS_FALLBACK,
+      rpcHttp: env.RPC_HTTP, launchpad: env.LAUNCHPAD_ADDRESS, weth: env.WETH_ADDRESS, explorer: env.EXPLORER_URL,
+      fromBlock: env.FROM_BLOCK, abi: env.LAUNCHPAD_ABI, ethUsdFeed: env.ETH_USD_FEED, ethUsdPair: env.ETH_USD_PAIR
+    }, { id: 'default', stateFile: 'state.json', ethosUrlTemplate }));
+  }
+  if (env.TARGETS_FILE) {
+    const entries = readJsonFile(env.TARGETS_FILE, null);
+    if (!Array.isArray(entries)) throw new Error(`TARGETS_FILE ${env.TARGETS_FILE}: expected a JSON array of targets`);
+    for (const raw of entries) {
+      if (!String(raw?.label || '').trim()) throw new Error(`TARGETS_FILE: every target needs a label`);
+      targets.push(normalize(raw, { ethosUrlTemplate }));
+    }
+  }
+
+  const seen = new Set();
+  for (const t of targets) {
+    const key = `${t.chainId}-${t.launchpad.toLowerCase()}`;
+    if (seen.has(key)) throw new Error(`launchpad ${t.launchpad} on chain ${t.chainId} is listed twice`);
+    seen.add(key);
+  }
+  const labels = targets.map(t => t.label).filter(Boolean);
+  if (new Set(labels).size !== labels.length) throw new Error('target labels must be unique');
+  return targets;
+}
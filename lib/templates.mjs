@@ -0,0 +1,232 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { escapeHtml, fmtETH, fmtEthShort, fmtCompact, fmtUSD, fmtPrice, fmtDuration } from './format.mjs';
+
+/* ================= Message templates =================
+ * Telegram posts are rendered from editable files, one per message type and locale:
+ *   <dir>/<set>/<type>.<locale>.html        e.g. templates/default/launch.id.html
+ * Syntax (mustache-like, no dependencies):
+ *   {{path.to.value}}               HTML-escaped;  {{{path}}} is inserted as-is
+ *   {{helper arg …}}                args are paths, "strings" or numbers (see HELPERS)
+ *   {{#expr}}…{{else}}…{{/expr}}    shown when truthy; an array repeats it per item
+ *                                   (@index, @first, @last), an object becomes the scope
+ *   {{^expr}}…{{/expr}}             shown when falsy / empty
+ *   {{button "Open in EthOS" links.ethos}}   inline button; buttons on one template line share a row
+ *   {{! comment }}
+ * A line that holds tags and renders empty is dropped, so optional fields need no
+ * blank-line juggling. Files are re-read when they change on disk.
+ *
+ * render(type, view, { template, locale }) tries <template>/<type>.<locale>, then
+ * default/<type>.<locale>, then default/<type>.<fallbackLocale> — in `dir`, then in
+ * `fallbackDir` (the bundled set, for a `dir` holding only overrides). One that is
+ * missing, fails to compile or throws while rendering is skipped (and logged).
+ */
+export const DEFAULT_SET = 'default';
+
+// Prefixed to every template line holding a tag; lines that are nothing but these after rendering go.
+const MARK = '\u0001';
+const clean = (v) => String(v).replaceAll(MARK, '');
+
+const num = (v) => Number(v);
+const HELPERS = {
+  usd:      (v) => fmtUSD(v),                         // 15,000
+  eth:      (v) => fmtEthShort(v),                    // ETH as a number → 2.50
+  wei:      (v) => fmtEthShort(fmtETH(BigInt(v))),    // wei → 2.50
+  compact:  (v) => fmtCompact(v),                     // 1.20M
+  price:    (v) => fmtPrice(v),                       // 0.00001234 (token prices)
+  fixed:    (v, digits = 2) => num(v).toFixed(digits),
+  pct:      (v, digits = 2) => num(v).toFixed(digits),
+  signed:   (v, digits = 1) => `${num(v) >= 0 ? '+' : ''}${num(v).toFixed(digits)}`,
+  duration: (sec) => fmtDuration(num(sec)),
+  hours:    (sec, digits = 1) => (num(sec) / 3600).toFixed(digits),
+  utc:      (sec) => new Date(num(sec) * 1000).toISOString().slice(0, 16).replace('T', ' ') + ' UTC',
+  hhmm:     (ms) => new Date(num(ms)).toISOString().slice(11, 16),
+  short:    (s, n = 10) => String(s).slice(0, n) + '…',
+  has:      (v) => v != null,
+  eq:       (a, b) => String(a) === String(b),
+  or:       (...vs) => vs.find(v => v != null && v !== '') ?? ''
+};
+
+/* ----- Compile ----- */
+const TAG = /\{\{\{\s*([\s\S]*?)\s*\}\}\}|\{\{\s*([#^/!]?)\s*([\s\S]*?)\s*\}\}/g;
+const ARG = /"([^"]*)"|'([^']*)'|(\S+)/g;
+
+const parseArgs = (src) => [...src.matchAll(ARG)].map(([, dq, sq, word]) =>
+  dq != null ? { lit: dq } : sq != null ? { lit: sq }
+  : /^-?\d+(\.\d+)?$/.test(word) ? { lit: Number(word) }
+  : /^(true|false|null)$/.test(word) ? { lit: JSON.parse(word) }
+  : { path: word });
+
+function parseExpr(src) {
+  const args = parseArgs(src);
+  if (!args.length) throw new Error('empty tag');
+  if (args.length === 1) return args[0];
+  const name = args[0].path;
+  if (!name || !HELPERS[name]) throw new Error(`unknown helper "${args[0].path ?? args[0].lit}"`);
+  return { helper: name, args: args.slice(1) };
+}
+
+/** Template source → node tree: text / var / section / button. Throws on unbalanced or unknown tags. */
+export function compileTemplate(src) {
+  let line = 0;
+  const marked = src.replace(/\r\n/g, '\n').split('\n').map(l => l.includes('{{') ? MARK + l : l).join('\n');
+  const root = { children: [] };
+  const stack = [{ node: root, list: root.children, name: null }];
+  let last = 0;
+  const top = () => stack[stack.length - 1];
+  const text = (s) => {
+    if (!s) return;
+    top().list.push({ text: s });
+    line += s.split('\n').length - 1;
+  };
+
+  for (const m of marked.matchAll(TAG)) {
+    text(marked.slice(last, m.index));
+    last = m.index + m[0].length;
+    const [, raw, sigil, body] = m;
+    line += m[0].split('\n').length - 1;
+    if (raw != null) { top().list.push({ expr: parseExpr(raw), raw: true }); continue; }
+    if (sigil === '!') continue;
+    if (sigil === '#' || sigil === '^') {
+      const name = body.split(/\s+/)[0];
+      const node = { section: parseExpr(body), inverted: sigil === '^', children: [], otherwise: [] };
+      top().list.push(node);
+      stack.push({ node, list: node.children, name });
+      continue;
+    }
+    if (sigil === '/') {
+      if (stack.length === 1 || top().name !== body) throw new Error(`unexpected {{/${body}}} on line ${line + 1}`);
+      stack.pop();
+      continue;
+    }
+    if (body === 'else') {
+      if (stack.length === 1 || top().list === top().node.otherwise) throw new Error(`unexpected {{else}} on line ${line + 1}`);
+      top().list = top().node.otherwise;
+      continue;
+    }
+    if (/^button\s/.test(body)) {
+      const args = parseArgs(body).slice(1);
+      if (args.length !== 2) throw new Error(`{{button}} needs a text and a url on line ${line + 1}`);
+      top().list.push({ button: args, line });
+      continue;
+    }
+    top().list.push({ expr: parseExpr(body) });
+  }
+  text(marked.slice(last));
+  if (stack.length > 1) throw new Error(`{{#${top().name}}} is never closed`);
+  return root.children;
+}
+
+/* ----- Render ----- */
+function lookup(scopes, p) {
+  if (p === '.') return scopes[scopes.length - 1].value;
+  const [head, ...rest] = p.split('.');
+  let v;
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const s = scopes[i];
+    if (head.startsWith('@')) { if (s.meta && head in s.meta) { v = s.meta[head]; break; } continue; }
+    if (s.value != null && typeof s.value === 'object' && head in s.value) { v = s.value[head]; break; }
+  }
+  for (const k of rest) v = v == null ? undefined : v[k];
+  return v;
+}
+
+function evaluate(expr, scopes) {
+  if ('lit' in expr) return expr.lit;
+  if (expr.path) return lookup(scopes, expr.path);
+  return HELPERS[expr.helper](...expr.args.map(a => evaluate(a, scopes)));
+}
+
+const truthy = (v) => Array.isArray(v) ? v.length > 0 : Boolean(v);
+
+function renderNodes(nodes, scopes, out) {
+  for (const n of nodes) {
+    if (n.text != null) out.text += n.text;
+    else if (n.expr) {
+      const v = evaluate(n.expr, scopes);
+      if (v != null && v !== false) out.text += n.raw ? clean(v) : escapeHtml(clean(v));
+    } else if (n.button) {
+      const [label, url] = n.button.map(a => evaluate(a, scopes));
+      if (!url) continue;
+      const button = { text: clean(label), url: String(url) };
+      if (out.rowLine === n.line && out.rows.length) out.rows[out.rows.length - 1].push(button);
+      else out.rows.push([button]);
+      out.rowLine = n.line;
+    } else {
+      const v = evaluate(n.section, scopes);
+      if (n.inverted) renderNodes(truthy(v) ? n.otherwise : n.children, scopes, out);
+      else if (!truthy(v)) renderNodes(n.otherwise, scopes, out);
+      else if (Array.isArray(v)) {
+        v.forEach((item, i) => renderNodes(n.children, [...scopes, { value: item, meta: { '@index': i, '@first': i === 0, '@last': i === v.length - 1 } }], out));
+      } else renderNodes(n.children, typeof v === 'object' ? [...scopes, { value: v }] : scopes, out);
+    }
+  }
+}
+
+/** Compiled template + view → { html, rows } (rows = inline keyboard, null when there are no buttons). */
+export function renderTemplate(nodes, view) {
+  const out = { text: '', rows: [], rowLine: null };
+  renderNodes(nodes, [{ value: view }], out);
+  const html = out.text.split('\n')
+    .filter(l => !(l.includes(MARK) && !clean(l).trim()))
+    .map(clean).join('\n').trim();
+  return { html, rows: out.rows.length ? out.rows : null };
+}
+
+/* ----- Template sets on disk ----- */
+export function createTemplates({ dir, fallbackDir = dir, fallbackLocale = 'en' }) {
+  const cache = new Map(); // file → { mtimeMs, nodes | error }
+  const warned = new Set();
+
+  function load(file) {
+    let stat;
+    try { stat = fs.statSync(file); } catch { return null; }
+    const hit = cache.get(file);
+    if (hit && hit.mtimeMs === stat.mtimeMs) return hit;
+    let entry;
+    try { entry = { mtimeMs: stat.mtimeMs, nodes: compileTemplate(fs.readFileSync(file, 'utf8')) }; }
+    catch (e) { entry = { mtimeMs: stat.mtimeMs, error: e }; }
+    cache.set(file, entry);
+    return entry;
+  }
+
+  const warnOnce = (file, entry, e) => {
+    const key = `${file}@${entry.mtimeMs}:${e.message}`;
+    if (warned.has(key)) return;
+    warned.add(key);
+    console.warn(`template ${file} failed, falling back: ${e.message}`);
+  };
+
+  function render(type, view, { template = DEFAULT_SET, locale = fallbackLocale } = {}) {
+    const files = [...new Set([
+      [dir, template, locale], [dir, DEFAULT_SET, locale], [dir, DEFAULT_SET, fallbackLocale],
+      [fallbackDir, DEFAULT_SET, locale], [fallbackDir, DEFAULT_SET, fallbackLocale]
+    ].map(([root, set, loc]) => path.join(root, set, `${type}.${loc}.html`)))];
+    let lastError = null;
+    for (const file of files) {
+      const entry = load(file);
+      if (!entry) continue;
+      try {
+        if (entry.error) throw entry.error;
+        return renderTemplate(entry.nodes, view);
+      } catch (e) {
+        warnOnce(file, entry, e);
+        lastError = e;
+      }
+    }
+    throw lastError || new Error(`no template for ${type} (${template}/${locale})`);
+  }
+
+  const list = (d, opts) => { try { return fs.readdirSync(d, opts); } catch { return []; } };
+
+  /** Template sets in `dir` (the default one always counts: it falls back to the bundled copy). */
+  const sets = () => [...new Set([DEFAULT_SET, ...list(dir, { withFileTypes: true }).filter(d => d.isDirectory()).map(d => d.name)])].sort();
+
+  /** Locales with at least one template in `set`. */
+  function locales(set = DEFAULT_SET) {
+    const files = [...list(path.join(dir, set)), ...(set === DEFAULT_SET ? list(path.join(fallbackDir, set)) : [])];
+    return [...new Set(files.map(f => f.match(/^[a-z]+\.([\w-]+)\.html$/)?.[1]).filter(Boolean))].sort();
+  }
+
+  return { render, sets, locales };
+}
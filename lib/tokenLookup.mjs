@@ -0,0 +1,88 @@
+import axios from 'axios';
+import { ethers } from 'ethers';
+import { etherscanApiBase } from './abiRegistry.mjs';
+
+/* ================= Token lookup =================
+ * For on-demand cards of tokens the bot never saw being created:
+ *   findCreationTx()     token address → launchpad creation tx hash
+ *   createTickerIndex()  ticker → launchpad token addresses (viewTokensList)
+ */
+const LIST   = new ethers.Interface(['function viewTokensList() view returns (address[])']);
+const SYMBOL = new ethers.Interface(['function symbol() view returns (string)']);
+
+const lc = (a) => String(a || '').toLowerCase();
+
+/** First block where `address` has code (binary search over eth_getCode; needs an archive RPC for old tokens). */
+export async function findCreationBlock(provider, address, head) {
+  const hasCode = async (n) => (await provider.getCode(address, n)) !== '0x';
+  if (!(await hasCode(head))) return null;
+  let lo = 0, hi = head;
+  while (lo < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (await hasCode(mid)) hi = mid; else lo = mid + 1;
+  }
+  return lo;
+}
+
+async function etherscanCreationTx(chainId, address, apiKey) {
+  try {
+    const url = `${etherscanApiBase(chainId)}&module=contract&action=getcontractcreation&contractaddresses=${address}&apikey=${apiKey}`;
+    const { data } = await axios.get(url, { timeout: 15000 });
+    if (data.status === '1') return data.result?.[0]?.txHash || null;
+    console.warn('Etherscan contract creation status!=1:', data?.message || data);
+  } catch (err) {
+    console.warn('Failed to fetch contract creation:', err.message);
+  }
+  return null;
+}
+
+/**
+ * Creation tx of `token`: the launchpad's TokenCreated log in the block where the
+ * token's code appeared — filtered by the indexed token topic, then by topic0 with
+ * the token as the first data word (the bundled ABI does not index it).
+ * Falls back to Etherscan's getcontractcreation when the RPC cannot serve old state.
+ */
+export async function findCreationTx(provider, { launchpad, token, createdTopic, chainId, etherscanApiKey }) {
+  const tokenWord = ethers.zeroPadValue(token, 32).toLowerCase();
+  try {
+    const block = await findCreationBlock(provider, token, await provider.getBlockNumber());
+    if (block == null) return null;
+    const range = { address: launchpad, fromBlock: block, toBlock: block };
+    const [hit] = await provider.getLogs({ ...range, topics: [createdTopic, tokenWord] });
+    if (hit) return hit.transactionHash;
+    const logs = await provider.getLogs({ ...range, topics: [createdTopic] });
+    const match = logs.find(lg => lc(lg.data).slice(0, 66) === '0x' + tokenWord.slice(2));
+    if (match) return match.transactionHash;
+  } catch (e) {
+    console.warn(`creation lookup for ${token} via RPC failed:`, e.message);
+  }
+  return etherscanApiKey ? etherscanCreationTx(chainId, token, etherscanApiKey) : null;
+}
+
+/** Ticker → launchpad tokens, newest first. Symbols are read once per token; new tokens are picked up on each lookup. */
+export function createTickerIndex({ caller, launchpad }) {
+  const tokens = []; // viewTokensList order: { address, symbol }
+  let refreshing = null;
+
+  async function refresh() {
+    const raw = await caller.call({ to: launchpad, data: LIST.encodeFunctionData('viewTokensList') });
+    const [list] = LIST.decodeFunctionResult('viewTokensList', raw);
+    const fresh = list.slice(tokens.length);
+    const symbols = await Promise.all(fresh.map(async (address) => {
+      try {
+        const [s] = SYMBOL.decodeFunctionResult('symbol', await caller.call({ to: address, data: SYMBOL.encodeFunctionData('symbol') }));
+        return s;
+      } catch { return null; }
+    }));
+    fresh.forEach((address, i) => tokens.push({ address, symbol: symbols[i] }));
+  }
+
+  async function resolve(ticker) {
+    if (!refreshing) refreshing = refresh().finally(() => { refreshing = null; });
+    await refreshing;
+    const want = ticker.replace(/^\$/, '').trim().toUpperCase();
+    return tokens.filter(t => t.symbol?.trim().toUpperCase() === want).map(t => t.address).reverse();
+  }
+
+  return { resolve };
+}
@@ -0,0 +1,58 @@
+/* ================= Launchpad tx scanner =================
+ * Some launchpad calls (withdrawDevLiquidity, recoverLP, owner setters…) emit
+ * no launchpad event, so the log subscription never sees them. This walks
+ * every new block (one eth_getBlockByNumber with full txs per block), picks
+ * the successful txs sent *to* the launchpad and hands them to `onTx`.
+ * The cursor is persisted by the caller; after downtime at most `maxCatchup`
+ * blocks are rescanned.
+ */
+export function createTxScanner({ getProvider, address, getCursor, setCursor, onTx, maxCatchup = 300 }) {
+  const target = address.toLowerCase();
+  let subscribed = null, scanning = false, wanted = 0;
+
+  async function scanTo(head) {
+    wanted = Math.max(wanted, head);
+    if (scanning) return;
+    scanning = true;
+    try {
+      while (true) {
+        const provider = getProvider();
+        if (!provider) return;
+        let cursor = getCursor();
+        if (cursor == null || wanted - cursor > maxCatchup) {
+          if (cursor != null) console.warn(`tx scanner: skipping blocks ${cursor + 1}..${wanted - maxCatchup} (over ${maxCatchup} behind)`);
+          cursor = Math.max(0, wanted - (cursor == null ? 1 : maxCatchup));
+          setCursor(cursor);
+        }
+        if (cursor >= wanted) return;
+        const n = cursor + 1;
+        const block = await provider.getBlock(n, true);
+        if (!block) return; // not served yet; retried on the next head
+        for (const tx of block.prefetchedTransactions) {
+          if (tx.to?.toLowerCase() !== target) continue;
+          const receipt = await provider.getTransactionReceipt(tx.hash);
+          if (receipt?.status !== 1) continue;
+          try { await onTx(tx, receipt); }
+          catch (e) { console.error(`tx scanner: handling ${tx.hash} failed:`, e); }
+        }
+        setCursor(n);
+      }
+    } catch (e) {
+      console.warn('tx scanner error (retrying on next block):', e.message);
+    } finally {
+      scanning = false;
+    }
+  }
+
+  const onBlock = (n) => { scanTo(Number(n)); };
+
+  /** (Re)attach to the current provider's new-block stream; call after every reconnect. */
+  async function subscribe() {
+    const provider = getProvider();
+    if (subscribed) subscribed.off('block', onBlock).catch(() => {});
+    subscribed = provider;
+    if (provider) await provider.on('block', onBlock);
+  }
+
+  return { subscribe, scanTo };
+}
@@ -0,0 +1,107 @@
+import { ethers } from 'ethers';
+
+/* ============ WebSocket connection supervisor ============
+ * Owns the WebSocketProvider. Socket close/error, a timed-out eth_blockNumber
+ * heartbeat or a head that stops moving all count as a dead connection: the
+ * provider is torn down and rebuilt with exponential backoff, rotating through
+ * `urls` (primary first, then fallbacks). `onConnect(provider)` runs after every
+ * (re)connect and must finish (backfill + subscribe) before heartbeats start;
+ * if it throws, the attempt counts as failed and is retried.
+ */
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+export function withTimeout(promise, ms, what) {
+  let t;
+  const timeout = new Promise((_, rej) => { t = setTimeout(() => rej(new Error(`${what} timed out after ${ms}ms`)), ms); });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(t));
+}
+
+/** Host only — RPC URLs usually embed an API key. */
+export function redactUrl(url) {
+  try { return new URL(url).host; } catch { return '<invalid url>'; }
+}
+
+export function createWsSupervisor({
+  urls, chainId, onConnect, onDisconnect,
+  heartbeatMs = 15000, stallMs = 120000, minBackoffMs = 1000, maxBackoffMs = 60000,
+  createProvider = (url) => new ethers.WebSocketProvider(url, chainId)
+}) {
+  let provider = null, urlIdx = 0, attempt = 0, timer = null;
+  let connecting = false, stopped = false, abortConnect = null;
+  let lastHead = 0, lastHeadAt = 0;
+
+  const currentUrl = () => urls[urlIdx % urls.length];
+  const backoff = () => {
+    const base = Math.min(maxBackoffMs, minBackoffMs * 2 ** attempt++);
+    return base / 2 + Math.random() * base / 2;
+  };
+
+  function teardown() {
+    clearInterval(timer); timer = null;
+    const p = provider; provider = null;
+    if (p) Promise.resolve().then(() => p.destroy()).catch(() => {});
+  }
+
+  function fail(p, reason) {
+    if (stopped || !p || p !== provider) return;
+    if (connecting) return abortConnect?.(new Error(reason)); // cycle() logs and retries
+    console.warn(`RPC connection lost (${redactUrl(currentUrl())}): ${reason}`);
+    teardown();
+    try { onDisconnect?.(reason); } catch {}
+    urlIdx++;
+    sleep(backoff()).then(cycle);
+  }
+
+  async function heartbeat(p) {
+    try {
+      const head = Number(await withTimeout(p.send('eth_blockNumber', []), heartbeatMs, 'heartbeat'));
+      if (head > lastHead) { lastHead = head; lastHeadAt = Date.now(); }
+      else if (Date.now() - lastHeadAt > stallMs) fail(p, `head stalled at block ${lastHead}`);
+    } catch (e) {
+      fail(p, e.message);
+    }
+  }
+
+  async function connect() {
+    const url = currentUrl();
+    const aborted = new Promise((_, rej) => { abortConnect = rej; });
+    aborted.catch(() => {});
+    const p = createProvider(url);
+    provider = p;
+    p.websocket.onerror = (e) => fail(p, `socket error: ${e?.message || 'unknown'}`);
+    p.websocket.onclose = (e) => fail(p, `socket closed (code ${e?.code ?? '?'})`);
+
+    const head = Number(await Promise.race([withTimeout(p.send('eth_blockNumber', []), heartbeatMs, 'eth_blockNumber'), aborted]));
+    lastHead = head; lastHeadAt = Date.now();
+    console.log(`RPC connected: ${redactUrl(url)} (head ${head})`);
+
+    await Promise.race([onConnect(p, { url, head }), aborted]);
+    abortConnect = null;
+    attempt = 0;
+    timer = setInterval(() => heartbeat(p), heartbeatMs);
+  }
+
+  async function cycle() {
+    while (!stopped) {
+      connecting = true;
+      try { await connect(); connecting = false; return; }
+      catch (e) {
+        connecting = false;
+        if (stopped) return;
+        console.warn(`RPC connect failed (${redactUrl(currentUrl())}): ${e.message}`);
+        teardown();
+        urlIdx++;
+        await sleep(backoff());
+      }
+    }
+  }
+
+  return {
+    start: cycle,
+    stop() { stopped = true; teardown(); },
+    get provider() { return provider; },
+    get connected() { return !!provider && !connecting; },
+    get head() { return lastHead; },
+    get url() { return redactUrl(currentUrl()); }
+  };
+}
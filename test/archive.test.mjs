@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createArchive, toCsv } from '../lib/archive.mjs';
+
+const TX = (n) => '0x' + String(n).padStart(64, '0');
+const CA = (n) => '0x' + String(n).padStart(40, 'a');
+
+const launch = (n, fields = {}) => ({
+  kind: 'launch', at: 1_700_000_000 + n * 60, target: 'mainnet', label: null, chainId: 1, block: 100 + n, txHash: TX(n),
+  token: CA(n), name: `Fixture ${n}`, symbol: `FIX${n}`, deployer: CA(90), pair: CA(91),
+  lpEth: 1.5, fdvEth: 30, fdvUsd: 90000, devPct: 2, reflectPct: null, mechanisms: null, socials: {}, source: 'live', ...fields
+});
+
+const tempFile = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ethos-archive-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'data', 'archive.jsonl');
+};
+
+test('records are appended once and read back on restart', (t) => {
+  const file = tempFile(t);
+  const archive = createArchive({ file });
+  assert.equal(archive.add(launch(1, { totalSupply: 10n ** 27n })), true);
+  assert.equal(archive.add(launch(1)), false);
+  assert.equal(archive.add({ kind: 'lock', at: 1_700_000_100, chainId: 1, block: 102, txHash: TX(1), token: CA(1), event: 'SettingsLocked' }), true);
+  assert.equal(archive.has('launch', 1, TX(1).toUpperCase().replace('0X', '0x')), true);
+  assert.equal(archive.has('launch', 8453, TX(1)), false);
+
+  fs.appendFileSync(file, 'not json\n');
+  const warn = t.mock.method(console, 'warn', () => {});
+  const reloaded = createArchive({ file });
+  assert.equal(warn.mock.callCount(), 1);
+  assert.equal(reloaded.size, 2);
+  assert.equal(reloaded.count('launch'), 1);
+  assert.equal(reloaded.recent(1, { kind: 'launch' })[0].totalSupply, '1000000000000000000000000000');
+  assert.equal(reloaded.add(launch(1)), false);
+  assert.equal(fs.readFileSync(file, 'utf8').trim().split('\n').length, 3);
+});
+
+test('recent is newest first; since is oldest first from a time on', (t) => {
+  const archive = createArchive({ file: tempFile(t) });
+  for (const n of [2, 1, 3]) archive.add(launch(n));
+  assert.deepEqual(archive.recent(2).map(r => r.symbol), ['FIX3', 'FIX2']);
+  assert.deepEqual(archive.since(1_700_000_120).map(r => r.symbol), ['FIX2', 'FIX3']);
+  assert.equal(archive.oldest(), 1_700_000_060);
+});
+
+test('search: exact ticker first, then partial name / ticker; a CA brings its locks', (t) => {
+  const archive = createArchive({ file: tempFile(t) });
+  archive.add(launch(1, { symbol: 'PEPE', name: 'Pepe' }));
+  archive.add(launch(2, { symbol: 'PEPE2', name: 'Second Pepe' }));
+  archive.add(launch(3, { symbol: 'DOG', name: 'Dog' }));
+  archive.add({ kind: 'lock', at: 1_700_000_500, chainId: 1, block: 200, txHash: TX(9), token: CA(3), event: 'LiquidityLocked' });
+  assert.deepEqual(archive.search('$pepe').map(r => r.symbol), ['PEPE', 'PEPE2']);
+  assert.deepEqual(archive.search('second').map(r => r.symbol), ['PEPE2']);
+  assert.deepEqual(archive.search(CA(3).toUpperCase().replace('0X', '0x')).map(r => r.kind), ['lock', 'launch']);
+  assert.deepEqual(archive.search('  '), []);
+});
+
+test('CSV quotes text and defuses spreadsheet formulas', () => {
+  const csv = toCsv([launch(1, { name: '=HYPERLINK("x"), "a"', symbol: '-1', devPct: -0.5, socials: { twitter: 'https://x.com/a' } })]);
+  const [header, row] = csv.trim().split('\n');
+  assert.ok(header.startsWith('kind,time_utc,chain_id,label,token,name,symbol,'));
+  assert.ok(row.startsWith(`launch,2023-11-14T22:14:20.000Z,1,,${CA(1)},"'=HYPERLINK(""x""), ""a""",'-1,`));
+  assert.ok(row.includes(',-0.5,,,,twitter=https://x.com/a,,101,'));
+});
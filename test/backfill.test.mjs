@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { backfillLogs, isRangeError } from '../lib/backfill.mjs';
+
+const quiet = (t) => { t.mock.method(console, 'log', () => {}); t.mock.method(console, 'warn', () => {}); };
+
+// getLogs that rejects ranges wider than `maxRange`, fails the calls listed in `failures` (by call number), logs every call.
+function fakeProvider({ maxRange = Infinity, failures = {} } = {}) {
+  const calls = [];
+  return {
+    calls,
+    async getLogs({ fromBlock, toBlock }) {
+      calls.push([fromBlock, toBlock]);
+      if (failures[calls.length]) throw failures[calls.length];
+      if (toBlock - fromBlock + 1 > maxRange) throw Object.assign(new Error('query returned more than 10000 results'), { code: -32005 });
+      return [{ blockNumber: toBlock, index: 1 }, { blockNumber: fromBlock, index: 0 }];
+    }
+  };
+}
+
+test('range errors vs the rest', () => {
+  assert.equal(isRangeError(new Error('block range is too wide')), true);
+  assert.equal(isRangeError({ error: { code: -32602, message: 'invalid params' } }), true);
+  assert.equal(isRangeError(new Error('Log response size exceeded')), true);
+  assert.equal(isRangeError(new Error('request timeout')), false);
+  assert.equal(isRangeError(Object.assign(new Error('timed out'), { code: 'TIMEOUT' })), false);
+  assert.equal(isRangeError(new Error('socket hang up')), false);
+});
+
+test('a rejected range halves the chunk; it grows back after three successes, never to a rejected size', async (t) => {
+  quiet(t);
+  const provider = fakeProvider({ maxRange: 300 });
+  const chunks = [];
+  await backfillLogs(provider, {
+    fromBlock: 1, toBlock: 1400, chunkSize: 400, maxChunk: 1000,
+    onChunk: async (logs, from, to) => { chunks.push([from, to, logs.map(l => l.blockNumber)]); }
+  });
+  assert.deepEqual(provider.calls, [
+    [1, 400],                                 // rejected → 200, and never 400 again
+    [1, 200], [201, 400], [401, 600],         // three successes → 399
+    [601, 999],                               // rejected → 199
+    [601, 799], [800, 998], [999, 1197],      // → 398
+    [1198, 1400]
+  ]);
+  assert.deepEqual(chunks.map(([from, to]) => [from, to]), provider.calls.filter((_, i) => i !== 0 && i !== 4)); // the rejected ones never reach onChunk
+  assert.deepEqual(chunks[0][2], [1, 200]); // sorted by block
+});
+
+test('a timeout retries the same range instead of shrinking it', async (t) => {
+  quiet(t);
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const provider = fakeProvider({ failures: { 1: new Error('request timeout'), 2: Object.assign(new Error('timed out'), { code: 'TIMEOUT' }) } });
+  const done = backfillLogs(provider, { fromBlock: 1, toBlock: 1000, chunkSize: 1000, onChunk: async () => {} });
+  for (let i = 0; i < 5; i++) { await new Promise(r => setImmediate(r)); t.mock.timers.tick(2000); }
+  await done;
+  assert.deepEqual(provider.calls, [[1, 1000], [1, 1000], [1, 1000]]);
+});
+
+test('more failures than maxRetries give up with the last error', async (t) => {
+  quiet(t);
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const boom = new Error('socket hang up');
+  const provider = fakeProvider({ failures: { 1: boom, 2: boom, 3: boom } });
+  const done = backfillLogs(provider, { fromBlock: 1, toBlock: 10, maxRetries: 2, onChunk: async () => {} });
+  const settled = assert.rejects(done, /socket hang up/);
+  for (let i = 0; i < 5; i++) { await new Promise(r => setImmediate(r)); t.mock.timers.tick(2000); }
+  await settled;
+  assert.equal(provider.calls.length, 3);
+});
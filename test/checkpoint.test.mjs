@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SEEN_TX_LIMIT, markSeen, markFailed, advanceCheckpoint, saveCheckpoint, saveCheckpointLater, handleLogs } from '../lib/checkpoint.mjs';
+
+const target = (data = {}) => {
+  const t = { name: 'test', seenTx: new Set(), stuckAt: null, saveTimer: null, saves: 0 };
+  t.state = { data: { lastBlock: null, seenTx: [], ...data }, save: () => { t.saves++; } };
+  return t;
+};
+const log = (block, tx) => ({ blockNumber: block, transactionHash: tx });
+
+test('the checkpoint only moves up, and never past a failed block', () => {
+  const t = target();
+  assert.equal(advanceCheckpoint(t, 10), true);
+  assert.equal(advanceCheckpoint(t, 10), false);
+  assert.equal(advanceCheckpoint(t, 8), false);
+  assert.equal(t.state.data.lastBlock, 10);
+
+  markFailed(t, 15);
+  markFailed(t, 18);
+  assert.equal(t.stuckAt, 15);
+  assert.equal(advanceCheckpoint(t, 20), true);
+  assert.equal(t.state.data.lastBlock, 14);
+  assert.equal(advanceCheckpoint(t, 30), false);
+  markFailed(t, 12);
+  assert.equal(t.stuckAt, 12);
+  assert.equal(t.saves, 0);
+});
+
+test('seen tx hashes are capped at SEEN_TX_LIMIT, oldest out first', () => {
+  const t = target();
+  for (let i = 0; i < SEEN_TX_LIMIT + 2; i++) markSeen(t, `0x${i}`);
+  assert.equal(t.state.data.seenTx.length, SEEN_TX_LIMIT);
+  assert.equal(t.seenTx.size, SEEN_TX_LIMIT);
+  assert.equal(t.seenTx.has('0x1'), false);
+  assert.equal(t.seenTx.has(`0x${SEEN_TX_LIMIT + 1}`), true);
+});
+
+test('handleLogs keeps going past a failing tx, holds the checkpoint before it and saves once', async (t) => {
+  const err = t.mock.method(console, 'error', () => {});
+  const tt = target({ lastBlock: 99 });
+  tt.seenTx.add('0xseen');
+  const calls = [];
+  const handleTx = async (hash) => {
+    calls.push(hash);
+    if (hash === '0xbad') throw new Error('boom');
+    return hash !== '0xnoreceipt';
+  };
+  const logs = [log(100, '0xa'), log(100, '0xseen'), log(101, '0xbad'), log(101, '0xbad'), log(102, '0xnoreceipt'), log(103, '0xc')];
+  assert.equal(await handleLogs(tt, logs, { handleTx }), 2);
+  assert.deepEqual(calls, ['0xa', '0xbad', '0xnoreceipt', '0xc']);
+  assert.deepEqual(tt.state.data.seenTx, ['0xa', '0xnoreceipt', '0xc']);
+  assert.equal(tt.stuckAt, 101);
+  assert.equal(tt.state.data.lastBlock, 100);
+  assert.equal(tt.saves, 1);
+  assert.equal(err.mock.callCount(), 1);
+
+  const again = target({ lastBlock: 99 });
+  await handleLogs(again, [log(100, '0xa'), log(105, '0xb')], { handleTx: async () => true, advance: false });
+  assert.equal(again.state.data.lastBlock, 99);
+  assert.equal(again.saves, 1);
+});
+
+test('quiet-block saves are throttled; saveCheckpoint flushes a pending one', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const tt = target();
+  saveCheckpointLater(tt, 30_000);
+  saveCheckpointLater(tt, 30_000);
+  t.mock.timers.tick(30_000);
+  assert.equal(tt.saves, 1);
+  saveCheckpointLater(tt, 30_000);
+  saveCheckpoint(tt);
+  t.mock.timers.tick(30_000);
+  assert.equal(tt.saves, 2);
+});
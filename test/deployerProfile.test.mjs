@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { createDeployerProfiles } from '../lib/deployerProfile.mjs';
+
+const LAUNCHPAD = '0x' + '1'.repeat(40), DEPLOYER = '0x' + '2'.repeat(40), PAIR = '0x' + '3'.repeat(40);
+const TOKEN = (n) => '0x' + String(n).padStart(40, 'e');
+const fi = new ethers.Interface([
+  'function userLaunchedTokensCount(address) view returns (uint256)',
+  'function userLaunchedTokens(address, uint256) view returns (address)',
+  'function hasWithdrawLiquidity(address) view returns (bool)',
+  'function isAlive(address _token, address _user) view returns (bool)',
+  'function getTimeLeft(address) view returns (uint256)',
+  'function symbol() view returns (string)',
+  'function token0() view returns (address)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)'
+]);
+
+// A fake launchpad / token / pair set: `count` launches by DEPLOYER, TOKEN(1)… in order; every read is logged.
+function fakeCaller(state) {
+  const reads = [];
+  const call = async ({ data, blockTag }) => {
+    const fn = fi.parseTransaction({ data });
+    reads.push({ name: fn.name, args: [...fn.args].map(String), blockTag });
+    const out = {
+      userLaunchedTokensCount: () => [state.count],
+      userLaunchedTokens: () => [TOKEN(Number(fn.args[1]) + 1)],
+      hasWithdrawLiquidity: () => [false], isAlive: () => [true], getTimeLeft: () => [0], symbol: () => ['OLD'], token0: () => [TOKEN(1)],
+      getReserves: () => [10n ** 24n, ethers.parseEther('3'), 0]
+    }[fn.name]();
+    return fi.encodeFunctionResult(fn.name, out);
+  };
+  return { call, reads };
+}
+
+test('profile: earlier launches only; a second launch reads just the count and the new token', async () => {
+  const state = { count: 3 };
+  const caller = fakeCaller(state);
+  const profiles = createDeployerProfiles({ caller, launchpad: LAUNCHPAD, getLaunch: () => ({ pairAddr: PAIR }) });
+
+  const first = await profiles.profile(DEPLOYER, { exclude: TOKEN(2), before: true });
+  assert.equal(first.count, 1);
+  assert.deepEqual(first.tokens.map(x => [x.tokenCA.toLowerCase(), x.outcome]), [[TOKEN(1), 'alive']]);
+  const current = await profiles.profile(DEPLOYER, { exclude: TOKEN(2) }); // /token: later launches too
+  assert.deepEqual([current.count, current.tokens.map(x => x.tokenCA.toLowerCase())], [2, [TOKEN(3), TOKEN(1)]]);
+  const third = await profiles.profile(DEPLOYER, { exclude: TOKEN(3), before: true });
+  assert.deepEqual(third.tokens.map(x => x.tokenCA.toLowerCase()), [TOKEN(2), TOKEN(1)]);
+  assert.ok(caller.reads.every(r => r.blockTag === 'latest'));
+
+  state.count = 4;
+  caller.reads.length = 0;
+  const next = await profiles.profile(DEPLOYER, { exclude: TOKEN(4), before: true });
+  assert.deepEqual(next.tokens.map(x => x.tokenCA.toLowerCase()), [TOKEN(3), TOKEN(2), TOKEN(1)]);
+  assert.deepEqual(caller.reads.map(r => `${r.name}(${r.args.slice(1).join()})`), ['userLaunchedTokensCount()', 'userLaunchedTokens(3)']);
+});
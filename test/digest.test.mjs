@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSchedule, slotBefore, slotAfter, digestWindow, fmtZoned, median, summarize, createDigestScheduler } from '../lib/digest.mjs';
+
+const CA = (n) => '0x' + String(n).padStart(40, 'b');
+const launch = (n, fields = {}) => ({
+  kind: 'launch', at: 1000 + n, chainId: 1, txHash: `0x${n}`, token: CA(n), symbol: `FIX${n}`, name: `Fixture ${n}`,
+  deployer: CA(90), lpEth: n, devPct: n, reflectPct: null, ...fields
+});
+
+test('schedules: "HH:MM" daily, "<weekday> HH:MM" weekly, anything else refused', () => {
+  assert.deepEqual(parseSchedule('9:30', 'daily'), { period: 'daily', weekday: null, hour: 9, minute: 30 });
+  assert.deepEqual(parseSchedule('Monday 18:00', 'weekly'), { period: 'weekly', weekday: 1, hour: 18, minute: 0 });
+  assert.equal(parseSchedule('', 'daily'), null);
+  assert.equal(parseSchedule('off', 'weekly'), null);
+  for (const [spec, period] of [['24:00', 'daily'], ['mon 09:00', 'daily'], ['09:00', 'weekly'], ['xyz 09:00', 'weekly'], ['9am', 'daily']]) {
+    assert.throws(() => parseSchedule(spec, period), /digest time/, spec);
+  }
+});
+
+test('slots are wall-clock times in the time zone, DST included', () => {
+  const daily = parseSchedule('09:00', 'daily');
+  const now = Date.parse('2026-10-19T05:00:00Z'); // 12:00 in Jakarta (UTC+7)
+  assert.equal(new Date(slotBefore(daily, now, 'Asia/Jakarta')).toISOString(), '2026-10-19T02:00:00.000Z');
+  assert.equal(new Date(slotAfter(daily, now, 'Asia/Jakarta')).toISOString(), '2026-10-20T02:00:00.000Z');
+  assert.equal(fmtZoned(slotAfter(daily, now, 'Asia/Jakarta'), 'Asia/Jakarta'), '2026-10-20 09:00');
+
+  // Berlin leaves summer time on 2026-10-25: the day before 09:00 is 07:00 UTC, the day after 08:00 UTC.
+  const sunday = Date.parse('2026-10-25T12:00:00Z');
+  assert.deepEqual(digestWindow(daily, slotBefore(daily, sunday, 'Europe/Berlin'), 'Europe/Berlin'), {
+    from: Date.parse('2026-10-24T07:00:00Z'), to: Date.parse('2026-10-25T08:00:00Z')
+  });
+
+  const weekly = parseSchedule('mon 09:00', 'weekly');
+  assert.equal(new Date(slotBefore(weekly, now, 'UTC')).toISOString(), '2026-10-12T09:00:00.000Z');
+  assert.equal(new Date(slotAfter(weekly, now, 'UTC')).toISOString(), '2026-10-19T09:00:00.000Z'); // a Monday
+});
+
+test('median ignores unknown values', () => {
+  assert.equal(median([3, 1, 2]), 2);
+  assert.equal(median([4, null, 1, 3, 2]), 2.5);
+  assert.equal(median([null, undefined]), null);
+});
+
+test('summary: counts, outcomes, medians and the top lists of the window', () => {
+  const records = [
+    launch(1, { reflectPct: 2 }), launch(2), launch(3, { deployer: CA(91), reflectPct: 4 }), launch(4, { at: 5000 }),
+    { kind: 'lock', at: 1002, token: CA(1), event: 'SettingsLocked' }
+  ];
+  const current = new Map([
+    [CA(1), { outcome: 'withdrawn', fdvEth: 0, fdvUsd: 0 }],
+    [CA(2), { outcome: 'alive', fdvEth: 50, fdvUsd: 150000 }],
+    [CA(3), { outcome: 'dead', fdvEth: 10, fdvUsd: 0 }]
+  ]);
+  const launchCounts = new Map([[CA(90), 2], [CA(91), 7]]);
+  const s = summarize(records, { from: 1000, to: 2000, current, launchCounts, top: 2 });
+  assert.deepEqual(
+    { launches: s.launches, locks: s.locks, checked: s.checked, withdrawn: s.withdrawn, dead: s.dead, dev: s.medianDevPct, reflect: s.medianReflectPct },
+    { launches: 3, locks: 1, checked: 3, withdrawn: 1, dead: 1, dev: 2, reflect: 3 }
+  );
+  assert.deepEqual(s.topLp.map(r => r.symbol), ['FIX3', 'FIX2']);
+  assert.deepEqual(s.topFdv.map(r => [r.symbol, r.fdvEth, r.fdvUsd]), [['FIX2', 50, 150000], ['FIX3', 10, 0]]);
+  assert.deepEqual(s.deployers, [{ deployer: CA(91), launched: 1, total: 7 }, { deployer: CA(90), launched: 2, total: 2 }]);
+
+  const empty = summarize([], { from: 0, to: 1 });
+  assert.equal(empty.medianDevPct, null);
+  assert.deepEqual(empty.topLp, []);
+});
+
+test('scheduler: records the current slot on first start, catches up a missed one, then fires on time', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.parse('2026-10-19T10:00:00Z') });
+  const schedules = [parseSchedule('09:00', 'daily')];
+  const state = { data: {}, save() {} };
+  const runs = [];
+  const run = async (period, w) => { runs.push([period, new Date(w.from).toISOString(), new Date(w.to).toISOString()]); };
+
+  const first = createDigestScheduler({ schedules, timeZone: 'UTC', state, run });
+  first.start();
+  assert.equal(state.data.daily, Date.parse('2026-10-19T09:00:00Z'));
+  assert.equal(first.next().daily, Date.parse('2026-10-20T09:00:00Z'));
+  first.stop();
+
+  state.data.daily = Date.parse('2026-10-18T09:00:00Z'); // down over this morning's slot
+  const again = createDigestScheduler({ schedules, timeZone: 'UTC', state, run, catchUpDelayMs: 1000 });
+  again.start();
+  t.mock.timers.tick(1000);
+  await new Promise(r => setImmediate(r));
+  assert.deepEqual(runs, [['daily', '2026-10-18T09:00:00.000Z', '2026-10-19T09:00:00.000Z']]);
+  assert.equal(again.next().daily, Date.parse('2026-10-20T09:00:00Z'));
+
+  t.mock.timers.tick(23 * 3_600_000 - 1000);
+  await new Promise(r => setImmediate(r));
+  assert.equal(runs.length, 2);
+  assert.equal(state.data.daily, Date.parse('2026-10-20T09:00:00Z'));
+  again.stop();
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { createGovernanceWatch, REPORTED_TX_LIMIT } from '../lib/governance.mjs';
+
+const LAUNCHPAD = '0x' + '1'.repeat(40);
+const OLD = '0x' + 'a'.repeat(40), NEW = '0x' + 'b'.repeat(40);
+const iface = new ethers.Interface([
+  'function owner() view returns (address)',
+  'function transferOwnership(address newOwner)',
+  'event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)'
+]);
+
+test('a tx seen by both hooks is one report with the call and the event', async () => {
+  let owner = OLD, snapshot = null;
+  const reports = [];
+  const watch = createGovernanceWatch({
+    getProvider: () => ({ getBlockNumber: async () => 10 }),
+    caller: { call: async () => iface.encodeFunctionResult('owner', [owner]) },
+    launchpad: LAUNCHPAD,
+    getIface: () => iface,
+    parseTx: (tx) => iface.parseTransaction({ data: tx.data }),
+    getSnapshot: () => snapshot,
+    setSnapshot: (s) => { snapshot = s; },
+    onChange: async (r) => { reports.push(r); }
+  });
+  await watch.sync();
+
+  owner = NEW;
+  const { data, topics } = iface.encodeEventLog('OwnershipTransferred', [OLD, NEW]);
+  const receipt = { hash: '0xabc', blockNumber: 12, logs: [{ address: LAUNCHPAD, topics, data }] };
+  const tx = { data: iface.encodeFunctionData('transferOwnership', [NEW]) };
+  await Promise.all([watch.onReceipt(receipt), watch.onTx(tx, receipt)]);
+  await watch.onReceipt(receipt);
+
+  assert.equal(reports.length, 1);
+  assert.deepEqual(reports[0].actions.map(a => `${a.kind} ${a.name}`), ['call transferOwnership', 'event OwnershipTransferred']);
+  assert.deepEqual(reports[0].changes, [{ key: 'owner', before: ethers.getAddress(OLD), after: ethers.getAddress(NEW) }]);
+
+  // A hook that only catches up after the report went out still gets its own action through.
+  const late = { ...receipt, hash: '0xdef', logs: [] };
+  await watch.onReceipt({ ...late, logs: receipt.logs });
+  await watch.onTx(tx, late);
+  assert.deepEqual(reports.slice(1).map(r => r.actions.map(a => a.kind)), [['event'], ['call']]);
+});
+
+test('reported txs are remembered up to REPORTED_TX_LIMIT, oldest forgotten first', async () => {
+  let snapshot = { block: 1, params: { owner: ethers.getAddress(OLD) } };
+  const reports = [];
+  const watch = createGovernanceWatch({
+    getProvider: () => ({ getBlockNumber: async () => 10 }),
+    caller: { call: async () => iface.encodeFunctionResult('owner', [OLD]) },
+    launchpad: LAUNCHPAD,
+    getIface: () => iface,
+    parseTx: (tx) => iface.parseTransaction({ data: tx.data }),
+    getSnapshot: () => snapshot,
+    setSnapshot: (s) => { snapshot = s; },
+    onChange: async (r) => { reports.push(r.txHash); }
+  });
+  const { data, topics } = iface.encodeEventLog('OwnershipTransferred', [OLD, OLD]);
+  const receipt = (n) => ({ hash: `0x${n}`, blockNumber: 12, logs: [{ address: LAUNCHPAD, topics, data }] });
+  for (let n = 0; n <= REPORTED_TX_LIMIT; n++) await watch.onReceipt(receipt(n));
+  await watch.onReceipt(receipt(REPORTED_TX_LIMIT)); // still remembered
+  await watch.onReceipt(receipt(0));                  // forgotten
+  assert.equal(reports.length, REPORTED_TX_LIMIT + 2);
+  assert.equal(reports.at(-1), '0x0');
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkLink, checkSocials, lookalikeOf } from '../lib/linkSafety.mjs';
+
+const reasons = (url, kind) => checkLink(url, kind).reasons;
+
+test('plain http(s) links pass and come back normalized', () => {
+  assert.deepEqual(checkLink('  https://Fixture.Example/  '), { url: 'https://fixture.example', host: 'fixture.example', ok: true, reasons: [], imitates: null });
+  assert.equal(checkLink('https://x.com/foo?a=1', 'twitter').url, 'https://x.com/foo?a=1');
+  assert.ok(checkLink('https://mobile.twitter.com/foo', 'twitter').ok);
+  assert.ok(checkLink('https://discord.gg/abc', 'discord').ok);
+  assert.ok(checkLink('https://ethos.vision/?t=0x1').ok);
+});
+
+test('other schemes, markup and control characters are refused outright', () => {
+  for (const bad of ['javascript:alert(1)', 'data:text/html,<b>x</b>', 'ftp://a.example', 'https://a.example/"><b>x', 'https://a.exa\tmple', '']) {
+    assert.deepEqual(checkLink(bad), { url: null, host: null, ok: false, reasons: ['invalid'], imitates: null }, bad);
+  }
+});
+
+test('credentials, off-service social links, IP hosts and shorteners are flagged', () => {
+  const creds = checkLink('https://x.com@evil.example/', 'twitter');
+  assert.deepEqual(creds.reasons, ['credentials', 'offsite']);
+  assert.equal(creds.url, 'https://evil.example');
+  assert.deepEqual(reasons('https://evil.example/?https://x.com/', 'twitter'), ['offsite']);
+  assert.deepEqual(reasons('http://2130706433/'), ['ip']);
+  assert.deepEqual(reasons('https://[::1]:8080/'), ['ip']);
+  assert.deepEqual(reasons('https://bit.ly/abc'), ['shortener']);
+});
+
+test('homographs and lookalikes of known domains', () => {
+  const cyrillic = checkLink('https://dіscord.com/invite', 'discord'); // Cyrillic і
+  assert.deepEqual(cyrillic.reasons, ['lookalike', 'offsite', 'punycode']);
+  assert.equal(cyrillic.host, 'xn--dscord-pvf.com');
+  assert.equal(cyrillic.imitates, 'discord.com');
+  assert.equal(lookalikeOf('dlscord.com'), 'discord.com');
+  assert.equal(lookalikeOf('x.corn'), 'x.com');
+  assert.equal(lookalikeOf('t.rne'), 't.me');
+  assert.equal(lookalikeOf('x.com.evil.example'), 'x.com');
+  assert.equal(lookalikeOf('discord-nitro.gift'), 'discord.gg');
+  assert.equal(lookalikeOf('ethos-vision.app'), 'ethos.vision');
+  assert.equal(lookalikeOf('twiter.com'), 'twitter.com');
+  assert.deepEqual(reasons('https://münchen.de'), ['punycode']);
+  for (const fine of ['ethos.vision', 'cdn.discordapp.com', 'ethosdog.com', 'dogwifhat.com', 'fixture.example']) assert.equal(lookalikeOf(fine), null, fine);
+});
+
+test('checkSocials splits what can be posted from what is withheld', () => {
+  const { safe, flagged } = checkSocials({ website: 'https://dlscord.com/x', twitter: 'https://x.com/ok', telegram: '' });
+  assert.deepEqual(safe, { twitter: 'https://x.com/ok' });
+  assert.deepEqual(flagged, { website: { url: 'https://dlscord.com/x', host: 'dlscord.com', reason: 'lookalike', reasons: ['lookalike'], imitates: 'discord.com' } });
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { createCallBatcher, MULTICALL3_ADDRESS } from '../lib/multicall.mjs';
+
+const MULTICALL3 = new ethers.Interface([
+  'function tryAggregate(bool requireSuccess, (address target, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+]);
+const A = '0x' + 'a'.repeat(40), B = '0x' + 'b'.repeat(40);
+const word = (n) => ethers.toBeHex(n, 32);
+
+// `answers`: target → (data → returnData, or throw for a revert). Multicall3 is "deployed" when `multicall` is set.
+function fakeProvider({ multicall = true, aggregateFails = false, answers = {} } = {}) {
+  const calls = [];
+  const answer = (to, data) => {
+    const out = answers[to.toLowerCase()]?.(data);
+    if (out == null) throw new Error('execution reverted');
+    return out;
+  };
+  return {
+    calls,
+    getCode: async (address) => (multicall && address === MULTICALL3_ADDRESS ? '0x6080' : '0x'),
+    async call({ to, data, blockTag }) {
+      calls.push({ to, blockTag, aggregate: to === MULTICALL3_ADDRESS });
+      if (to !== MULTICALL3_ADDRESS) return answer(to, data);
+      if (aggregateFails) throw new Error('out of gas');
+      const [, inner] = MULTICALL3.decodeFunctionData('tryAggregate', data);
+      const results = inner.map(([target, callData]) => {
+        try { return [true, answer(target, callData)]; } catch { return [false, '0x']; }
+      });
+      return MULTICALL3.encodeFunctionResult('tryAggregate', [results]);
+    }
+  };
+}
+
+const answers = { [A]: () => word(1), [B]: (data) => (data === '0x02' ? word(2) : null) };
+
+test('calls in one tick go out as one tryAggregate per blockTag; a failed call rejects alone', async () => {
+  const provider = fakeProvider({ answers });
+  const batcher = createCallBatcher({ getProvider: () => provider });
+  const results = await Promise.allSettled([
+    batcher.call({ to: A, data: '0x01' }),
+    batcher.call({ to: B, data: '0x02' }),
+    batcher.call({ to: B, data: '0x03' }),
+    batcher.call({ to: A, data: '0x01', blockTag: 100 })
+  ]);
+  assert.deepEqual(results.map(r => r.status === 'fulfilled' ? r.value : r.reason.message), [word(1), word(2), `call to ${B} failed`, word(1)]);
+  assert.deepEqual(provider.calls, [{ to: MULTICALL3_ADDRESS, blockTag: 'latest', aggregate: true }, { to: MULTICALL3_ADDRESS, blockTag: 100, aggregate: true }]);
+});
+
+test('without Multicall3, or when the aggregate call fails, each call goes out alone at its blockTag', async () => {
+  for (const opts of [{ multicall: false }, { aggregateFails: true }]) {
+    const provider = fakeProvider({ ...opts, answers });
+    const batcher = createCallBatcher({ getProvider: () => provider });
+    const [a, b, c] = await Promise.allSettled([
+      batcher.call({ to: A, data: '0x01', blockTag: 100 }),
+      batcher.call({ to: B, data: '0x02', blockTag: 100 }),
+      batcher.call({ to: B, data: '0x03', blockTag: 100 })
+    ]);
+    assert.deepEqual([a.value, b.value, c.status], [word(1), word(2), 'rejected'], JSON.stringify(opts));
+    const single = provider.calls.filter(x => !x.aggregate);
+    assert.equal(single.length, 3);
+    assert.ok(single.every(x => x.blockTag === 100));
+  }
+});
+
+test('the individual calls use the fallback provider when there is one; no provider → every call rejects', async () => {
+  const main = fakeProvider({ multicall: false, answers });
+  const http = fakeProvider({ answers });
+  const batcher = createCallBatcher({ getProvider: () => main, getFallbackProvider: () => http });
+  assert.equal(await batcher.call({ to: A, data: '0x01' }), word(1));
+  assert.deepEqual([main.calls.length, http.calls.length], [0, 1]);
+
+  const none = createCallBatcher({ getProvider: () => null });
+  await assert.rejects(none.call({ to: A, data: '0x01' }), /failed/);
+});
+
+test('big queues are split into maxBatch-sized aggregates', async () => {
+  const provider = fakeProvider({ answers });
+  const batcher = createCallBatcher({ getProvider: () => provider, maxBatch: 2 });
+  await Promise.all(Array.from({ length: 5 }, () => batcher.call({ to: A, data: '0x01' })));
+  assert.equal(provider.calls.length, 3);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createOutbox, telegramRetryIn } from '../lib/outbox.mjs';
+
+const apiError = (error_code, parameters) => Object.assign(new Error(`Telegram ${error_code}`), { response: { error_code, parameters }, description: `error ${error_code}` });
+const flush = async () => { for (let i = 0; i < 5; i++) await new Promise(r => setImmediate(r)); };
+
+const tempFile = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ethos-outbox-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'outbox.json');
+};
+
+// deliver() answers each attempt with the next scripted outcome (an error is thrown), then succeeds.
+function fakeSender(script = {}) {
+  const attempts = [];
+  const deliver = async (job) => {
+    attempts.push([job.text, Date.now()]);
+    const next = script[job.text]?.shift();
+    if (next) throw next;
+    return { message_id: attempts.length };
+  };
+  return { attempts, deliver };
+}
+
+test('retry delays: 429 waits retry_after, 5xx / network errors back off, other API errors are final', () => {
+  assert.equal(telegramRetryIn(apiError(429, { retry_after: 7 })), 7000);
+  assert.equal(telegramRetryIn(apiError(502), 3), 8000);
+  assert.equal(telegramRetryIn(new Error('socket hang up'), 20), 300_000);
+  assert.equal(telegramRetryIn(apiError(403)), null);
+});
+
+test('a 429 pauses the chat for retry_after, a 5xx backs off, and the chat keeps its order', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  t.mock.method(console, 'warn', () => {});
+  const { attempts, deliver } = fakeSender({ a: [apiError(429, { retry_after: 3 }), apiError(502)] });
+  const sent = [];
+  const outbox = createOutbox({ file: tempFile(t), deliver, onSent: (job, m) => { sent.push([job.text, m.message_id]); } });
+  outbox.enqueue({ chatId: 1, text: 'a' });
+  outbox.enqueue({ chatId: 1, text: 'b' });
+  outbox.enqueue({ chatId: 2, text: 'c' });
+  await flush();
+  assert.deepEqual(sent, [['c', 2]]);
+
+  t.mock.timers.tick(2999); await flush();
+  assert.equal(attempts.filter(([x]) => x === 'a').length, 1);
+  t.mock.timers.tick(1); await flush();   // 429 over → 502
+  t.mock.timers.tick(1000); await flush(); // first backoff (the 429 did not count as an attempt)
+  assert.deepEqual(attempts.filter(([x]) => x !== 'c'), [['a', 0], ['a', 3000], ['a', 4000], ['b', 4000]]);
+  assert.deepEqual(sent.map(([x]) => x), ['c', 'a', 'b']);
+  assert.equal(outbox.pending, 0);
+  outbox.stop();
+});
+
+test('a permanent error or too many failures moves the job to the dead letters; it can be queued again', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+  const { deliver } = fakeSender({ kicked: [apiError(403)], flaky: [apiError(500), apiError(500), apiError(500)] });
+  const dead = [];
+  const outbox = createOutbox({ file: tempFile(t), deliver, maxAttempts: 3, onDead: (job, e) => { dead.push([job.text, job.attempts, e.response.error_code]); } });
+  outbox.enqueue({ chatId: 1, text: 'kicked' });
+  outbox.enqueue({ chatId: 2, text: 'flaky' });
+  await flush();
+  t.mock.timers.tick(1000); await flush();
+  t.mock.timers.tick(2000); await flush();
+  assert.deepEqual(dead, [['kicked', 1, 403], ['flaky', 3, 500]]);
+  assert.deepEqual(outbox.dead.map(j => [j.text, j.error]), [['kicked', 'error 403'], ['flaky', 'error 500']]);
+  assert.equal(outbox.pending, 0);
+
+  // /resend queues the message again
+  const sent = [];
+  const again = createOutbox({ file: tempFile(t), deliver, onSent: (job) => { sent.push(job.text); } });
+  again.enqueue({ chatId: 2, text: 'flaky' });
+  await flush();
+  assert.deepEqual(sent, ['flaky']);
+  outbox.stop(); again.stop();
+});
+
+test('pending jobs survive a restart and go out on start()', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  t.mock.method(console, 'warn', () => {});
+  const file = tempFile(t);
+  const down = createOutbox({ file, deliver: async () => { throw new Error('ETIMEDOUT'); } });
+  down.enqueue({ chatId: 1, text: 'a' });
+  down.enqueue({ chatId: 1, text: 'b' });
+  await flush();
+  down.stop();
+
+  const { attempts, deliver } = fakeSender();
+  const up = createOutbox({ file, deliver });
+  assert.equal(up.pending, 2);
+  up.start();
+  await flush();
+  t.mock.timers.tick(1000); await flush(); // 'a' still waits out the backoff it was given
+  assert.deepEqual(attempts.map(([x]) => x), ['a', 'b']);
+  assert.equal(up.pending, 0);
+  assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).pending.length, 0);
+  up.stop();
+});
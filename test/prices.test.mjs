@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { createPriceService, tokenPriceFromReserves } from '../lib/prices.mjs';
+
+const FEED = '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419';
+const PAIR = '0xB4e16d0168e52d35CaCD2c6185b44281Ec28C9Dc';
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const IFACE = new ethers.Interface([
+  'function decimals() view returns (uint8)',
+  'function latestRoundData() view returns (uint80, int256, uint256, uint256, uint80)',
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function getReserves() view returns (uint112, uint112, uint32)'
+]);
+
+// eth_call answers by "<to>.<function>"; a missing one reverts.
+function fakeCaller(answers) {
+  return {
+    async call({ to, data }) {
+      const fn = IFACE.parseTransaction({ data }).name;
+      const out = answers[`${to.toLowerCase()}.${fn}`];
+      if (!out) throw new Error('execution reverted');
+      return IFACE.encodeFunctionResult(fn, out);
+    }
+  };
+}
+
+const down = async () => { throw new Error('ECONNREFUSED'); };
+const now = () => Math.floor(Date.now() / 1000);
+
+test('token price from reserves, in ETH per token', () => {
+  assert.equal(tokenPriceFromReserves({ ethWei: ethers.parseEther('2'), tokenWei: ethers.parseUnits('1000', 9), decimals: 9 }), 0.002);
+  assert.equal(tokenPriceFromReserves({ ethWei: 0n, tokenWei: 5n }), null);
+});
+
+test('HTTP first, cached for the TTL', async () => {
+  let gets = 0;
+  const prices = createPriceService({ httpGet: async () => { gets++; return { data: { ethereum: { usd: 3000 } } }; }, ttlMs: 60_000 });
+  const q = await prices.ethUsd();
+  assert.deepEqual({ usd: q.usd, source: q.source, stale: q.stale }, { usd: 3000, source: 'coingecko', stale: false });
+  await prices.ethUsd();
+  assert.equal(prices.peek().usd, 3000);
+  assert.equal(gets, 1);
+});
+
+test('falls back to Chainlink, then to the Uniswap V2 pair', async () => {
+  const feed = FEED.toLowerCase(), pair = PAIR.toLowerCase();
+  const caller = fakeCaller({
+    [`${feed}.decimals`]: [8],
+    [`${feed}.latestRoundData`]: [1, 250000000000n, now(), now() - 30, 1],
+    [`${pair}.token0`]: [USDC],
+    [`${pair}.token1`]: [WETH],
+    [`${pair}.getReserves`]: [ethers.parseUnits('5000000', 6), ethers.parseEther('2000'), 0],
+    [`${USDC.toLowerCase()}.decimals`]: [6]
+  });
+  const chainlink = await createPriceService({ httpGet: down, ttlMs: 0 }).ethUsd({ caller, feed: FEED, pair: PAIR, weth: WETH });
+  assert.equal(chainlink.source, 'chainlink');
+  assert.equal(chainlink.usd, 2500);
+
+  const uniswap = await createPriceService({ httpGet: down, ttlMs: 0 }).ethUsd({ caller, feed: null, pair: PAIR, weth: WETH });
+  assert.equal(uniswap.source, 'uniswap-v2');
+  assert.equal(uniswap.usd, 2500);
+});
+
+test('a stale aggregator answer loses to a fresh one; a failed round keeps the last quote, marked stale', async (t) => {
+  const feed = FEED.toLowerCase(), pair = PAIR.toLowerCase();
+  const caller = fakeCaller({
+    [`${feed}.decimals`]: [8],
+    [`${feed}.latestRoundData`]: [1, 240000000000n, 0, now() - 7200, 1],
+    [`${pair}.token0`]: [WETH],
+    [`${pair}.token1`]: [USDC],
+    [`${pair}.getReserves`]: [ethers.parseEther('1000'), ethers.parseUnits('2500000', 6), 0],
+    [`${USDC.toLowerCase()}.decimals`]: [6]
+  });
+  const chain = { caller, feed: FEED, pair: PAIR, weth: WETH };
+  assert.equal((await createPriceService({ httpGet: down, ttlMs: 0 }).ethUsd(chain)).source, 'uniswap-v2');
+
+  const warn = t.mock.method(console, 'warn', () => {});
+  const prices = createPriceService({ httpGet: down, ttlMs: 0, staleMs: 60 * 60_000 });
+  const stale = await prices.ethUsd({ caller, feed: FEED });
+  assert.deepEqual({ usd: stale.usd, source: stale.source, stale: stale.stale }, { usd: 2400, source: 'chainlink', stale: true });
+  assert.equal((await prices.ethUsd({})).usd, 2400);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.equal(await createPriceService({ httpGet: down, ttlMs: 0 }).ethUsd({}), null);
+
+  const replay = createPriceService({ httpGet: down, ttlMs: 0, keepLast: false });
+  assert.equal((await replay.ethUsd({ caller, feed: FEED })).usd, 2400);
+  assert.equal(await replay.ethUsd({}), null);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { loadFixture } from '../lib/replay.mjs';
+import {
+  TOKEN_CREATED_TOPIC, SYNC_TOPIC, MINT_TOPIC, decodeTokenCreatedLog, decodeLaunchLogs, inferLpEth
+} from '../lib/receiptDecode.mjs';
+
+const fixture = (name) => loadFixture(new URL(`./fixtures/${name}`, import.meta.url));
+const mintSync = fixture('launch-mint-sync.json');
+const wethDeposit = fixture('launch-weth-deposit.rpc.json');
+const { launchpad, weth } = mintSync.target;
+const TOKEN = '0xD0dDefa7d0931Ce4f6af524686D44246585DB6E3';
+const PAIR = '0xe3CFd5eCF5F34911666fa711Bc3c2d03A5765eda';
+
+test('decodeTokenCreatedLog: token address indexed', () => {
+  const log = mintSync.receipt.logs.find(l => l.topics[0] === TOKEN_CREATED_TOPIC);
+  assert.deepEqual(decodeTokenCreatedLog(log), { tokenAddress: TOKEN, name: 'Fixture Token', symbol: 'FIX' });
+});
+
+test('decodeTokenCreatedLog: token address in the data', () => {
+  const data = ethers.AbiCoder.defaultAbiCoder().encode(['address', 'string', 'string'], [TOKEN.toLowerCase(), 'Other', 'OTH']);
+  assert.deepEqual(decodeTokenCreatedLog({ topics: [TOKEN_CREATED_TOPIC], data }), { tokenAddress: TOKEN, name: 'Other', symbol: 'OTH' });
+});
+
+test('decodeTokenCreatedLog: other events and garbage → null', () => {
+  assert.equal(decodeTokenCreatedLog({ topics: [SYNC_TOPIC], data: '0x' }), null);
+  assert.equal(decodeTokenCreatedLog({ topics: [TOKEN_CREATED_TOPIC, ethers.ZeroHash], data: '0x1234' }), null);
+  assert.equal(decodeTokenCreatedLog({ topics: [], data: '0x' }), null);
+});
+
+test('decodeLaunchLogs: token, pair orientation, dev wallet and LP amounts', () => {
+  const launch = decodeLaunchLogs(mintSync.receipt.logs, { launchpad, weth });
+  assert.equal(launch.tokenCA, TOKEN);
+  assert.equal(launch.tokenSymbol, 'FIX');
+  assert.equal(launch.pairAddr, PAIR);
+  assert.equal(launch.token0, weth);
+  assert.equal(launch.token1, TOKEN);
+  assert.equal(launch.devWallet, '0xf84e1Ed1ac82c908F07df26d8DD5E0Db8999895F');
+  assert.equal(launch.devAmount, 20_000_000n * 10n ** 18n);
+  assert.equal(launch.lpTokenAmount, 980_000_000n * 10n ** 18n);
+  assert.equal(launch.lpEthWei, ethers.parseEther('2.5'));
+});
+
+test('decodeLaunchLogs: ABI hint wins over the raw topic; no token → null', () => {
+  const hint = { tokenCA: TOKEN, name: 'Hinted', symbol: 'HNT' };
+  assert.equal(decodeLaunchLogs(mintSync.receipt.logs, { launchpad, hint }).tokenName, 'Hinted');
+  assert.equal(decodeLaunchLogs([], { launchpad }), null);
+});
+
+test('inferLpEth: Mint / Sync reserves, on the side opposite the token', () => {
+  const onlyPair = mintSync.receipt.logs.filter(l => [SYNC_TOPIC, MINT_TOPIC].includes(l.topics[0]));
+  const args = { tokenCA: TOKEN, pairAddr: PAIR, token0: weth, token1: TOKEN };
+  assert.equal(inferLpEth(onlyPair, args), ethers.parseEther('2.5'));
+  // token as token0 → reserve1 is the ETH side
+  assert.equal(inferLpEth(onlyPair, { ...args, token0: TOKEN, token1: weth }), 980_000_000n * 10n ** 18n);
+});
+
+test('inferLpEth: WETH Deposit → Transfer into the pair when there is no Mint / Sync', () => {
+  const launch = decodeLaunchLogs(wethDeposit.receipt.logs, { launchpad, weth });
+  assert.equal(launch.lpEthWei, ethers.parseEther('1.2'));
+  const withoutPairEvents = mintSync.receipt.logs.filter(l => ![SYNC_TOPIC, MINT_TOPIC].includes(l.topics[0]));
+  assert.equal(decodeLaunchLogs(withoutPairEvents, { launchpad, weth }).lpEthWei, ethers.parseEther('2.5'));
+});
+
+test('inferLpEth: Deposits from another contract than the target WETH are ignored', () => {
+  const other = '0x4200000000000000000000000000000000000006';
+  assert.equal(decodeLaunchLogs(wethDeposit.receipt.logs, { launchpad, weth: other }).lpEthWei, 0n);
+  assert.equal(decodeLaunchLogs(wethDeposit.receipt.logs, { launchpad }).lpEthWei, ethers.parseEther('1.2'));
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { loadFixture, createFixtureSource, createRecorder } from '../lib/replay.mjs';
+
+const fixtureFile = (name) => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+test('loadFixture: a bare JSON-RPC receipt gets the ethers field names', () => {
+  const fx = loadFixture(fixtureFile('launch-weth-deposit.rpc.json'));
+  assert.equal(fx.txHash, fx.receipt.hash);
+  assert.equal(fx.receipt.blockNumber, 21000100);
+  assert.equal(fx.head, 21000100);
+  assert.equal(fx.receipt.logs[3].index, 3);
+  assert.equal(fx.receipt.logs[3].blockNumber, 21000100);
+  assert.equal(fx.tx, null);
+});
+
+test('createFixtureSource: recorded reads answer, the rest fail and are counted', async () => {
+  const fx = loadFixture(fixtureFile('launch-mint-sync.json'));
+  const { provider, call, httpGet, misses } = createFixtureSource(fx);
+  assert.equal(await provider.getBlockNumber(), fx.head);
+  assert.equal((await provider.getTransactionReceipt(fx.txHash.toUpperCase().replace('0X', '0x'))).hash, fx.txHash);
+  assert.equal((await provider.getBlock(fx.receipt.blockNumber)).timestamp, 1760000000);
+  const [key, result] = Object.entries(fx.calls)[0];
+  const [to, blockTag, data] = key.split('|');
+  assert.equal(await call({ to, data, blockTag: Number(blockTag) }), result);
+  await assert.rejects(call({ to, data: '0xdeadbeef', blockTag: Number(blockTag) }));
+  await assert.rejects(httpGet('https://example.invalid/'));
+  assert.equal(misses.size, 2);
+});
+
+test('createRecorder → createFixtureSource round trip', async () => {
+  const receipt = { hash: '0xabc', to: '0x1', blockNumber: 7, logs: [] };
+  const live = {
+    getBlockNumber: async () => 9,
+    getTransactionReceipt: async () => receipt,
+    getTransaction: async () => ({ hash: '0xabc', data: '0x1234', value: 5n }),
+    getBlock: async (n) => ({ number: n, timestamp: 1000 + n, hash: '0xblock' })
+  };
+  const rec = createRecorder({
+    provider: live,
+    call: async ({ data }) => { if (data === '0xbad') throw new Error('revert'); return '0x01'; },
+    httpGet: async () => ({ data: { ethereum: { usd: 2500 } } })
+  });
+  await rec.provider.getTransactionReceipt('0xabc');
+  await rec.provider.getTransaction('0xabc');
+  await rec.provider.getBlock(7);
+  await rec.provider.getBlockNumber();
+  await rec.call({ to: '0xT', data: '0xgood', blockTag: 9 });
+  await assert.rejects(rec.call({ to: '0xT', data: '0xbad', blockTag: 9 }));
+  await rec.httpGet('https://price.example/');
+
+  const fx = JSON.parse(JSON.stringify(rec.fixture({ chainId: 1, launchpad: '0x1' })));
+  assert.equal(fx.tx.value, '5');
+  const { provider, call, httpGet, misses } = createFixtureSource(fx);
+  assert.equal(await provider.getBlockNumber(), 9);
+  assert.deepEqual(await provider.getBlock(7), { number: 7, timestamp: 1007 });
+  assert.equal(await call({ to: '0xt', data: '0xgood', blockTag: 9 }), '0x01');
+  await assert.rejects(call({ to: '0xT', data: '0xbad', blockTag: 9 }), /failed/);
+  assert.deepEqual((await httpGet('https://price.example/')).data, { ethereum: { usd: 2500 } });
+  assert.equal(misses.size, 0);
+});
+
+test('--replay prints the launch card of a fixture, offline', () => {
+  const out = execFileSync(process.execPath, ['index.mjs', '--replay', fixtureFile('launch-mint-sync.json')], {
+    cwd: fileURLToPath(new URL('..', import.meta.url)),
+    env: { PATH: process.env.PATH },
+    stdio: ['ignore', 'pipe', 'ignore'],
+    timeout: 60_000
+  }).toString();
+  assert.match(out, /^──── launch · Fixture · 0xeab89fac/);
+  assert.match(out, /Ticker: <b>FIX<\/b>/);
+  assert.match(out, /LP: <b>~\$15,000 \(2\.50 ETH\)<\/b>/);
+  assert.match(out, /Dev Hold: <b>2\.00%<\/b>/);
+  assert.match(out, /Price: <b>\$0\.000007653 \(0\.000000002551 ETH\)<\/b>/);
+  assert.match(out, /<i>ETH \$3,000 · CoinGecko<\/i>/);
+  assert.match(out, /\[Open in EthOS\]\(https:\/\/ethos\.vision\/\?t=0xD0dDefa7d0931Ce4f6af524686D44246585DB6E3\)/);
+});
+
+test('--replay --locale renders the card from that locale\'s template', () => {
+  const out = execFileSync(process.execPath, ['index.mjs', '--replay', fixtureFile('launch-mint-sync.json'), '--locale', 'id'], {
+    cwd: fileURLToPath(new URL('..', import.meta.url)),
+    env: { PATH: process.env.PATH },
+    stdio: ['ignore', 'pipe', 'ignore'],
+    timeout: 60_000
+  }).toString();
+  assert.match(out, /<b>🚀 Token EOS20 Baru Dibuat<\/b>/);
+  assert.match(out, /Kepemilikan Dev: <b>2\.00%<\/b>/);
+  assert.match(out, /\[Buka di EthOS\]\(https:\/\/ethos\.vision\//);
+});
+
+test('--replay of several fixtures: a price recorded in one does not leak into the next', () => {
+  const out = execFileSync(process.execPath, ['index.mjs', '--replay', fixtureFile('launch-mint-sync.json'), fixtureFile('launch-weth-deposit.rpc.json')], {
+    cwd: fileURLToPath(new URL('..', import.meta.url)),
+    env: { PATH: process.env.PATH },
+    stdio: ['ignore', 'pipe', 'ignore'],
+    timeout: 60_000
+  }).toString();
+  const [first, second] = out.split(/^──── /m).filter(Boolean);
+  assert.match(first, /<i>ETH \$3,000 · CoinGecko<\/i>/);
+  assert.match(second, /LP: <b>1\.20 ETH<\/b>/);
+  assert.doesNotMatch(second, /\$/);
+});
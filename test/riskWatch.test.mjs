@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRiskWatch } from '../lib/riskWatch.mjs';
+
+const CA = (n) => '0x' + String(n).padStart(40, 'c');
+const launch = (n) => ({ tokenCA: CA(n), pairAddr: CA(n + 50), devWallet: CA(n + 80), totalSupply: '1000' });
+
+test('watch adds one launch\'s filters; refresh batches every launch again', async () => {
+  const launches = [launch(1), launch(2)];
+  const on = [], off = [];
+  const provider = { on: async (filter) => { on.push(filter); }, off: async (filter) => { off.push(filter); } };
+  const watch = createRiskWatch({ getProvider: () => provider, launchpad: CA(0), parseTx: () => null, getLaunches: () => launches, onAlert: async () => {} });
+
+  await watch.refresh();
+  assert.deepEqual(on.map(f => f.address), [[CA(51), CA(52)], [CA(1), CA(2)]]);
+
+  launches.push(launch(3));
+  await watch.watch(launch(3));
+  assert.deepEqual(on.slice(2).map(f => f.address), [[CA(53)], [CA(3)]]);
+  assert.equal(off.length, 0);
+
+  await watch.refresh();
+  assert.equal(off.length, 4);
+  assert.deepEqual(on.slice(4).map(f => f.address), [[CA(51), CA(52), CA(53)], [CA(1), CA(2), CA(3)]]);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixture } from '../lib/replay.mjs';
+import {
+  classifyUrl, normalizeUrl, pickSocialsFromJson, parseDataUrlToJson, extractAsciiStringsFromHex,
+  socialsFromStrings, resolveWebsiteAndX, socialsLine
+} from '../lib/socials.mjs';
+
+test('socials from the creation calldata', () => {
+  const { tx } = loadFixture(new URL('./fixtures/launch-mint-sync.json', import.meta.url));
+  const socials = resolveWebsiteAndX(socialsFromStrings(extractAsciiStringsFromHex(tx.data)));
+  assert.deepEqual(socials, {
+    website: 'https://fixture.example',
+    twitter: 'https://x.com/fixturetoken',
+    telegram: 'https://t.me/fixturetoken'
+  });
+});
+
+test('classifyUrl', () => {
+  assert.equal(classifyUrl('https://twitter.com/foo'), 'twitter');
+  assert.equal(classifyUrl('https://x.com/foo'), 'twitter');
+  assert.equal(classifyUrl('https://t.me/foo'), 'telegram');
+  assert.equal(classifyUrl('https://discord.gg/abc'), 'discord');
+  assert.equal(classifyUrl('https://foo.example'), 'website');
+  assert.equal(classifyUrl('@foo'), 'unknown');
+  assert.equal(classifyUrl('https://evil.example/?https://x.com/foo'), 'website');
+});
+
+test('normalizeUrl: handles get the base, URLs are kept', () => {
+  assert.equal(normalizeUrl('@foo', 'https://t.me/'), 'https://t.me/foo');
+  assert.equal(normalizeUrl('https://x.com/foo', 'https://twitter.com/'), 'https://x.com/foo');
+  assert.equal(normalizeUrl('', 'https://t.me/'), null);
+});
+
+test('pickSocialsFromJson: contractURI metadata, nested buckets and bare handles', () => {
+  const uri = 'data:application/json;base64,' + Buffer.from(JSON.stringify({
+    name: 'FIX', external_url: 'https://fixture.example', links: { twitter: 'fixturetoken', telegram: 'https://t.me/fixturetoken' }
+  })).toString('base64');
+  assert.deepEqual(pickSocialsFromJson(parseDataUrlToJson(uri)), {
+    website: 'https://fixture.example',
+    telegram: 'https://t.me/fixturetoken',
+    twitter: 'https://twitter.com/fixturetoken'
+  });
+  assert.deepEqual(pickSocialsFromJson(null), {});
+});
+
+test('resolveWebsiteAndX: an X link given as the website moves to twitter', () => {
+  assert.deepEqual(resolveWebsiteAndX({ website: 'https://x.com/foo' }), { twitter: 'https://x.com/foo' });
+});
+
+test('socialsLine', () => {
+  assert.equal(socialsLine({ telegram: 'https://t.me/a', website: 'https://a.example' }),
+    '<a href="https://a.example">website</a> · <a href="https://t.me/a">telegram</a>');
+  assert.equal(socialsLine({}), '');
+  assert.equal(socialsLine({ website: 'https://a.example/?a=1&b=2', twitter: 'https://x.com@evil.example/' }),
+    '<a href="https://a.example/?a=1&amp;b=2">website</a> · ⚠️ X (Twitter) (unsafe link)');
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { ethers } from 'ethers';
+import { loadFixture } from '../lib/replay.mjs';
+import { buildSpecs, mechFromSettings, reflectPctOf, specValues } from '../lib/specs.mjs';
+
+const launchpadIface = new ethers.Interface(JSON.parse(fs.readFileSync(new URL('../abi/Launchpad.mainnet.json', import.meta.url), 'utf8')));
+const { tx } = loadFixture(new URL('./fixtures/launch-mint-sync.json', import.meta.url));
+const settings = launchpadIface.parseTransaction({ data: tx.data }).args.settings.toObject();
+
+test('buildSpecs: exact values from the createNewToken settings', () => {
+  assert.equal(buildSpecs(mechFromSettings(settings)), [
+    'Anti-bot: ON',
+    'Reflect: 5.00%',
+    '• Auto LP: 40.00% of reflect',
+    '• ETH Reward: 30.00% of reflect',
+    '• Gamble: 20.00% of reflect',
+    '• Dev Fee: 10.00% of reflect',
+    'Burn (Buy): 1.00%',
+    'Burn (Sell): 2.00%',
+    'Max Daily Pump: 50.00%',
+    'Reaper period: 24.0 h',
+    'Cooldown: 60 s'
+  ].join('\n'));
+});
+
+test('mechFromSettings: raw settings units, and mechanisms set to 0 stay off the card', () => {
+  const mech = mechFromSettings(settings);
+  assert.deepEqual(
+    [mech.reflect, mech.auto_lp_share, mech.gamble, mech.dev_fee, mech.burn_buy, mech.burn_sell, mech.max_daily_pump, mech.death_time, mech.cooldown, mech.apy],
+    ['5', '40', '20', '10', '1', '2', '50', '86400', '60', '0']
+  );
+  const v = specValues(mechFromSettings({ ...settings, apy: 150n, winAmountPercent: 0n, burnPercentBuy: 0n, maxDailyPumpRate: 0n }));
+  assert.deepEqual(
+    { apy: v.apy, gamble: v.gamble, ethReward: v.ethReward, burnBuy: v.burnBuy, burnSell: v.burnSell, pump: v.pump },
+    { apy: 1.5, gamble: null, ethReward: 50, burnBuy: null, burnSell: 2, pump: null }
+  );
+  assert.equal(specValues(mechFromSettings({ ...settings, reflectionsPercent: 0n })).reflect, null);
+  assert.equal(reflectPctOf(mechFromSettings({ ...settings, reflectionsPercent: 0n })), 0); // still archived as 0
+});
+
+test('buildSpecs: probed getters, an out-of-range reflect (basis points) is rescaled', () => {
+  const mech = { reflect: '500', auto_lp_share: '25', dev_fee: '10', antibot: false };
+  assert.equal(reflectPctOf(mech), 5);
+  assert.equal(buildSpecs(mech), [
+    'Anti-bot: OFF',
+    'Reflect: 5.00%',
+    '• Auto LP: 25.00% of reflect',
+    '• ETH Reward: 65.00% of reflect',
+    '• Dev Fee: 10.00% of reflect'
+  ].join('\n'));
+});
+
+test('buildSpecs: nothing known → empty', () => {
+  assert.equal(buildSpecs({}), '');
+  assert.equal(buildSpecs(null), '');
+  assert.equal(reflectPctOf({ antibot: true }), null);
+});
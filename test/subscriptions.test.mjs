@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFilterArgs, matchesFilters, DEFAULT_FILTERS, EVENT_TYPES } from '../lib/subscriptions.mjs';
+
+test('parseFilterArgs', () => {
+  const cases = [
+    ['min_lp=1.5', { minLpEth: 1.5 }],
+    ['min_lp=off', { minLpEth: 0 }],
+    ['max_dev=5 max_reflect=0', { maxDevPct: 5, maxReflectPct: 0 }],
+    ['max_dev=- max_reflect=off', { maxDevPct: null, maxReflectPct: null }],
+    ['events=launch,lock,launch', { events: ['launch', 'lock'] }],
+    ['events=all', { events: EVENT_TYPES }],
+    ['socials=on digest=no', { requireSocials: true, digests: false }],
+    ['socials=false digest=1', { requireSocials: false, digests: true }],
+    ['', {}]
+  ];
+  for (const [input, patch] of cases) {
+    assert.deepEqual(parseFilterArgs(input.split(' ').filter(Boolean)), { patch, errors: [] }, input);
+  }
+
+  const bad = [
+    ['min_lp=abc', 'min_lp needs a number'],
+    ['max_dev=-1', 'max_dev needs a number'],
+    ['max_dev=', 'max_dev needs a number'],
+    ['events=launch,rug', 'events: use launch, lock, risk or all'],
+    ['events=', 'events: use launch, lock, risk or all'],
+    ['socials=maybe', 'socials needs on or off'],
+    ['digest', 'digest needs on or off'],
+    ['colour=red', 'unknown filter colour']
+  ];
+  for (const [input, error] of bad) {
+    assert.deepEqual(parseFilterArgs([input]), { patch: {}, errors: [error] }, input);
+  }
+});
+
+test('matchesFilters', () => {
+  const facts = { lpEth: 2, devPct: 3, reflectPct: 5, hasSocials: false };
+  const cases = [
+    [{}, 'launch', facts, true],
+    [{}, 'digest', null, true],
+    [{ digests: false }, 'digest', null, false],
+    [{ digests: false }, 'launch', facts, true],
+    [{ events: ['lock'] }, 'launch', facts, false],
+    [{ events: ['lock'] }, 'lock', null, true],
+    [{ minLpEth: 2 }, 'launch', facts, true],
+    [{ minLpEth: 2.5 }, 'launch', facts, false],
+    [{ minLpEth: 1 }, 'launch', { ...facts, lpEth: null }, false],
+    [{ minLpEth: 5 }, 'lock', null, true], // unknown token: only the event type counts
+    [{ maxDevPct: 3 }, 'launch', facts, true],
+    [{ maxDevPct: 2 }, 'launch', facts, false],
+    [{ maxReflectPct: 4 }, 'launch', facts, false],
+    [{ maxReflectPct: 4 }, 'launch', { ...facts, reflectPct: null }, true],
+    [{ requireSocials: true }, 'launch', facts, false],
+    [{ requireSocials: true }, 'risk', { ...facts, hasSocials: true }, true]
+  ];
+  for (const [filters, kind, f, expected] of cases) {
+    assert.equal(matchesFilters(filters, kind, f), expected, `${JSON.stringify(filters)} ${kind}`);
+  }
+  assert.equal(matchesFilters(DEFAULT_FILTERS, 'risk', facts), true);
+});
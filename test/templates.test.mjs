@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { compileTemplate, renderTemplate, createTemplates } from '../lib/templates.mjs';
+
+const bundled = fileURLToPath(new URL('../templates', import.meta.url));
+const render = (src, view) => renderTemplate(compileTemplate(src), view);
+
+test('values are escaped unless in triple braces', () => {
+  assert.equal(render('<b>{{name}}</b> {{{html}}}', { name: 'A<b>&"', html: '<i>x</i>' }).html, '<b>A&lt;b&gt;&amp;&quot;</b> <i>x</i>');
+});
+
+test('sections: truthy, inverted, else, objects as scope, arrays with @first / @last', () => {
+  const view = { on: true, off: 0, token: { symbol: 'FIX' }, list: ['a', 'b', 'c'] };
+  assert.equal(render('{{#on}}yes{{/on}}{{^off}} no{{/off}}{{#off}}x{{else}} else{{/off}}', view).html, 'yes no else');
+  assert.equal(render('{{#token}}{{symbol}}{{/token}}', view).html, 'FIX');
+  assert.equal(render('[{{#list}}{{^@first}}, {{/@first}}{{.}}{{#@last}}!{{/@last}}{{/list}}]', view).html, '[a, b, c!]');
+});
+
+test('helpers format numbers; eq / has drive conditions', () => {
+  const view = { usd: 15000, eth: 2.5, wei: '1500000000000000000', pct: 0, sec: 7200, kind: 'lp' };
+  assert.equal(render('${{usd usd}} {{eth eth}} {{wei wei}} {{pct pct}}% {{duration sec}}', view).html, '$15,000 2.50 1.50 0.00% 2.0 h');
+  assert.equal(render('{{price a}} {{price b}} {{price c}}', { a: 0.00001234567, b: 0.5, c: 1234.5 }).html, '0.00001235 0.5 1,235');
+  assert.equal(render('{{#has pct}}pct{{/has}} {{#eq kind "lp"}}LP{{else}}supply{{/eq}}', view).html, 'pct LP');
+});
+
+test('lines holding only tags that render empty are dropped, plain blank lines stay', () => {
+  const src = 'A\n{{#none}}gone{{/none}}\n\n{{#list}}\n• {{.}}\n{{/list}}\nB';
+  assert.equal(render(src, { list: ['x', 'y'] }).html, 'A\n\n• x\n• y\nB');
+});
+
+test('buttons: one row per template line, skipped without a url', () => {
+  const { rows } = render('{{button "One" a}} {{button "Two" a}}\n{{button "Three" b}}\n{{button "Gone" none}}', { a: 'https://a', b: 'https://b' });
+  assert.deepEqual(rows, [[{ text: 'One', url: 'https://a' }, { text: 'Two', url: 'https://a' }], [{ text: 'Three', url: 'https://b' }]]);
+  assert.equal(render('no buttons', {}).rows, null);
+});
+
+test('compile errors name the problem', () => {
+  assert.throws(() => compileTemplate('{{#a}}x'), /never closed/);
+  assert.throws(() => compileTemplate('{{#a}}x{{/b}}'), /unexpected \{\{\/b\}\}/);
+  assert.throws(() => compileTemplate('{{nope x}}'), /unknown helper "nope"/);
+});
+
+test('a broken or missing template falls back to the default set, then to English', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ethos-templates-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(dir, 'compact'));
+  fs.writeFileSync(path.join(dir, 'compact', 'lock.en.html'), '🔒 {{token.symbol}}');
+  fs.writeFileSync(path.join(dir, 'compact', 'lock.id.html'), '{{#broken}}');
+  const warn = t.mock.method(console, 'warn', () => {});
+  const templates = createTemplates({ dir, fallbackDir: bundled });
+  const ev = { event: 'LiquidityLocked', title: 'Liquidity locked', token: { address: null, symbol: 'FIX' }, lockSeconds: null, links: {} };
+
+  assert.equal(templates.render('lock', ev, { template: 'compact', locale: 'en' }).html, '🔒 FIX');
+  assert.match(templates.render('lock', ev, { template: 'compact', locale: 'id' }).html, /^<b>🔒 Likuiditas dikunci<\/b>/);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(templates.render('lock', ev, { template: 'compact', locale: 'xx' }).html, /^<b>🔒 Liquidity locked<\/b>/);
+  assert.deepEqual(templates.sets(), ['compact', 'default']);
+  assert.deepEqual(templates.locales(), ['en', 'id', 'zh']);
+});
+
+test('every bundled template compiles and the locales cover the same message types', () => {
+  const files = fs.readdirSync(path.join(bundled, 'default'));
+  for (const f of files) compileTemplate(fs.readFileSync(path.join(bundled, 'default', f), 'utf8'));
+  const types = (locale) => files.filter(f => f.endsWith(`.${locale}.html`)).map(f => f.split('.')[0]).sort();
+  assert.deepEqual(types('en'), ['digest', 'governance', 'launch', 'lock', 'risk']);
+  assert.deepEqual(types('id'), types('en'));
+  assert.deepEqual(types('zh'), types('en'));
+});
+
+test('digest rows without a link print the name as plain text', () => {
+  const templates = createTemplates({ dir: bundled });
+  const row = { rank: 1, symbol: 'FIX', lpEth: 2, fdvEth: 3 };
+  const view = { launches: 2, locks: 0, window: 'w', topLp: [{ ...row, link: 'https://x/t' }, { ...row, rank: 2 }], topFdv: [row], deployers: [] };
+  for (const locale of templates.locales()) {
+    const { html } = templates.render('digest', view, { locale });
+    assert.match(html, /1\. <a href="https:\/\/x\/t">FIX<\/a>/, locale);
+    assert.match(html, /2\. FIX · 2\.00 ETH/, locale);
+    assert.match(html, /\n1\. FIX · 3\.00 ETH/, locale);
+    assert.doesNotMatch(html, /href=""/, locale);
+  }
+});
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWsSupervisor, redactUrl } from '../lib/wsSupervisor.mjs';
+
+const URLS = ['wss://one.example/key1', 'wss://two.example/key2'];
+const flush = async () => { for (let i = 0; i < 10; i++) await new Promise(r => setImmediate(r)); };
+
+/**
+ * Provider factory whose eth_blockNumber answers come from `heads(url, n)` (n = the call on that
+ * provider): a number, an Error to reject with, or 'hang' to never answer. Every provider is logged.
+ */
+function fakeFactory(heads) {
+  const made = [];
+  const createProvider = (url) => {
+    let n = 0;
+    const p = {
+      url, destroyed: false, websocket: {},
+      send: async () => {
+        const h = heads(url, n++);
+        if (h === 'hang') return new Promise(() => {});
+        if (h instanceof Error) throw h;
+        return h;
+      },
+      destroy() { p.destroyed = true; }
+    };
+    made.push({ url, at: Date.now(), p });
+    return p;
+  };
+  return { made, createProvider };
+}
+
+const setup = (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: 0 });
+  t.mock.method(Math, 'random', () => 1); // no jitter: waits are exactly min(max, min * 2^attempt)
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+};
+const advance = async (t, ms, step = 250) => { await flush(); for (let done = 0; done < ms; done += step) { t.mock.timers.tick(step); await flush(); } };
+
+test('a failing URL backs off exponentially and rotates to the next one', async (t) => {
+  setup(t);
+  const { made, createProvider } = fakeFactory(() => new Error('ECONNREFUSED'));
+  const sup = createWsSupervisor({ urls: URLS, chainId: 1, onConnect: async () => {}, minBackoffMs: 1000, maxBackoffMs: 4000, createProvider });
+  sup.start();
+  await advance(t, 16_000);
+  sup.stop();
+  assert.deepEqual(made.map(m => [redactUrl(m.url), m.at]).slice(0, 6), [
+    ['one.example', 0], ['two.example', 1000], ['one.example', 3000], ['two.example', 7000], ['one.example', 11_000], ['two.example', 15_000]
+  ]);
+  assert.ok(made.every(m => m.p.destroyed));
+  assert.equal(sup.connected, false);
+});
+
+test('a heartbeat that times out reconnects on the fallback URL, and the backoff starts over', async (t) => {
+  setup(t);
+  // one.example answers the connect, then hangs; two.example is healthy.
+  const { made, createProvider } = fakeFactory((url, n) => url.includes('one') ? (n === 0 ? 100 : 'hang') : 200 + n);
+  const connects = [], drops = [];
+  const sup = createWsSupervisor({
+    urls: URLS, chainId: 1, heartbeatMs: 1000, minBackoffMs: 500, createProvider,
+    onConnect: async (p, { url, head }) => { connects.push([redactUrl(url), head, Date.now()]); },
+    onDisconnect: (reason) => drops.push(reason)
+  });
+  await sup.start();
+  assert.equal(sup.connected, true);
+  await advance(t, 2000);    // heartbeat at 1000 ms, timed out at 2000 ms
+  assert.deepEqual(drops, ['heartbeat timed out after 1000ms']);
+  assert.equal(made[0].p.destroyed, true);
+  await advance(t, 500);     // first backoff step
+  assert.deepEqual(connects, [['one.example', 100, 0], ['two.example', 200, 2500]]);
+  assert.equal(sup.url, 'two.example');
+  assert.equal(sup.head, 200);
+  sup.stop();
+});
+
+test('a head that stops moving for stallMs counts as a dead connection', async (t) => {
+  setup(t);
+  const { made, createProvider } = fakeFactory(() => 42);
+  const drops = [];
+  const sup = createWsSupervisor({ urls: URLS, chainId: 1, heartbeatMs: 1000, stallMs: 5000, createProvider, onConnect: async () => {}, onDisconnect: (r) => drops.push(r) });
+  await sup.start();
+  await advance(t, 5000);
+  assert.deepEqual(drops, []);
+  await advance(t, 1000);
+  assert.deepEqual(drops, ['head stalled at block 42']);
+  await advance(t, 1000);
+  assert.deepEqual(made.map(m => redactUrl(m.url)), ['one.example', 'two.example']);
+  sup.stop();
+});
+
+test('onConnect throwing fails the attempt, which is retried', async (t) => {
+  setup(t);
+  const { made, createProvider } = fakeFactory(() => 7);
+  let calls = 0;
+  const sup = createWsSupervisor({
+    urls: URLS.slice(0, 1), chainId: 1, minBackoffMs: 1000, createProvider,
+    onConnect: async () => { if (++calls === 1) throw new Error('backfill failed'); }
+  });
+  sup.start();
+  await advance(t, 1000);
+  assert.equal(calls, 2);
+  assert.equal(made.length, 2);
+  assert.equal(sup.connected, true);
+  sup.stop();
+});